@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// In-process MongoDB instance used when running tests without MONGODB_URI
+let memoryServer = null;
+
+/**
+ * Resolve the MongoDB connection string.
+ * Falls back to an in-process mongodb-memory-server when NODE_ENV is "test"
+ * and no MONGODB_URI is configured.
+ * @returns {Promise<string>} MongoDB connection URI
+ * @private
+ */
+async function _resolveUri() {
+  if (process.env.MONGODB_URI) {
+    return process.env.MONGODB_URI;
+  }
+
+  if (process.env.NODE_ENV === 'test') {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    memoryServer = await MongoMemoryServer.create();
+    return memoryServer.getUri();
+  }
+
+  return 'mongodb://localhost:27017/faystar_db';
+}
+
+/**
+ * Connect to MongoDB
+ * @param {string} [uri] - Explicit connection URI (overrides MONGODB_URI)
+ * @returns {Promise<typeof mongoose>} Connected mongoose instance
+ */
+async function connectDatabase(uri) {
+  if (mongoose.connection.readyState === 1) {
+    return mongoose;
+  }
+
+  const connectionUri = uri || await _resolveUri();
+
+  console.log('[Database] 🔌 Connecting to MongoDB...');
+  await mongoose.connect(connectionUri, {
+    serverSelectionTimeoutMS: parseInt(process.env.MONGODB_TIMEOUT_MS) || 10000
+  });
+
+  // Make sure unique indexes exist before the first write
+  await Promise.all(
+    Object.values(mongoose.models).map(model => model.init())
+  );
+
+  console.log('[Database] ✅ MongoDB connected');
+  return mongoose;
+}
+
+/**
+ * Close the MongoDB connection and stop the in-process server if one was started
+ * @returns {Promise<void>}
+ */
+async function disconnectDatabase() {
+  await mongoose.disconnect();
+
+  if (memoryServer) {
+    await memoryServer.stop();
+    memoryServer = null;
+  }
+
+  console.log('[Database] 🔌 MongoDB disconnected');
+}
+
+/**
+ * Check whether the MongoDB connection is ready
+ * @returns {boolean} True when connected
+ */
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+module.exports = {
+  connectDatabase,
+  disconnectDatabase,
+  isDatabaseConnected
+};
@@ -0,0 +1,260 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const SessionService = require('../services/session.service');
+const ApiKeyService = require('../services/apiKey.service');
+
+const sessionService = new SessionService();
+const apiKeyService = new ApiKeyService();
+
+// HTTP status per API key authentication failure
+const API_KEY_ERROR_STATUS = {
+  INVALID_API_KEY: 401,
+  API_KEY_EXPIRED: 401,
+  USER_NOT_FOUND: 401,
+  PREMIUM_REQUIRED: 403
+};
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw token or null when the header is missing or malformed
+ */
+function parseBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) {
+    return null;
+  }
+
+  const match = header.match(/^Bearer\s+(\S+)\s*$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Send a uniform authentication error response
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} code - Machine readable reason
+ * @param {string} error - Human readable message
+ * @private
+ */
+function _reject(res, statusCode, code, error) {
+  return res.status(statusCode).json({
+    success: false,
+    error,
+    errorType: 'AUTHENTICATION_ERROR',
+    code
+  });
+}
+
+/**
+ * Verify an access token: signature, expiry, live session and active user.
+ * Shared by the HTTP middleware and the chat WebSocket gateway.
+ * @param {string} token - Raw JWT
+ * @returns {Promise<Object>} { success, user, session, decoded } or { success: false, statusCode, code, error }
+ */
+async function verifyAccessToken(token) {
+  const failure = (statusCode, code, error) => ({ success: false, statusCode, code, error });
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return failure(401, 'TOKEN_EXPIRED', 'Token expired');
+    }
+
+    return failure(401, 'INVALID_TOKEN', 'Invalid token');
+  }
+
+  // Purpose-bound tokens (e.g. 2FA login challenges) are not access tokens
+  if (decoded.purpose) {
+    return failure(401, 'INVALID_TOKEN', 'Invalid token');
+  }
+
+  // Sessions revoked by logout, remote sign-out or refresh token reuse
+  const session = decoded.sid ? await sessionService.findActive(decoded.sid) : null;
+  if (!session) {
+    return failure(401, 'SESSION_REVOKED', 'Session has been revoked');
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    return failure(401, 'USER_NOT_FOUND', 'User not found');
+  }
+
+  if (!user.isActive) {
+    return failure(403, 'ACCOUNT_DISABLED', 'Account is disabled');
+  }
+
+  return { success: true, user, session, decoded };
+}
+
+/**
+ * Authenticate a request carrying an `X-API-Key` header
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {string} rawKey - Header value
+ * @param {string} scope - Scope the route requires
+ * @private
+ */
+async function _authenticateApiKey(req, res, next, rawKey, scope) {
+  try {
+    const result = await apiKeyService.authenticate(rawKey);
+    if (!result.success) {
+      return _reject(res, API_KEY_ERROR_STATUS[result.errorType] || 401, result.errorType, result.error);
+    }
+
+    const { apiKey, user } = result;
+
+    if (!user.isActive) {
+      return _reject(res, 403, 'ACCOUNT_DISABLED', 'Account is disabled');
+    }
+
+    if (!apiKey.hasScope(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: 'API key is missing the required scope',
+        errorType: 'AUTHORIZATION_ERROR',
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScope: scope
+      });
+    }
+
+    req.user = user;
+    req.auth = {
+      sessionId: null,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes
+    };
+
+    await apiKeyService.touch(apiKey, req.ip);
+    next();
+  } catch (error) {
+    console.error('[AuthMiddleware] ❌ API key authentication failed:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Authentication failed',
+      errorType: 'SYSTEM_ERROR'
+    });
+  }
+}
+
+/**
+ * Build authentication middleware.
+ * Verifies the Bearer JWT, checks that its session has not been revoked and
+ * attaches the full user document to `req.user` (with `req.user.userId` kept
+ * for existing handlers) and the session to `req.auth`.
+ * Routes that set `apiKeyScope` also accept an `X-API-Key` header holding
+ * that scope; everywhere else API keys are refused.
+ * @param {Object} [options] - Middleware options
+ * @param {boolean} [options.optional=false] - Let requests without a token through with `req.user = null`
+ * @param {string} [options.apiKeyScope] - Scope an API key needs for this route
+ * @returns {Function} Express middleware
+ */
+function createAuthMiddleware({ optional = false, apiKeyScope = null } = {}) {
+  return async (req, res, next) => {
+    const token = parseBearerToken(req);
+    const apiKey = req.get('x-api-key');
+
+    if (!token && apiKey && !req.headers.authorization) {
+      if (!apiKeyScope) {
+        return _reject(res, 403, 'API_KEY_NOT_ALLOWED', 'This endpoint does not accept API keys');
+      }
+
+      return _authenticateApiKey(req, res, next, apiKey, apiKeyScope);
+    }
+
+    if (!token) {
+      if (optional && !req.headers.authorization) {
+        req.user = null;
+        req.auth = null;
+        return next();
+      }
+
+      return _reject(res, 401, 'TOKEN_REQUIRED', 'Token required');
+    }
+
+    try {
+      const result = await verifyAccessToken(token);
+      if (!result.success) {
+        return _reject(res, result.statusCode, result.code, result.error);
+      }
+
+      req.user = result.user;
+      req.auth = {
+        sessionId: result.session.sessionId,
+        token: result.decoded
+      };
+
+      await sessionService.touch(result.session, req.ip);
+      next();
+    } catch (error) {
+      console.error('[AuthMiddleware] ❌ Authentication failed:', error.message);
+      res.status(500).json({
+        success: false,
+        error: 'Authentication failed',
+        errorType: 'SYSTEM_ERROR'
+      });
+    }
+  };
+}
+
+/**
+ * Require a verified email address (use after `authenticate`)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user?.emailVerified) {
+    return _reject(res, 403, 'EMAIL_NOT_VERIFIED', 'Email address must be verified');
+  }
+
+  next();
+}
+
+/**
+ * Require at least one of the given roles (use after `authenticate`).
+ * Admins pass every role check.
+ * @param {...string} roles - Accepted roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.some(role => req.user.hasRole(role))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        errorType: 'AUTHORIZATION_ERROR',
+        code: 'FORBIDDEN',
+        requiredRoles: roles
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Authenticate with a user token or an API key granted `scope`
+ * @param {string} scope - Required API key scope
+ * @returns {Function} Express middleware
+ */
+function authenticateWithScope(scope) {
+  return createAuthMiddleware({ apiKeyScope: scope });
+}
+
+const authenticate = createAuthMiddleware();
+const optionalAuthenticate = createAuthMiddleware({ optional: true });
+
+module.exports = {
+  authenticate,
+  optionalAuthenticate,
+  authenticateWithScope,
+  requireVerifiedEmail,
+  requireRole,
+  createAuthMiddleware,
+  verifyAccessToken,
+  parseBearerToken
+};
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Roles clients may see and send; the system prompt is always added by the server
+const ROLES = ['user', 'assistant'];
+const DEFAULT_TITLE = 'New conversation';
+
+/**
+ * AI chat conversation stored on the server. Turns are only ever appended,
+ * so `summary.messageCount` (how many of the oldest messages the summary
+ * replaces when the conversation outgrows the model's context window) stays
+ * valid.
+ */
+const aiConversationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: DEFAULT_TITLE
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  messages: [{
+    _id: false,
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true
+    },
+    content: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  summary: {
+    _id: false,
+    content: {
+      type: String,
+      default: ''
+    },
+    messageCount: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// A user's conversations, most recently active first
+aiConversationSchema.index({ userId: 1, updatedAt: -1 });
+
+/**
+ * Public representation returned by the API
+ * @param {Object} [options] - { includeMessages } to add the full transcript
+ * @returns {Object} Conversation fields
+ */
+aiConversationSchema.methods.toPublicJSON = function ({ includeMessages = false } = {}) {
+  return {
+    id: this.id,
+    title: this.title,
+    model: this.model,
+    messageCount: this.messages.length,
+    ...(includeMessages && {
+      messages: this.messages.map(message => ({
+        role: message.role,
+        content: message.content,
+        createdAt: message.createdAt
+      }))
+    }),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const AiConversation = mongoose.model('AiConversation', aiConversationSchema);
+AiConversation.ROLES = ROLES;
+AiConversation.DEFAULT_TITLE = DEFAULT_TITLE;
+
+module.exports = AiConversation;
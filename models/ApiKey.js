@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Scopes an API key can be granted
+const SCOPES = [
+  'ai:chat',
+  'ai:voice',
+  'ai:image',
+  'ai:analyze',
+  'video:generate',
+  'audio:tts',
+  'marketplace:read',
+  'marketplace:write',
+  'chat:read',
+  'chat:write'
+];
+
+/**
+ * Personal API key. Only the SHA-256 hash of the key is stored; `prefix`
+ * keeps the first characters so users can tell their keys apart.
+ */
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['revoked', 'rotated', 'account_deleted', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Whether the key has been granted a scope
+ * @param {string} scope - Scope name
+ * @returns {boolean} True when granted
+ */
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+/**
+ * Public representation returned by the API (never includes the key itself)
+ * @returns {Object} Safe API key fields
+ */
+apiKeySchema.methods.toPublicJSON = function () {
+  return {
+    id: this.id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = SCOPES;
+
+module.exports = ApiKey;
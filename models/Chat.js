@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+
+const CHAT_TYPES = ['direct', 'group'];
+const MEMBER_ROLES = ['admin', 'member'];
+
+// Sender ID of messages written by the FayStar AI assistant
+const ASSISTANT_ID = 'faystar_ai';
+
+/**
+ * Conversation between users: a direct chat between two users or a group.
+ * Member user IDs are stored as strings so a deleted account can be
+ * replaced by a placeholder.
+ */
+const chatSchema = new mongoose.Schema({
+  chatId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: CHAT_TYPES,
+    default: 'direct'
+  },
+  // End-to-end encrypted direct chat: messages carry only ciphertext envelopes
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  // Group details (unused for direct chats)
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  avatarUrl: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  members: [{
+    _id: false,
+    userId: {
+      type: String,
+      required: true
+    },
+    role: {
+      type: String,
+      enum: MEMBER_ROLES,
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Messages after this time count as unread for the member
+    lastReadAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Muted chats have no unread count or notifications; null mutedUntil mutes indefinitely
+    muted: {
+      type: Boolean,
+      default: false
+    },
+    mutedUntil: {
+      type: Date,
+      default: null
+    }
+  }],
+  // The AI assistant answers every message of chats it was invited to (elsewhere only when mentioned)
+  assistant: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    invitedBy: {
+      type: String,
+      default: null
+    },
+    invitedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  lastMessage: {
+    type: String,
+    default: ''
+  },
+  lastMessageTime: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Chat list of a user, most recent conversation first
+chatSchema.index({ 'members.userId': 1, lastMessageTime: -1 });
+
+/**
+ * IDs of all members
+ * @returns {string[]} User IDs
+ */
+chatSchema.methods.memberIds = function () {
+  return this.members.map(member => member.userId);
+};
+
+/**
+ * Find a member entry
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} Member subdocument
+ */
+chatSchema.methods.getMember = function (userId) {
+  return this.members.find(member => member.userId === userId);
+};
+
+/**
+ * Whether a member has muted the chat
+ * @param {string} userId - User ID
+ * @param {Date} [at] - Point in time (defaults to now)
+ * @returns {boolean} True while muted
+ */
+chatSchema.methods.isMuted = function (userId, at = new Date()) {
+  const member = this.getMember(userId);
+  return !!member?.muted && (!member.mutedUntil || member.mutedUntil > at);
+};
+
+/**
+ * Whether a user is an admin of the group
+ * @param {string} userId - User ID
+ * @returns {boolean} True for group admins
+ */
+chatSchema.methods.isAdmin = function (userId) {
+  return this.getMember(userId)?.role === 'admin';
+};
+
+/**
+ * Promote the longest-standing member when a group has no admin left
+ */
+chatSchema.methods.ensureAdmin = function () {
+  if (this.type !== 'group' || this.members.length === 0 || this.members.some(member => member.role === 'admin')) {
+    return;
+  }
+
+  const [oldest] = [...this.members].sort((a, b) => a.joinedAt - b.joinedAt);
+  oldest.role = 'admin';
+};
+
+/**
+ * Public representation returned by the API
+ * @returns {Object} Chat fields
+ */
+chatSchema.methods.toPublicJSON = function () {
+  return {
+    id: this.chatId,
+    type: this.type,
+    encrypted: !!this.encrypted,
+    title: this.title,
+    avatarUrl: this.avatarUrl,
+    createdBy: this.createdBy,
+    participants: this.memberIds(),
+    members: this.members.map(member => ({
+      userId: member.userId,
+      role: member.role,
+      joinedAt: member.joinedAt,
+      lastReadAt: member.lastReadAt
+    })),
+    assistant: {
+      enabled: !!this.assistant?.enabled,
+      invitedBy: this.assistant?.invitedBy || null,
+      invitedAt: this.assistant?.invitedAt || null
+    },
+    lastMessage: this.lastMessage,
+    lastMessageTime: this.lastMessageTime,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Chat = mongoose.model('Chat', chatSchema);
+Chat.TYPES = CHAT_TYPES;
+Chat.MEMBER_ROLES = MEMBER_ROLES;
+Chat.ASSISTANT_ID = ASSISTANT_ID;
+
+module.exports = Chat;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const PLATFORMS = ['ios', 'android', 'web'];
+
+/**
+ * Push notification token of a user's device. A token belongs to one user at
+ * a time; registering it again moves it to the current user.
+ */
+const deviceTokenSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  platform: {
+    type: String,
+    enum: PLATFORMS,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Public representation returned by the API
+ * @returns {Object} Device fields (the token is shortened)
+ */
+deviceTokenSchema.methods.toPublicJSON = function () {
+  return {
+    id: this.id,
+    platform: this.platform,
+    tokenSuffix: this.token.slice(-8),
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const DeviceToken = mongoose.model('DeviceToken', deviceTokenSchema);
+DeviceToken.PLATFORMS = PLATFORMS;
+
+module.exports = DeviceToken;
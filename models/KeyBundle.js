@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * Public keys a user publishes for end-to-end encrypted chats (X3DH-style):
+ * a long-term identity key, a signed prekey and a pool of one-time prekeys.
+ * Keys are base64 strings generated on the client; private keys never reach
+ * the server.
+ */
+const keyBundleSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  identityKey: {
+    type: String,
+    required: true
+  },
+  signedPreKey: {
+    _id: false,
+    keyId: {
+      type: Number,
+      required: true
+    },
+    publicKey: {
+      type: String,
+      required: true
+    },
+    signature: {
+      type: String,
+      required: true
+    }
+  },
+  // Each one-time prekey is handed out once, then removed
+  oneTimePreKeys: [{
+    _id: false,
+    keyId: {
+      type: Number,
+      required: true
+    },
+    publicKey: {
+      type: String,
+      required: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+/**
+ * Bundle metadata shown to its owner
+ * @returns {Object} Keys without the one-time prekey pool
+ */
+keyBundleSchema.methods.toPublicJSON = function () {
+  return {
+    userId: this.userId,
+    identityKey: this.identityKey,
+    signedPreKey: {
+      keyId: this.signedPreKey.keyId,
+      publicKey: this.signedPreKey.publicKey,
+      signature: this.signedPreKey.signature
+    },
+    oneTimePreKeyCount: this.oneTimePreKeys.length,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('KeyBundle', keyBundleSchema);
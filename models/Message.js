@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+
+const MESSAGE_TYPES = ['text', 'image', 'audio', 'file', 'encrypted'];
+
+// Uploaded file stored through the storage service
+const attachmentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['image', 'audio', 'file'],
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  durationSeconds: {
+    type: Number,
+    default: null
+  },
+  // User whose storage quota the file counts against (forwarded copies share the file)
+  uploadedBy: {
+    type: String,
+    default: null
+  }
+});
+
+/**
+ * Chat message. Messages are ordered by `timestamp`, ties broken by `_id`.
+ */
+const messageSchema = new mongoose.Schema({
+  chatId: {
+    type: String,
+    required: true
+  },
+  senderId: {
+    type: String,
+    required: true
+  },
+  // Set for direct chats only; group messages go to every member
+  recipientId: {
+    type: String,
+    default: null
+  },
+  // Text, or caption of the attachments
+  message: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: MESSAGE_TYPES,
+    default: 'text'
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+  // Ciphertext of end-to-end encrypted messages; `message` stays empty and the server never sees the content
+  envelope: {
+    type: {
+      _id: false,
+      algorithm: String,
+      header: String,
+      ciphertext: String
+    },
+    default: null
+  },
+  // Quoted reply to another message in the same chat
+  replyToId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  forwardedFrom: {
+    type: {
+      _id: false,
+      messageId: mongoose.Schema.Types.ObjectId,
+      senderId: String
+    },
+    default: null
+  },
+  // Previous versions of the text, oldest first
+  editHistory: [{
+    _id: false,
+    message: String,
+    editedAt: Date
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  reactions: [{
+    _id: false,
+    emoji: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['sent', 'deleted'],
+    default: 'sent'
+  },
+  // Read receipt for direct chats (groups track `lastReadAt` per member)
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Paginated history of a chat
+messageSchema.index({ chatId: 1, timestamp: -1, _id: -1 });
+// Anonymizing a deleted sender
+messageSchema.index({ senderId: 1 });
+// Replies to a message
+messageSchema.index({ replyToId: 1, timestamp: 1 }, { partialFilterExpression: { replyToId: { $type: 'objectId' } } });
+// Attachments shared with forwarded copies
+messageSchema.index({ 'attachments.storageKey': 1 }, { partialFilterExpression: { 'attachments.0': { $exists: true } } });
+// Full-text search; no stemming since chats mix languages
+messageSchema.index({ message: 'text' }, { default_language: 'none' });
+
+/**
+ * Short text describing the message (chat list, quoted replies)
+ * @returns {string} Text or a label for attachments
+ */
+messageSchema.methods.preview = function () {
+  if (this.status === 'deleted') {
+    return '🚫 Message deleted';
+  }
+
+  if (this.type === 'encrypted') {
+    return '🔒 Encrypted message';
+  }
+
+  if (this.message) {
+    return this.message;
+  }
+
+  const [attachment] = this.attachments;
+  switch (attachment?.kind) {
+    case 'image':
+      return '📷 Photo';
+    case 'audio':
+      return '🎤 Voice message';
+    case 'file':
+      return `📎 ${attachment.fileName}`;
+    default:
+      return '';
+  }
+};
+
+/**
+ * Reactions grouped by emoji
+ * @returns {Object[]} [{ emoji, count, userIds }]
+ */
+messageSchema.methods.reactionSummary = function () {
+  const byEmoji = new Map();
+  this.reactions.forEach(({ emoji, userId }) => {
+    if (!byEmoji.has(emoji)) {
+      byEmoji.set(emoji, []);
+    }
+    byEmoji.get(emoji).push(userId);
+  });
+
+  return [...byEmoji.entries()].map(([emoji, userIds]) => ({ emoji, count: userIds.length, userIds }));
+};
+
+/**
+ * Public representation returned by the API
+ * @param {Object} [options] - Serialization options
+ * @param {Object} [options.replyTo] - The message replied to, when loaded
+ * @returns {Object} Message fields
+ */
+messageSchema.methods.toPublicJSON = function ({ replyTo } = {}) {
+  const isDeleted = this.status === 'deleted';
+
+  return {
+    id: this.id,
+    chatId: this.chatId,
+    senderId: this.senderId,
+    recipientId: this.recipientId,
+    // Deleting a message clears its content and files; never expose whatever is left
+    message: isDeleted ? null : this.message,
+    timestamp: this.timestamp,
+    type: this.type,
+    attachments: isDeleted ? [] : this.attachments.map(attachment => ({
+      id: attachment.id,
+      kind: attachment.kind,
+      fileName: attachment.fileName,
+      mimeType: attachment.mimeType,
+      size: attachment.size,
+      width: attachment.width,
+      height: attachment.height,
+      durationSeconds: attachment.durationSeconds,
+      url: `/api/chat/attachments/${this.id}/${attachment.id}`,
+      thumbnailUrl: attachment.thumbnailKey
+        ? `/api/chat/attachments/${this.id}/${attachment.id}/thumbnail`
+        : null
+    })),
+    replyTo: this.replyToId
+      ? {
+        id: this.replyToId.toString(),
+        senderId: replyTo?.senderId || null,
+        type: replyTo?.type || null,
+        preview: replyTo ? replyTo.preview() : null,
+        status: replyTo?.status || 'deleted'
+      }
+      : null,
+    envelope: this.envelope?.ciphertext && !isDeleted
+      ? { algorithm: this.envelope.algorithm, header: this.envelope.header, ciphertext: this.envelope.ciphertext }
+      : null,
+    forwardedFrom: this.forwardedFrom?.messageId
+      ? { messageId: this.forwardedFrom.messageId.toString(), senderId: this.forwardedFrom.senderId }
+      : null,
+    reactions: isDeleted ? [] : this.reactionSummary(),
+    edited: !!this.editedAt,
+    editedAt: this.editedAt,
+    status: this.status,
+    isRead: this.isRead,
+    readAt: this.readAt,
+    deletedAt: this.deletedAt
+  };
+};
+
+const Message = mongoose.model('Message', messageSchema);
+Message.TYPES = MESSAGE_TYPES;
+
+module.exports = Message;
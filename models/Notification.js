@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Events users can be notified about
+const TYPES = ['chat_message', 'marketplace_order', 'video_ready'];
+
+/**
+ * Entry of a user's in-app notification inbox
+ */
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  // What the notification points to (chat, order, video, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Inbox, newest first
+notificationSchema.index({ userId: 1, createdAt: -1 });
+// Inbox entries are kept for 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+/**
+ * Public representation returned by the API
+ * @returns {Object} Notification fields
+ */
+notificationSchema.methods.toPublicJSON = function () {
+  return {
+    id: this.id,
+    type: this.type,
+    title: this.title,
+    body: this.body,
+    data: this.data,
+    isRead: !!this.readAt,
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.TYPES = TYPES;
+
+module.exports = Notification;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Opaque refresh token, stored as a SHA-256 hash.
+ * Every login starts a new token family; each refresh rotates the token
+ * within its family so reuse of an already rotated token can be detected.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'reuse', 'user_inactive', 'password_reset', 'password_change', 'account_deleted', 'session_revoked', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired tokens are removed by MongoDB automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
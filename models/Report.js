@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Why a user was reported
+const REASONS = ['spam', 'harassment', 'hate_speech', 'violence', 'sexual_content', 'scam', 'other'];
+const STATUSES = ['open', 'resolved', 'dismissed'];
+
+/**
+ * User report in the moderation queue. Reported messages are copied when the
+ * report is filed so moderators see them even after they are edited or
+ * deleted.
+ */
+const reportSchema = new mongoose.Schema({
+  reporterId: {
+    type: String,
+    required: true
+  },
+  reportedUserId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  chatId: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  messages: [{
+    _id: false,
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    chatId: String,
+    senderId: String,
+    message: String,
+    type: {
+      type: String
+    },
+    attachments: [{
+      _id: false,
+      kind: String,
+      fileName: String,
+      mimeType: String,
+      size: Number
+    }],
+    timestamp: Date,
+    editedAt: Date
+  }],
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+  reviewedBy: {
+    type: String,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Moderation queue, oldest open report first
+reportSchema.index({ status: 1, createdAt: 1 });
+
+/**
+ * Public representation returned by the API
+ * @returns {Object} Report fields
+ */
+reportSchema.methods.toPublicJSON = function () {
+  return {
+    id: this.id,
+    reporterId: this.reporterId,
+    reportedUserId: this.reportedUserId,
+    chatId: this.chatId,
+    reason: this.reason,
+    details: this.details,
+    messages: this.messages.map(message => ({
+      messageId: message.messageId,
+      chatId: message.chatId,
+      senderId: message.senderId,
+      message: message.message,
+      type: message.type,
+      attachments: message.attachments,
+      timestamp: message.timestamp,
+      editedAt: message.editedAt
+    })),
+    status: this.status,
+    reviewedBy: this.reviewedBy,
+    reviewedAt: this.reviewedAt,
+    resolutionNote: this.resolutionNote,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Report = mongoose.model('Report', reportSchema);
+Report.REASONS = REASONS;
+Report.STATUSES = STATUSES;
+
+module.exports = Report;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login session on one device. `sessionId` is the refresh token family
+ * and the `sid` claim of every access token issued for the session.
+ */
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceName: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Expiry of the newest refresh token of the family; extended on every refresh
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Remove sessions once their refresh token family has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Public representation returned by the API
+ * @param {string} [currentSessionId] - Session making the request
+ * @returns {Object} Safe session fields
+ */
+sessionSchema.methods.toPublicJSON = function (currentSessionId) {
+  return {
+    id: this.sessionId,
+    deviceName: this.deviceName,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    current: this.sessionId === currentSessionId
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // Not set for accounts created through social login
+  password: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Linked OpenID Connect identities
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      default: null
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  firstName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  avatarUrl: {
+    type: String,
+    default: null
+  },
+  locale: {
+    type: String,
+    default: 'en'
+  },
+  bio: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  roles: {
+    type: [{
+      type: String,
+      enum: ROLES
+    }],
+    default: ['user']
+  },
+  // Last time the user disconnected from the chat gateway
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  privacy: {
+    // Whether other users may see `lastSeenAt`
+    showLastSeen: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Per notification type: push to devices and/or keep in the in-app inbox
+  notificationPreferences: {
+    chat_message: {
+      push: {
+        type: Boolean,
+        default: true
+      },
+      inbox: {
+        type: Boolean,
+        default: false
+      }
+    },
+    marketplace_order: {
+      push: {
+        type: Boolean,
+        default: true
+      },
+      inbox: {
+        type: Boolean,
+        default: true
+      }
+    },
+    video_ready: {
+      push: {
+        type: Boolean,
+        default: true
+      },
+      inbox: {
+        type: Boolean,
+        default: true
+      }
+    }
+  },
+  // Users who may not start chats with or message this user
+  blockedUsers: [{
+    _id: false,
+    userId: {
+      type: String,
+      required: true
+    },
+    blockedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted TOTP secrets (see services/totp.service.js)
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Who blocked a given user
+userSchema.index({ 'blockedUsers.userId': 1 });
+
+// Alias used by route handlers that read `req.user.userId`
+userSchema.virtual('userId').get(function () {
+  return this.id;
+});
+
+/**
+ * Check whether the user holds a role. Admins hold every role.
+ * @param {string} role - Role name
+ * @returns {boolean} True when the role is granted
+ */
+userSchema.methods.hasRole = function (role) {
+  return this.roles.includes('admin') || this.roles.includes(role);
+};
+
+/**
+ * Whether this user blocked another user
+ * @param {string} userId - Other user's ID
+ * @returns {boolean} True when blocked
+ */
+userSchema.methods.hasBlocked = function (userId) {
+  return this.blockedUsers.some(entry => entry.userId === userId);
+};
+
+/**
+ * Hash and set a new password
+ * @param {string} plainPassword - Password in plain text
+ * @returns {Promise<void>}
+ */
+userSchema.methods.setPassword = async function (plainPassword) {
+  this.password = await bcrypt.hash(plainPassword, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+};
+
+/**
+ * Compare a plain text password with the stored hash
+ * (the document must be loaded with `.select('+password')`)
+ * @param {string} plainPassword - Password in plain text
+ * @returns {Promise<boolean>} True when the password matches
+ */
+userSchema.methods.comparePassword = async function (plainPassword) {
+  if (!this.password) {
+    return false;
+  }
+
+  return bcrypt.compare(plainPassword, this.password);
+};
+
+/**
+ * Public representation returned by the API
+ * @returns {Object} Safe user fields
+ */
+userSchema.methods.toPublicJSON = function () {
+  return {
+    id: this.id,
+    email: this.email,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    avatarUrl: this.avatarUrl,
+    locale: this.locale,
+    bio: this.bio,
+    emailVerified: this.emailVerified,
+    roles: this.roles,
+    twoFactorEnabled: !!this.twoFactor?.enabled,
+    createdAt: this.createdAt
+  };
+};
+
+const User = mongoose.model('User', userSchema);
+User.ROLES = ROLES;
+
+module.exports = User;
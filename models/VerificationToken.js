@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Single-use token sent by email (password reset, email verification).
+ * Only the SHA-256 hash of the token is stored.
+ */
+const verificationTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification', 'email_change', 'reauthentication'],
+    required: true
+  },
+  // New address for 'email_change' tokens
+  email: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Expired tokens are removed by MongoDB automatically
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('VerificationToken', verificationTokenSchema);
@@ -0,0 +1,331 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const { authenticate, requireRole } = require('../middleware/auth');
+const router = express.Router();
+
+// Every admin endpoint requires the admin role
+router.use(authenticate, requireRole('admin'));
+
+// List users
+router.get('/users', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('role').optional().isIn(User.ROLES),
+  query('search').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { role, search } = req.query;
+
+    const filter = {};
+    if (role) {
+      filter.roles = role;
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+    }
+
+    const [users, totalUsers] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        users: users.map(user => ({ ...user.toPublicJSON(), isActive: user.isActive })),
+        pagination: {
+          currentPage: page,
+          itemsPerPage: limit,
+          totalItems: totalUsers,
+          totalPages: Math.ceil(totalUsers / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list users',
+      message: error.message
+    });
+  }
+});
+
+// Grant role
+router.post('/users/:userId/roles', [
+  param('userId').custom(value => mongoose.isValidObjectId(value)),
+  body('role').isIn(User.ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $addToSet: { roles: role } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    console.log(`[Admin] 🛡️ ${req.user.email} granted role "${role}" to ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Role ${role} granted`,
+      data: {
+        user: user.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to grant role',
+      message: error.message
+    });
+  }
+});
+
+// Revoke role
+router.delete('/users/:userId/roles/:role', [
+  param('userId').custom(value => mongoose.isValidObjectId(value)),
+  param('role').isIn(User.ROLES.filter(role => role !== 'user'))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userId, role } = req.params;
+
+    if (userId === req.user.id && role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot revoke your own admin role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $pull: { roles: role } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    console.log(`[Admin] 🛡️ ${req.user.email} revoked role "${role}" from ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Role ${role} revoked`,
+      data: {
+        user: user.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke role',
+      message: error.message
+    });
+  }
+});
+
+// List user reports (moderation queue), oldest first
+router.get('/reports', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(Report.STATUSES),
+  query('userId').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status = 'open', userId } = req.query;
+
+    const filter = { status };
+    if (userId) {
+      filter.reportedUserId = userId;
+    }
+
+    const [reports, totalReports] = await Promise.all([
+      Report.find(filter)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Report.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports: reports.map(report => report.toPublicJSON()),
+        pagination: {
+          currentPage: page,
+          itemsPerPage: limit,
+          totalItems: totalReports,
+          totalPages: Math.ceil(totalReports / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List reports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list reports',
+      message: error.message
+    });
+  }
+});
+
+// Get a report
+router.get('/reports/:reportId', [
+  param('reportId').custom(value => mongoose.isValidObjectId(value))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const report = await Report.findById(req.params.reportId);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        report: report.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get report',
+      message: error.message
+    });
+  }
+});
+
+// Resolve, dismiss or reopen a report
+router.patch('/reports/:reportId', [
+  param('reportId').custom(value => mongoose.isValidObjectId(value)),
+  body('status').isIn(Report.STATUSES),
+  body('resolutionNote').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, resolutionNote } = req.body;
+    const reviewed = status !== 'open';
+
+    const report = await Report.findByIdAndUpdate(
+      req.params.reportId,
+      {
+        $set: {
+          status,
+          reviewedBy: reviewed ? req.user.id : null,
+          reviewedAt: reviewed ? new Date() : null,
+          ...(resolutionNote !== undefined && { resolutionNote })
+        }
+      },
+      { new: true }
+    );
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    console.log(`[Admin] 🛡️ ${req.user.email} marked report ${report.id} as ${status}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Report ${status}`,
+      data: {
+        report: report.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Update report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update report',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,38 +1,131 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
 const axios = require('axios');
+const AiConversation = require('../models/AiConversation');
+const AiChatService = require('../services/aiChat.service');
+const AiConversationService = require('../services/aiConversation.service');
+const accountDeletion = require('../services/accountDeletion.service');
+const { authenticateWithScope } = require('../middleware/auth');
 const router = express.Router();
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({
+const aiChatService = new AiChatService();
+const aiConversationService = new AiConversationService({ aiChatService });
+
+const CHAT_MODEL_IDS = AiChatService.MODELS.map(model => model.id);
+
+// Delete a deleted user's AI conversations
+accountDeletion.register('aiConversations', async (userId) => {
+  const result = await AiConversation.deleteMany({ userId });
+  return { deletedConversations: result.deletedCount };
+});
+
+// Load a conversation of the current user; sends the error response and returns null otherwise
+const loadConversation = async (req, res, conversationId) => {
+  const conversation = await AiConversation.findOne({ _id: conversationId, userId: req.user.userId });
+
+  if (!conversation) {
+    res.status(404).json({
       success: false,
-      error: 'Token required'
+      error: 'Conversation not found'
     });
+    return null;
   }
 
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      error: 'Invalid token'
+  return conversation;
+};
+
+// Answers given when the AI provider is unavailable
+const FALLBACK_RESPONSES = [
+  "I'm sorry, I'm having trouble connecting to my AI services right now. Please try again later.",
+  "I apologize, but I'm experiencing technical difficulties. Please try your request again.",
+  "Due to high demand, I'm unable to process your request at the moment. Please try again shortly."
+];
+
+const fallbackResponse = () => FALLBACK_RESPONSES[Math.floor(Math.random() * FALLBACK_RESPONSES.length)];
+
+// Write one server-sent event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream a completion as server-sent events: `delta` events with the text as it
+// arrives, then `done` with the usage. The upstream request is aborted when the
+// client disconnects.
+const streamChat = async (req, res, { message, conversationHistory, model, conversation }) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  let streamed = false;
+  const result = await aiChatService.stream({
+    message,
+    conversationHistory,
+    model,
+    signal: controller.signal,
+    onDelta: (content) => {
+      streamed = true;
+      sendEvent(res, 'delta', { content });
+    }
+  });
+
+  if (controller.signal.aborted) {
+    console.log(`[AiChat] ⏹️ Client of ${req.user.userId} disconnected, stream aborted`);
+    return;
+  }
+
+  if (result.success) {
+    if (conversation) {
+      await aiConversationService.appendTurn(conversation, { message, response: result.response, model });
+    }
+
+    sendEvent(res, 'done', {
+      model,
+      usage: result.usage,
+      conversationId: conversation?.id || null,
+      timestamp: new Date().toISOString()
+    });
+  } else if (!streamed) {
+    // Nothing reached the client yet, answer like the non-streaming endpoint
+    sendEvent(res, 'delta', { content: fallbackResponse() });
+    sendEvent(res, 'done', {
+      model: 'fallback',
+      usage: null,
+      isFallback: true,
+      timestamp: new Date().toISOString()
     });
+  } else {
+    sendEvent(res, 'error', { error: result.error, errorType: result.errorType });
   }
+
+  res.end();
 };
 
-// AI Chat endpoint
+// AI Chat endpoint - continues a stored conversation (`conversationId`) or
+// takes the history from the client (user and assistant messages only)
 router.post('/chat', [
   body('message').notEmpty().trim(),
-  body('conversationHistory').optional().isArray(),
-  body('model').optional().isIn(['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo'])
-], verifyToken, async (req, res) => {
+  body('conversationId').optional().isMongoId(),
+  body('conversationHistory').optional().isArray()
+    .custom((value, { req }) => !req.body.conversationId)
+    .withMessage('Send either conversationId or conversationHistory'),
+  body('conversationHistory.*.role').isIn(AiConversation.ROLES)
+    .withMessage(`Message role must be one of: ${AiConversation.ROLES.join(', ')}`),
+  body('conversationHistory.*.content').isString(),
+  body('model').optional().isIn(CHAT_MODEL_IDS),
+  body('stream').optional().isBoolean()
+], authenticateWithScope('ai:chat'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -43,77 +136,71 @@ router.post('/chat', [
       });
     }
 
-    const { message, conversationHistory = [], model = 'gpt-3.5-turbo' } = req.body;
-    const userId = req.user.userId;
+    const { message, conversationId, stream = false } = req.body;
+
+    let conversation = null;
+    if (conversationId) {
+      conversation = await loadConversation(req, res, conversationId);
+      if (!conversation) {
+        return;
+      }
+    }
+
+    const model = req.body.model || conversation?.model || 'gpt-3.5-turbo';
 
     // Check OpenAI API key
-    if (!process.env.OPENAI_API_KEY) {
+    if (!aiChatService.isConfigured()) {
       return res.status(500).json({
         success: false,
         error: 'AI service not configured'
       });
     }
 
-    // Prepare messages for OpenAI
-    const messages = [
-      {
-        role: 'system',
-        content: 'You are a helpful AI assistant for the FayStar app. Provide helpful, concise, and accurate responses.'
-      },
-      ...conversationHistory,
-      {
-        role: 'user',
-        content: message
-      }
-    ];
+    const conversationHistory = conversation
+      ? await aiConversationService.buildHistory(conversation, { model, message })
+      : aiConversationService.trimHistory(
+        (req.body.conversationHistory || []).map(({ role, content }) => ({ role, content })),
+        { model, message }
+      );
 
-    try {
-      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-        model,
-        messages,
-        max_tokens: 1000,
-        temperature: 0.7
-      }, {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      });
+    if (stream === true || stream === 'true') {
+      return await streamChat(req, res, { message, conversationHistory, model, conversation });
+    }
 
-      const aiResponse = response.data.choices[0].message.content;
+    const result = await aiChatService.complete({ message, conversationHistory, model });
 
-      res.status(200).json({
-        success: true,
-        data: {
-          response: aiResponse,
-          model,
-          usage: response.data.usage,
-          timestamp: new Date().toISOString()
-        }
-      });
-    } catch (openaiError) {
-      console.error('OpenAI API error:', openaiError);
-      
-      // Fallback response
-      const fallbackResponses = [
-        "I'm sorry, I'm having trouble connecting to my AI services right now. Please try again later.",
-        "I apologize, but I'm experiencing technical difficulties. Please try your request again.",
-        "Due to high demand, I'm unable to process your request at the moment. Please try again shortly."
-      ];
+    if (result.success) {
+      if (conversation) {
+        await aiConversationService.appendTurn(conversation, { message, response: result.response, model });
+      }
 
-      res.status(200).json({
+      return res.status(200).json({
         success: true,
         data: {
-          response: fallbackResponses[Math.floor(Math.random() * fallbackResponses.length)],
-          model: 'fallback',
-          isFallback: true,
+          response: result.response,
+          model,
+          usage: result.usage,
+          conversationId: conversation?.id || null,
           timestamp: new Date().toISOString()
         }
       });
     }
+
+    // Fallback response
+    res.status(200).json({
+      success: true,
+      data: {
+        response: fallbackResponse(),
+        model: 'fallback',
+        isFallback: true,
+        timestamp: new Date().toISOString()
+      }
+    });
   } catch (error) {
     console.error('AI chat error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to process AI chat request',
@@ -127,7 +214,7 @@ router.post('/voice', [
   body('text').notEmpty().trim(),
   body('voice').optional().isIn(['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer']),
   body('speed').optional().isFloat({ min: 0.25, max: 4.0 })
-], verifyToken, async (req, res) => {
+], authenticateWithScope('ai:voice'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -213,7 +300,7 @@ router.post('/image', [
   body('size').optional().isIn(['256x256', '512x512', '1024x1024']),
   body('quality').optional().isIn(['standard', 'hd']),
   body('style').optional().isIn(['vivid', 'natural'])
-], verifyToken, async (req, res) => {
+], authenticateWithScope('ai:image'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -305,7 +392,7 @@ router.post('/image', [
 router.post('/analyze', [
   body('text').notEmpty().trim(),
   body('type').isIn(['sentiment', 'keywords', 'summary', 'language'])
-], verifyToken, async (req, res) => {
+], authenticateWithScope('ai:analyze'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -392,33 +479,227 @@ router.post('/analyze', [
   }
 });
 
+// Conversation ID in the URL
+const conversationIdParam = param('conversationId').custom(value => mongoose.isValidObjectId(value));
+
+// List AI conversations, most recently active first (without messages)
+router.get('/conversations', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], authenticateWithScope('ai:chat'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { userId: req.user.userId };
+
+    const [conversations, totalConversations] = await Promise.all([
+      AiConversation.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AiConversation.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        conversations: conversations.map(conversation => conversation.toPublicJSON()),
+        pagination: {
+          currentPage: page,
+          itemsPerPage: limit,
+          totalItems: totalConversations,
+          totalPages: Math.ceil(totalConversations / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List AI conversations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list conversations',
+      message: error.message
+    });
+  }
+});
+
+// Start an AI conversation
+router.post('/conversations', [
+  body('title').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('model').optional().isIn(CHAT_MODEL_IDS)
+], authenticateWithScope('ai:chat'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const conversation = await AiConversation.create({
+      userId: req.user.userId,
+      title: req.body.title || AiConversation.DEFAULT_TITLE,
+      model: req.body.model || 'gpt-3.5-turbo'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Conversation created',
+      data: {
+        conversation: conversation.toPublicJSON({ includeMessages: true })
+      }
+    });
+  } catch (error) {
+    console.error('Create AI conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create conversation',
+      message: error.message
+    });
+  }
+});
+
+// Get an AI conversation with its messages
+router.get('/conversations/:conversationId', [
+  conversationIdParam
+], authenticateWithScope('ai:chat'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const conversation = await loadConversation(req, res, req.params.conversationId);
+    if (!conversation) {
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        conversation: conversation.toPublicJSON({ includeMessages: true })
+      }
+    });
+  } catch (error) {
+    console.error('Get AI conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get conversation',
+      message: error.message
+    });
+  }
+});
+
+// Rename an AI conversation or change its model
+router.patch('/conversations/:conversationId', [
+  conversationIdParam,
+  body('title').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('model').optional().isIn(CHAT_MODEL_IDS)
+], authenticateWithScope('ai:chat'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const update = {};
+    if (req.body.title !== undefined) {
+      update.title = req.body.title;
+    }
+    if (req.body.model !== undefined) {
+      update.model = req.body.model;
+    }
+
+    const conversation = await AiConversation.findOneAndUpdate(
+      { _id: req.params.conversationId, userId: req.user.userId },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation updated',
+      data: {
+        conversation: conversation.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Update AI conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update conversation',
+      message: error.message
+    });
+  }
+});
+
+// Delete an AI conversation
+router.delete('/conversations/:conversationId', [
+  conversationIdParam
+], authenticateWithScope('ai:chat'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await AiConversation.deleteOne({ _id: req.params.conversationId, userId: req.user.userId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation deleted'
+    });
+  } catch (error) {
+    console.error('Delete AI conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete conversation',
+      message: error.message
+    });
+  }
+});
+
 // AI models info endpoint
-router.get('/models', verifyToken, async (req, res) => {
+router.get('/models', authenticateWithScope('ai:chat'), async (req, res) => {
   try {
     const models = {
-      chat: [
-        {
-          id: 'gpt-3.5-turbo',
-          name: 'GPT-3.5 Turbo',
-          description: 'Fast and efficient for most tasks',
-          maxTokens: 4096,
-          cost: 0.002
-        },
-        {
-          id: 'gpt-4',
-          name: 'GPT-4',
-          description: 'More capable for complex tasks',
-          maxTokens: 8192,
-          cost: 0.03
-        },
-        {
-          id: 'gpt-4-turbo',
-          name: 'GPT-4 Turbo',
-          description: 'Latest and most powerful model',
-          maxTokens: 128000,
-          cost: 0.01
-        }
-      ],
+      chat: AiChatService.MODELS,
       voice: [
         {
           id: 'alloy',
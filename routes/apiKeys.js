@@ -0,0 +1,207 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyService = require('../services/apiKey.service');
+const AuditService = require('../services/audit.service');
+const accountDeletion = require('../services/accountDeletion.service');
+const { authenticate } = require('../middleware/auth');
+const router = express.Router();
+
+const apiKeyService = new ApiKeyService();
+const auditService = new AuditService();
+
+// Keys can only be managed from a signed-in session, never with another API key
+router.use(authenticate);
+
+// Revoke a deleted user's API keys
+accountDeletion.register('apiKeys', async (userId) => {
+  const revokedKeys = await apiKeyService.revokeAllForUser(userId, 'account_deleted');
+  return { revokedKeys };
+});
+
+// Map service error types to HTTP status codes
+const statusForError = (errorType) => ({
+  PREMIUM_REQUIRED: 403,
+  API_KEY_LIMIT_REACHED: 409,
+  API_KEY_NOT_FOUND: 404
+}[errorType] || 400);
+
+// List API keys
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.list(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(apiKey => apiKey.toPublicJSON()),
+        availableScopes: ApiKey.SCOPES,
+        apiAccess: apiKeyService.hasApiAccess(req.user.id)
+      }
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys',
+      message: error.message
+    });
+  }
+});
+
+// Create API key - the key is only returned once
+router.post('/', [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(ApiKey.SCOPES),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const result = await apiKeyService.create(req.user.id, {
+      name,
+      scopes,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+        : null
+    });
+
+    if (!result.success) {
+      return res.status(statusForError(result.errorType)).json({
+        success: false,
+        error: result.error,
+        errorType: result.errorType
+      });
+    }
+
+    await auditService.record('api_key_created', {
+      userId: req.user.id,
+      actorId: req.user.id,
+      ip: req.ip,
+      metadata: { apiKeyId: result.apiKey.id, prefix: result.apiKey.prefix, scopes: result.apiKey.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again',
+      data: {
+        apiKey: result.apiKey.toPublicJSON(),
+        key: result.key
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+// Rotate API key - the old key stops working immediately
+router.post('/:keyId/rotate', [
+  param('keyId').custom(value => mongoose.isValidObjectId(value))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await apiKeyService.rotate(req.user.id, req.params.keyId);
+
+    if (!result.success) {
+      return res.status(statusForError(result.errorType)).json({
+        success: false,
+        error: result.error,
+        errorType: result.errorType
+      });
+    }
+
+    await auditService.record('api_key_rotated', {
+      userId: req.user.id,
+      actorId: req.user.id,
+      ip: req.ip,
+      metadata: { previousApiKeyId: req.params.keyId, apiKeyId: result.apiKey.id, prefix: result.apiKey.prefix }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key rotated. Copy it now - it will not be shown again',
+      data: {
+        apiKey: result.apiKey.toPublicJSON(),
+        key: result.key
+      }
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key',
+      message: error.message
+    });
+  }
+});
+
+// Revoke API key
+router.delete('/:keyId', [
+  param('keyId').custom(value => mongoose.isValidObjectId(value))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const revoked = await apiKeyService.revoke(req.user.id, req.params.keyId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        errorType: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    await auditService.record('api_key_revoked', {
+      userId: req.user.id,
+      actorId: req.user.id,
+      ip: req.ip,
+      metadata: { apiKeyId: req.params.keyId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const ElevenLabsService = require('../services/elevenLabs.service');
+const { authenticateWithScope } = require('../middleware/auth');
 const router = express.Router();
 
 // Initialize ElevenLabs Service
@@ -15,32 +16,6 @@ try {
   elevenLabsService = null;
 }
 
-// Middleware to verify JWT token (reused from existing AI routes)
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Token required',
-      errorType: 'AUTHENTICATION_ERROR'
-    });
-  }
-
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      error: 'Invalid token',
-      errorType: 'AUTHENTICATION_ERROR'
-    });
-  }
-};
-
 /**
  * POST /api/audio/tts
  * Generate speech from text using ElevenLabs
@@ -73,7 +48,7 @@ router.post('/tts', [
     .withMessage('Voice ID must be a string')
     .isLength({ min: 10 })
     .withMessage('Invalid voice ID format')
-], verifyToken, async (req, res) => {
+], authenticateWithScope('audio:tts'), async (req, res) => {
   const requestId = `api_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   const userId = req.user.userId;
   
@@ -1,21 +1,197 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const RefreshTokenService = require('../services/refreshToken.service');
+const SessionService = require('../services/session.service');
+const VerificationTokenService = require('../services/verificationToken.service');
+const MailerService = require('../services/mailer.service');
+const LoginThrottleService = require('../services/loginThrottle.service');
+const TotpService = require('../services/totp.service');
+const AuditService = require('../services/audit.service');
+const OidcService = require('../services/oidc.service');
+const accountDeletion = require('../services/accountDeletion.service');
+const { authenticate, parseBearerToken } = require('../middleware/auth');
 const router = express.Router();
 
-// Mock user database (in production, use MongoDB)
-const users = [];
+const refreshTokenService = new RefreshTokenService();
+const sessionService = new SessionService();
+const verificationTokenService = new VerificationTokenService();
+const mailer = new MailerService();
+const loginThrottle = new LoginThrottleService();
+const totpService = new TotpService();
+const auditService = new AuditService();
+const oidcService = new OidcService();
 
-// Generate JWT token
-const generateToken = (userId, email) => {
+// Generate short-lived JWT access token bound to a login session
+const generateToken = (user, sessionId) => {
   return jwt.sign(
-    { userId, email },
+    { userId: user.id, email: user.email, roles: user.roles, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
+// Start a new login session: access token plus rotating refresh token
+const issueSession = async (user, req) => {
+  const { deviceName } = req.body;
+  const { refreshToken, sessionId } = await sessionService.create(user.id, {
+    deviceName: typeof deviceName === 'string' ? deviceName.trim().slice(0, 100) : undefined,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return {
+    token: generateToken(user, sessionId),
+    sessionId,
+    refreshToken,
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+  };
+};
+
+// Generate short-lived token proving the password step of a two-factor login
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { userId: user.id, purpose: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  );
+};
+
+// Check a TOTP code or recovery code; each code is accepted only once
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findById(userId)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+  if (!user || !user.twoFactor.enabled) {
+    return false;
+  }
+
+  if (code) {
+    const step = totpService.verify(
+      totpService.decryptSecret(user.twoFactor.secret),
+      code,
+      user.twoFactor.lastUsedStep
+    );
+    if (step === null) {
+      return false;
+    }
+
+    // Record the step atomically so the same code can't be replayed
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const codeHash = totpService.hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+      { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+// Check the confirmation of a sensitive action without using it up: the password, or an
+// emailed reauthentication token for accounts created through social login, which have no password
+const checkReauthentication = async (user, { password, reauthToken }) => {
+  if (user.password) {
+    return !!password && user.comparePassword(password);
+  }
+
+  if (!reauthToken) {
+    return false;
+  }
+
+  const token = await verificationTokenService.find(reauthToken, 'reauthentication');
+  return !!token && token.user.equals(user._id);
+};
+
+// Spend an emailed reauthentication token once every other check of the action has passed
+const completeReauthentication = async (user, { reauthToken }) => {
+  if (user.password) {
+    return true;
+  }
+
+  const token = await verificationTokenService.consume(reauthToken, 'reauthentication');
+  return !!token && token.user.equals(user._id);
+};
+
+// Confirm a sensitive action, using up an emailed reauthentication token
+const verifyReauthentication = async (user, credentials) => (
+  await checkReauthentication(user, credentials) && completeReauthentication(user, credentials)
+);
+
+// Error response for a failed reauthentication
+const reauthenticationError = (user) => (user.password
+  ? { success: false, error: 'Invalid password' }
+  : {
+    success: false,
+    error: 'Invalid or expired confirmation code. Request one with POST /api/auth/reauthenticate.',
+    errorType: 'REAUTHENTICATION_REQUIRED'
+  });
+
+// Find the user behind an OpenID Connect identity, linking or creating the account if needed
+const findOrCreateOidcUser = async (provider, claims) => {
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: { provider, subject: claims.sub } }
+  });
+  if (linkedUser) {
+    return { user: linkedUser, isNewUser: false };
+  }
+
+  if (!claims.email) {
+    return { user: null, isNewUser: false };
+  }
+
+  const email = claims.email.toLowerCase();
+  // Apple sends email_verified as a string
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const identity = { provider, subject: claims.sub, email };
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    // Only link to an existing account when the provider vouches for the address
+    if (!emailVerified) {
+      return { user: null, isNewUser: false, conflict: true };
+    }
+
+    existingUser.identities.push(identity);
+    await existingUser.save();
+
+    await auditService.record('oidc_identity_linked', {
+      userId: existingUser.id,
+      metadata: { provider, subject: claims.sub }
+    });
+
+    return { user: existingUser, isNewUser: false };
+  }
+
+  const nameParts = (claims.name || '').trim().split(/\s+/).filter(Boolean);
+  const newUser = await User.create({
+    email,
+    firstName: claims.given_name || nameParts[0] || 'FayStar',
+    lastName: claims.family_name || nameParts.slice(1).join(' ') || 'User',
+    avatarUrl: claims.picture || null,
+    emailVerified,
+    emailVerifiedAt: emailVerified ? new Date() : null,
+    identities: [identity]
+  });
+
+  return { user: newUser, isNewUser: true };
+};
+
 // Register endpoint
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -36,7 +212,7 @@ router.post('/register', [
     const { email, password, firstName, lastName } = req.body;
 
     // Check if user already exists
-    const existingUser = users.find(user => user.email === email);
+    const existingUser = await User.exists({ email });
     if (existingUser) {
       return res.status(409).json({
         success: false,
@@ -44,40 +220,46 @@ router.post('/register', [
       });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+    // Bootstrap administrators listed in ADMIN_EMAILS
+    const adminEmails = (process.env.ADMIN_EMAILS || '')
+      .split(',')
+      .map(adminEmail => adminEmail.trim().toLowerCase())
+      .filter(Boolean);
 
-    // Create user
-    const newUser = {
-      id: Date.now().toString(),
+    // Create user with hashed password (email unverified until confirmed)
+    const newUser = new User({
       email,
-      password: hashedPassword,
       firstName,
       lastName,
-      createdAt: new Date().toISOString(),
-      isActive: true
-    };
+      roles: adminEmails.includes(email) ? ['user', 'admin'] : ['user']
+    });
+    await newUser.setPassword(password);
+    await newUser.save();
 
-    users.push(newUser);
+    // Send email verification link
+    const verification = await verificationTokenService.create(newUser.id, 'email_verification');
+    await mailer.sendEmailVerification(newUser, verification.token);
 
-    // Generate token
-    const token = generateToken(newUser.id, newUser.email);
+    // Start session
+    const session = await issueSession(newUser, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
-        user: {
-          id: newUser.id,
-          email: newUser.email,
-          firstName: newUser.firstName,
-          lastName: newUser.lastName,
-          createdAt: newUser.createdAt
-        },
-        token
+        user: newUser.toPublicJSON(),
+        ...session
       }
     });
   } catch (error) {
+    // Unique email index violation (concurrent registration)
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'User already exists'
+      });
+    }
+
     console.error('Registration error:', error);
     res.status(500).json({
       success: false,
@@ -104,39 +286,63 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    // Find user
-    const user = users.find(u => u.email === email);
-    if (!user) {
-      return res.status(401).json({
+    // Enforce lockouts and progressive delays
+    const throttle = await loginThrottle.check({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
         success: false,
-        error: 'Invalid credentials'
+        error: throttle.error,
+        errorType: throttle.errorType,
+        retryAfter: throttle.retryAfter
       });
     }
 
-    // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // Find user and check password; disabled accounts fail like unknown ones
+    const user = await User.findOne({ email }).select('+password');
+    const isPasswordValid = user?.isActive ? await user.comparePassword(password) : false;
+
     if (!isPasswordValid) {
+      const failure = await loginThrottle.recordFailure({ email, ip: req.ip, userId: user?.id });
+
+      if (failure.accountLocked) {
+        return res.status(429).json({
+          success: false,
+          error: 'Account temporarily locked after too many failed login attempts. Reset your password to unlock it now.',
+          errorType: 'ACCOUNT_LOCKED'
+        });
+      }
+
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id, user.email);
+    // Second step required - the session is issued by /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user),
+          expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+        }
+      });
+    }
+
+    await loginThrottle.recordSuccess({ email });
+
+    // Start session
+    const session = await issueSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          createdAt: user.createdAt
-        },
-        token
+        user: user.toPublicJSON(),
+        ...session
       }
     });
   } catch (error) {
@@ -149,99 +355,1129 @@ router.post('/login', [
   }
 });
 
-// Refresh token endpoint
-router.post('/refresh', [
-  body('token').notEmpty()
+// Complete two-factor login with a TOTP code or a recovery code
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
 ], async (req, res) => {
   try {
-    const { token } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty() || (!req.body.code && !req.body.recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.isEmpty() ? [{ msg: 'code or recoveryCode is required' }] : errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      challenge = null;
+    }
 
-    if (!token) {
+    if (!challenge || challenge.purpose !== '2fa_challenge') {
       return res.status(401).json({
         success: false,
-        error: 'Token required'
+        error: 'Invalid or expired challenge token',
+        errorType: 'INVALID_CHALLENGE'
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user
-    const user = users.find(u => u.id === decoded.userId);
-    if (!user) {
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge token',
+        errorType: 'INVALID_CHALLENGE'
+      });
+    }
+
+    // Codes share the login failure counters
+    const throttle = await loginThrottle.check({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: throttle.error,
+        errorType: throttle.errorType,
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const isCodeValid = await verifySecondFactor(user.id, { code, recoveryCode });
+    if (!isCodeValid) {
+      await loginThrottle.recordFailure({ email: user.email, ip: req.ip, userId: user.id });
+
       return res.status(401).json({
         success: false,
-        error: 'User not found'
+        error: 'Invalid two-factor code',
+        errorType: 'INVALID_2FA_CODE'
       });
     }
 
-    // Generate new token
-    const newToken = generateToken(user.id, user.email);
+    await loginThrottle.recordSuccess({ email: user.email });
+
+    // Start session
+    const session = await issueSession(user, req);
 
     res.status(200).json({
       success: true,
-      message: 'Token refreshed successfully',
+      message: 'Login successful',
       data: {
-        token: newToken
+        user: user.toPublicJSON(),
+        ...session
       }
     });
   } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(401).json({
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid token'
+      error: 'Login failed',
+      message: error.message
     });
   }
 });
 
-// Logout endpoint
-router.post('/logout', (req, res) => {
-  // In a real implementation, you would blacklist the token
+// List configured social login providers
+router.get('/oidc/providers', (req, res) => {
   res.status(200).json({
     success: true,
-    message: 'Logout successful'
+    data: {
+      providers: oidcService.listProviders()
+    }
   });
 });
 
-// Get current user profile
-router.get('/profile', async (req, res) => {
+// Start social login - returns the provider authorization URL (PKCE)
+router.get('/oidc/:provider/authorize', [
+  param('provider').isString().toLowerCase(),
+  query('redirectUri').optional().isString()
+], async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
+    const { provider } = req.params;
+
+    const result = await oidcService.createAuthorization(provider, req.query.redirectUri);
+    if (!result.success) {
+      const statusCode = result.errorType === 'PROVIDER_UNAVAILABLE' ? 503 : 400;
+      return res.status(statusCode).json({
+        success: false,
+        error: result.error,
+        errorType: result.errorType
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        authorizationUrl: result.authorizationUrl,
+        state: result.state
+      }
+    });
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start social login',
+      message: error.message
+    });
+  }
+});
+
+// Complete social login with the authorization code from the provider redirect
+router.post('/oidc/:provider/callback', [
+  param('provider').isString().toLowerCase(),
+  body('code').isString().notEmpty(),
+  body('state').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        error: 'Token required'
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = users.find(u => u.id === decoded.userId);
+    const { provider } = req.params;
+    const { code, state } = req.body;
+
+    const result = await oidcService.completeAuthorization(provider, { code, state });
+    if (!result.success) {
+      const statusCode = result.errorType === 'PROVIDER_UNAVAILABLE' ? 503 : 401;
+      return res.status(statusCode).json({
+        success: false,
+        error: result.error,
+        errorType: result.errorType
+      });
+    }
 
+    const { user, isNewUser, conflict } = await findOrCreateOidcUser(provider, result.claims);
     if (!user) {
-      return res.status(404).json({
+      return res.status(conflict ? 409 : 400).json({
+        success: false,
+        error: conflict
+          ? 'An account with this email already exists. Sign in with your password to continue.'
+          : 'Login provider did not return an email address',
+        errorType: conflict ? 'ACCOUNT_EXISTS' : 'EMAIL_REQUIRED'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account is disabled'
+      });
+    }
+
+    // Second step still required for accounts with 2FA
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user),
+          expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+        }
+      });
+    }
+
+    // Start session
+    const session = await issueSession(user, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toPublicJSON(),
+        isNewUser,
+        ...session
+      }
+    });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Social login failed',
+      message: error.message
+    });
+  }
+});
+
+// Refresh token endpoint
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token required'
+      });
+    }
+
+    const { refreshToken } = req.body;
+
+    // Rotate refresh token (revokes the whole family on reuse)
+    const result = await refreshTokenService.rotate(refreshToken);
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+        errorType: result.errorType
+      });
+    }
+
+    const session = await sessionService.findActive(result.family);
+    if (!session) {
+      await refreshTokenService.revokeFamily(result.family, 'session_revoked');
+      return res.status(401).json({
         success: false,
-        error: 'User not found'
+        error: 'Session has been revoked',
+        errorType: 'SESSION_REVOKED'
       });
     }
+    await sessionService.touch(session, req.ip);
+
+    // Generate new access token for the same session
+    const newToken = generateToken(result.user, result.family);
 
     res.status(200).json({
       success: true,
+      message: 'Token refreshed successfully',
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          createdAt: user.createdAt
+        token: newToken,
+        refreshToken: result.refreshToken,
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+      }
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed',
+      message: error.message
+    });
+  }
+});
+
+// Logout endpoint - revokes the session behind the refresh token or access token
+router.post('/logout', [
+  body('refreshToken').optional().isString()
+], async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    let sessionId = null;
+
+    if (refreshToken) {
+      const stored = await refreshTokenService.findByToken(refreshToken);
+      sessionId = stored?.family || null;
+    } else {
+      const token = parseBearerToken(req);
+      if (token) {
+        try {
+          sessionId = jwt.verify(token, process.env.JWT_SECRET).sid || null;
+        } catch (error) {
+          sessionId = null;
         }
       }
+    }
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token or valid access token required'
+      });
+    }
+
+    await refreshTokenService.revokeFamily(sessionId, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logout successful'
     });
   } catch (error) {
-    console.error('Profile error:', error);
-    res.status(401).json({
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed',
+      message: error.message
+    });
+  }
+});
+
+// Request password reset email
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+    if (user && user.isActive) {
+      const reset = await verificationTokenService.create(user.id, 'password_reset');
+      await mailer.sendPasswordReset(user, reset.token);
+    }
+
+    // Same response whether or not the account exists
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid token'
+      error: 'Failed to request password reset',
+      message: error.message
+    });
+  }
+});
+
+// Reset password with emailed token
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const resetToken = await verificationTokenService.consume(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    await user.setPassword(password);
+
+    // The reset link was delivered to the inbox, which proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every existing session and lift any login lockout
+    await sessionService.revokeAll(user.id, 'password_reset');
+    await loginThrottle.unlockAccount({ email: user.email, userId: user.id, ip: req.ip });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password',
+      message: error.message
+    });
+  }
+});
+
+// Confirm email address with emailed token
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const verificationToken = await verificationTokenService.consume(req.body.token, 'email_verification');
+    if (!verificationToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      verificationToken.user,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: user.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify email',
+      message: error.message
+    });
+  }
+});
+
+// Resend email verification link
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email already verified'
+      });
+    }
+
+    const verification = await verificationTokenService.create(req.user.id, 'email_verification');
+    await mailer.sendEmailVerification(req.user, verification.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email',
+      message: error.message
+    });
+  }
+});
+
+// Start two-factor enrollment
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication already enabled'
+      });
+    }
+
+    const secret = totpService.generateSecret();
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { 'twoFactor.pendingSecret': totpService.encryptSecret(secret) } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totpService.getProvisioningUri(secret, req.user.email)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup',
+      message: error.message
+    });
+  }
+});
+
+// Confirm two-factor enrollment and receive recovery codes
+router.post('/2fa/confirm', [
+  body('code').isString().notEmpty()
+], authenticate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor setup not started'
+      });
+    }
+
+    const secret = totpService.decryptSecret(user.twoFactor.pendingSecret);
+    const step = totpService.verify(secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        errorType: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const recovery = totpService.generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.pendingSecret': null,
+          'twoFactor.recoveryCodes': recovery.hashes,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date()
+        }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe - they are shown only once.',
+      data: {
+        recoveryCodes: recovery.codes
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication',
+      message: error.message
+    });
+  }
+});
+
+// Regenerate recovery codes
+router.post('/2fa/recovery-codes', [
+  body('code').isString().notEmpty()
+], authenticate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isCodeValid = await verifySecondFactor(req.user.id, { code: req.body.code });
+    if (!isCodeValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        errorType: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const recovery = totpService.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { 'twoFactor.recoveryCodes': recovery.hashes } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes: recovery.codes
+      }
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes',
+      message: error.message
+    });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/2fa/disable', [
+  body('password').optional().isString(),
+  body('reauthToken').optional().isString(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], authenticate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty() || (!req.body.code && !req.body.recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.isEmpty() ? [{ msg: 'code or recoveryCode is required' }] : errors.array()
+      });
+    }
+
+    const { password, reauthToken, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await checkReauthentication(user, { password, reauthToken }))) {
+      return res.status(401).json(reauthenticationError(user));
+    }
+
+    // A mistyped code must not burn the emailed confirmation code
+    const isCodeValid = await verifySecondFactor(user.id, { code, recoveryCode });
+    if (!isCodeValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        errorType: 'INVALID_2FA_CODE'
+      });
+    }
+
+    if (!(await completeReauthentication(user, { reauthToken }))) {
+      return res.status(401).json(reauthenticationError(user));
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': false,
+          'twoFactor.secret': null,
+          'twoFactor.pendingSecret': null,
+          'twoFactor.recoveryCodes': [],
+          'twoFactor.lastUsedStep': null,
+          'twoFactor.enabledAt': null
+        }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      message: error.message
+    });
+  }
+});
+
+// Get current user profile
+router.get('/profile', authenticate, async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        user: req.user.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get profile',
+      message: error.message
+    });
+  }
+});
+
+// List active sessions (devices) of the current user
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActive(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.toPublicJSON(req.auth.sessionId))
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions',
+      message: error.message
+    });
+  }
+});
+
+// Sign out every session except the current one
+router.post('/sessions/revoke-others', authenticate, async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAll(req.user.id, 'session_revoked', req.auth.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions signed out',
+      data: {
+        revokedCount
+      }
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+      message: error.message
+    });
+  }
+});
+
+// Sign out a single session
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+  try {
+    const revoked = await sessionService.revoke(req.user.id, req.params.sessionId, 'session_revoked');
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+      message: error.message
+    });
+  }
+});
+
+// Update profile fields
+router.patch('/profile', [
+  body('firstName').optional().notEmpty().trim(),
+  body('lastName').optional().notEmpty().trim(),
+  body('avatarUrl').optional({ values: 'null' }).isURL({ protocols: ['http', 'https'], require_protocol: true }),
+  body('locale').optional().matches(/^[a-z]{2}(-[A-Z]{2})?$/),
+  body('bio').optional().isString().isLength({ max: 500 }).trim()
+], authenticate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const updatableFields = ['firstName', 'lastName', 'avatarUrl', 'locale', 'bio'];
+    updatableFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        req.user[field] = req.body[field];
+      }
+    });
+
+    await req.user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: req.user.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile',
+      message: error.message
+    });
+  }
+});
+
+// Change password (signs out every other session)
+router.post('/change-password', [
+  body('currentPassword').notEmpty(),
+  body('newPassword').isLength({ min: 6 })
+], authenticate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    await user.setPassword(newPassword);
+    await user.save();
+
+    await sessionService.revokeAll(user.id, 'password_change', req.auth.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password',
+      message: error.message
+    });
+  }
+});
+
+// Email a confirmation code for sensitive actions (accounts without a password)
+router.post('/reauthenticate', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+    if (user.password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Confirm with your password instead',
+        errorType: 'PASSWORD_SET'
+      });
+    }
+
+    const reauthentication = await verificationTokenService.create(user.id, 'reauthentication');
+    await mailer.sendReauthentication(user, reauthentication.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Confirmation code sent to your email address',
+      data: {
+        expiresAt: reauthentication.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Reauthentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send confirmation code',
+      message: error.message
+    });
+  }
+});
+
+// Request email change - the new address must be confirmed before it is used
+router.post('/change-email', [
+  body('newEmail').isEmail().normalizeEmail(),
+  body('password').optional().isString(),
+  body('reauthToken').optional().isString()
+], authenticate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { newEmail, password, reauthToken } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await verifyReauthentication(user, { password, reauthToken }))) {
+      return res.status(401).json(reauthenticationError(user));
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'New email must be different from the current one'
+      });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email already in use'
+      });
+    }
+
+    const change = await verificationTokenService.create(user.id, 'email_change', { email: newEmail });
+    await mailer.sendEmailChange(user, newEmail, change.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Confirmation link sent to the new email address'
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change email',
+      message: error.message
+    });
+  }
+});
+
+// Confirm email change with the token sent to the new address
+router.post('/confirm-email-change', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const changeToken = await verificationTokenService.consume(req.body.token, 'email_change');
+    if (!changeToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired confirmation token'
+      });
+    }
+
+    const user = await User.findById(changeToken.user);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired confirmation token'
+      });
+    }
+
+    const previousUser = { email: user.email, firstName: user.firstName };
+
+    user.email = changeToken.email;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    await mailer.sendEmailChangedNotice(previousUser, user.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email changed successfully',
+      data: {
+        user: user.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    // Address was taken after the change was requested
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email already in use'
+      });
+    }
+
+    console.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change email',
+      message: error.message
+    });
+  }
+});
+
+// Delete account - anonymizes chats, delists listings and cancels the subscription
+router.delete('/account', [
+  body('password').optional().isString(),
+  body('reauthToken').optional().isString(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], authenticate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { password, reauthToken, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await checkReauthentication(user, { password, reauthToken }))) {
+      return res.status(401).json(reauthenticationError(user));
+    }
+
+    // A mistyped code must not burn the emailed confirmation code
+    if (user.twoFactor?.enabled && !(await verifySecondFactor(user.id, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        errorType: 'INVALID_2FA_CODE'
+      });
+    }
+
+    if (!(await completeReauthentication(user, { reauthToken }))) {
+      return res.status(401).json(reauthenticationError(user));
+    }
+
+    // Clean up data owned by other modules first; keep the account (and the
+    // user ID the handlers need) until every handler has succeeded
+    const cleanup = await accountDeletion.run(user.id);
+    const failedModules = Object.keys(cleanup).filter(name => !cleanup[name].success);
+
+    if (failedModules.length > 0) {
+      await auditService.record('account_deletion_failed', {
+        userId: user.id,
+        actorId: user.id,
+        ip: req.ip,
+        metadata: { cleanup }
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete account, please try again',
+        errorType: 'CLEANUP_FAILED',
+        failedModules
+      });
+    }
+
+    await sessionService.revokeAll(user.id, 'account_deleted');
+    await verificationTokenService.deleteAllForUser(user.id);
+    await User.deleteOne({ _id: user._id });
+
+    await auditService.record('account_deleted', {
+      userId: user.id,
+      actorId: user.id,
+      ip: req.ip,
+      metadata: { email: user.email, cleanup }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete account',
+      message: error.message
     });
   }
 });
@@ -1,41 +1,2009 @@
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const { body, validationResult, query } = require('express-validator');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const KeyBundle = require('../models/KeyBundle');
+const { authenticateWithScope } = require('../middleware/auth');
+const accountDeletion = require('../services/accountDeletion.service');
+const chatEvents = require('../services/chatEvents.service');
+const presenceService = require('../services/presence.service');
+const subscriptionService = require('../services/subscription.service');
+const StorageService = require('../services/storage.service');
+const MediaService = require('../services/media.service');
+const AiChatService = require('../services/aiChat.service');
+const NotificationService = require('../services/notification.service');
 const router = express.Router();
 
-// Mock chat database
-const chats = [];
-const messages = [];
+const storageService = new StorageService();
+const mediaService = new MediaService();
+const aiChatService = new AiChatService();
+const notificationService = new NotificationService();
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({
+// Largest allowed group, creator included
+const MAX_GROUP_MEMBERS = parseInt(process.env.CHAT_GROUP_MAX_MEMBERS) || 256;
+
+// Attachment limits per file and per message
+const MAX_ATTACHMENT_MB = parseInt(process.env.CHAT_ATTACHMENT_MAX_MB) || 25;
+const MAX_ATTACHMENTS = parseInt(process.env.CHAT_ATTACHMENTS_PER_MESSAGE) || 10;
+
+// End-to-end encryption limits: ciphertext size per message and one-time prekeys kept per user
+const MAX_ENVELOPE_KB = parseInt(process.env.CHAT_ENCRYPTED_MESSAGE_MAX_KB) || 64;
+const MAX_ONE_TIME_PREKEYS = 200;
+
+// Typing indicators: clients repeat them while typing; each one is shown for TYPING_TTL_MS
+const TYPING_TTL_MS = 6000;
+const TYPING_THROTTLE_MS = 2000;
+const typingSentAt = new Map(); // `${userId}:${chatId}` -> last published time
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_MB * 1024 * 1024,
+    files: MAX_ATTACHMENTS
+  },
+  fileFilter: (req, file, callback) => {
+    if (!mediaService.getKind(file.mimetype)) {
+      return callback(Object.assign(new Error(`Unsupported file type: ${file.mimetype}`), { code: 'UNSUPPORTED_FILE_TYPE' }));
+    }
+    callback(null, true);
+  }
+});
+
+// Parse `attachments` files from multipart requests, answering upload errors with 400/413
+const uploadAttachments = (req, res, next) => {
+  attachmentUpload.array('attachments', MAX_ATTACHMENTS)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      error: tooLarge ? `Attachments can be at most ${MAX_ATTACHMENT_MB} MB each` : error.message,
+      errorType: error.code === 'UNSUPPORTED_FILE_TYPE' ? 'UNSUPPORTED_FILE_TYPE' : 'INVALID_ATTACHMENT'
+    });
+  });
+};
+
+// Storage size of attachments in MB (the unit of the plan `storage` limit)
+const attachmentsSizeMb = (attachments) => attachments.reduce((total, attachment) => total + attachment.size, 0) / (1024 * 1024);
+
+// A single emoji (including ZWJ sequences and skin tones), no text
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const isEmoji = (value) => typeof value === 'string' && value.length <= 32 &&
+  EMOJI_PATTERN.test(value) && /\p{Extended_Pictographic}/u.test(value);
+
+// AI assistant settings: `@faystar` in a message asks it to answer
+const ASSISTANT_MENTION = /(^|\s)@faystar\b/i;
+const ASSISTANT_MODEL = process.env.CHAT_ASSISTANT_MODEL || 'gpt-3.5-turbo';
+const ASSISTANT_CONTEXT_MESSAGES = parseInt(process.env.CHAT_ASSISTANT_CONTEXT_MESSAGES) || 20;
+const ASSISTANT_PROMPT = `${AiChatService.SYSTEM_PROMPT} You are taking part in a FayStar chat as "FayStar AI". ` +
+  'Messages from chat members are labelled with their user ID; answer the latest one.';
+
+// Characters of context kept around the first match in search snippets
+const SNIPPET_CONTEXT = 60;
+
+// Words of a `$text` search string that should be highlighted (negated `-terms` are skipped)
+const searchTerms = (search) => {
+  const phrases = [...search.matchAll(/"([^"]+)"/g)].map(match => match[1].trim());
+  const words = search.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(word => word && !word.startsWith('-'));
+  return [...new Set([...phrases, ...words].filter(Boolean).map(term => term.toLowerCase()))];
+};
+
+// Cut a window around the first match and return it with [start, end) offsets of every match inside it
+const buildSnippet = (text, terms) => {
+  const lower = text.toLowerCase();
+  const firstMatch = Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index !== -1));
+  const center = Number.isFinite(firstMatch) ? firstMatch : 0;
+
+  const start = Math.max(0, center - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, center + SNIPPET_CONTEXT * 2);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = prefix + text.slice(start, end) + (end < text.length ? '…' : '');
+
+  const lowerSnippet = snippet.toLowerCase();
+  const ranges = [];
+  terms.forEach(term => {
+    for (let index = lowerSnippet.indexOf(term); index !== -1; index = lowerSnippet.indexOf(term, index + term.length)) {
+      ranges.push([index, index + term.length]);
+    }
+  });
+
+  // Merge overlapping matches so clients can wrap each range once
+  const highlights = [];
+  ranges.sort((a, b) => a[0] - b[0]).forEach(([from, to]) => {
+    const last = highlights[highlights.length - 1];
+    if (last && from <= last.end) {
+      last.end = Math.max(last.end, to);
+    } else {
+      highlights.push({ start: from, end: to });
+    }
+  });
+
+  return { text: snippet, highlights };
+};
+
+// Serialize messages together with the messages they reply to (one extra query)
+const serializeMessages = async (msgs) => {
+  const replyIds = [...new Set(msgs.filter(msg => msg.replyToId).map(msg => msg.replyToId.toString()))];
+  const repliedTo = replyIds.length > 0 ? await Message.find({ _id: { $in: replyIds } }) : [];
+  const repliedById = new Map(repliedTo.map(msg => [msg.id, msg]));
+
+  return msgs.map(msg => msg.toPublicJSON({
+    replyTo: msg.replyToId ? repliedById.get(msg.replyToId.toString()) : undefined
+  }));
+};
+
+const serializeMessage = async (msg) => (await serializeMessages([msg]))[0];
+
+// Keep the chat list preview in sync when the chat's latest message changes
+const syncLastMessage = async (msg) => {
+  const latest = await Message.findOne({ chatId: msg.chatId }).sort({ timestamp: -1, _id: -1 }).select('_id');
+  if (latest && latest._id.equals(msg._id)) {
+    await Chat.updateOne({ chatId: msg.chatId }, { $set: { lastMessage: msg.preview() } });
+  }
+};
+
+// Remove a deleted message's files unless a forwarded copy still uses them
+const releaseAttachments = async (msg) => {
+  for (const attachment of msg.attachments) {
+    const stillUsed = await Message.exists({
+      _id: { $ne: msg._id },
+      status: { $ne: 'deleted' },
+      'attachments.storageKey': attachment.storageKey
+    });
+    if (stillUsed) {
+      continue;
+    }
+
+    await storageService.remove([attachment.storageKey, attachment.thumbnailKey].filter(Boolean));
+    subscriptionService.releaseUsage(attachment.uploadedBy || msg.senderId, 'storage', attachmentsSizeMb([attachment]));
+  }
+};
+
+// Delete a group nobody belongs to any more, with its messages and their files
+const deleteEmptyGroup = async (chat) => {
+  const withAttachments = await Message.find({ chatId: chat.chatId, 'attachments.0': { $exists: true } });
+
+  await Message.deleteMany({ chatId: chat.chatId });
+  await Chat.deleteOne({ _id: chat._id });
+
+  // Messages are gone first so releaseAttachments only keeps files forwarded to other chats
+  for (const msg of withAttachments) {
+    await releaseAttachments(msg);
+  }
+};
+
+// Load a message in a chat the current user belongs to; sends the error response and returns null otherwise
+const loadMessageForMember = async (req, res) => {
+  const { messageId } = req.params;
+  const msg = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId) : null;
+  if (!msg || msg.status === 'deleted') {
+    res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+    return null;
+  }
+
+  const chat = await loadChatForMember(req, res, msg.chatId);
+  if (!chat) {
+    return null;
+  }
+
+  return { msg, chat };
+};
+
+// Messages strictly before/after a cursor message in (timestamp, _id) order
+const cursorFilter = (cursor, direction) => {
+  const op = direction === 'before' ? '$lt' : '$gt';
+  return {
+    $or: [
+      { timestamp: { [op]: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { [op]: cursor._id } }
+    ]
+  };
+};
+
+// Load a message used as a pagination cursor
+const findCursorMessage = (messageId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    return null;
+  }
+
+  return Message.findById(messageId);
+};
+
+// Keep only IDs of existing, active users
+const findActiveUserIds = async (userIds) => {
+  const users = await User.find({
+    _id: { $in: userIds.filter(id => mongoose.isValidObjectId(id)) },
+    isActive: true
+  }).select('_id');
+
+  return users.map(user => user.id);
+};
+
+// IDs among `userIds` of users who blocked `userId`
+const findUsersBlocking = async (userId, userIds) => {
+  const validIds = userIds.filter(id => mongoose.isValidObjectId(id));
+  if (validIds.length === 0) {
+    return [];
+  }
+
+  const blockers = await User.find({ _id: { $in: validIds }, 'blockedUsers.userId': userId }).select('_id');
+  return blockers.map(blocker => blocker.id);
+};
+
+// Whether the current user and another user blocked each other (in either direction)
+const isBlockedBetween = async (user, otherUserId) =>
+  user.hasBlocked(otherUserId) || (await findUsersBlocking(user.userId, [otherUserId])).length > 0;
+
+// Refuse direct messages between users when either blocked the other; sends the error response and returns true
+const rejectIfBlocked = async (req, res, otherUserId) => {
+  if (!await isBlockedBetween(req.user, otherUserId)) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'You cannot message this user',
+    errorType: 'USER_BLOCKED'
+  });
+  return true;
+};
+
+// Presence of a chat member as seen by another user (`user` holds lastSeenAt, privacy and blockedUsers)
+const describePresence = (memberId, user, viewerId) => {
+  if (!user || user.hasBlocked(viewerId)) {
+    return { userId: memberId, status: 'offline', lastSeenAt: null };
+  }
+
+  return {
+    userId: memberId,
+    status: presenceService.getStatus(memberId),
+    lastSeenAt: user.privacy?.showLastSeen === false ? null : user.lastSeenAt
+  };
+};
+
+// Notify the other members of a new message in the background. Muted chats and senders the
+// member blocked are skipped; members online in the gateway get the inbox entry without a push.
+const notifyNewMessage = async (chat, msg, senderName) => {
+  try {
+    // Placeholders such as deleted users have no account to notify
+    const recipientIds = chat.memberIds()
+      .filter(id => id !== msg.senderId && mongoose.isValidObjectId(id) && !chat.isMuted(id));
+    const blockers = msg.senderId === Chat.ASSISTANT_ID ? [] : await findUsersBlocking(msg.senderId, recipientIds);
+
+    await Promise.all(recipientIds
+      .filter(id => !blockers.includes(id))
+      .map(id => notificationService.notify(id, {
+        type: 'chat_message',
+        title: chat.type === 'group' ? chat.title : senderName,
+        body: chat.type === 'group' ? `${senderName}: ${msg.preview()}` : msg.preview(),
+        data: { chatId: chat.chatId, messageId: msg.id },
+        push: presenceService.getStatus(id) !== 'online'
+      })));
+  } catch (error) {
+    console.error(`[Notifications] ❌ Failed to notify members of ${chat.chatId}:`, error.message);
+  }
+};
+
+// Whether a new message asks the AI assistant for an answer
+const addressesAssistant = (chat, msg) => msg.senderId !== Chat.ASSISTANT_ID && !!msg.message &&
+  (!!chat.assistant?.enabled || ASSISTANT_MENTION.test(msg.message));
+
+// Answer a message as the AI assistant, with the chat's recent messages as conversation history.
+// The sender's `aiMessages` usage is already counted and is given back if no answer can be produced.
+const replyAsAssistant = async (chat, trigger) => {
+  try {
+    const recent = await Message.find({
+      chatId: chat.chatId,
+      status: { $ne: 'deleted' },
+      message: { $ne: '' },
+      ...cursorFilter(trigger, 'before')
+    })
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(ASSISTANT_CONTEXT_MESSAGES);
+
+    const conversationHistory = recent.reverse().map(msg => (msg.senderId === Chat.ASSISTANT_ID
+      ? { role: 'assistant', content: msg.message }
+      : { role: 'user', name: msg.senderId, content: msg.message }));
+
+    const result = await aiChatService.complete({
+      message: trigger.message,
+      name: trigger.senderId,
+      conversationHistory,
+      model: ASSISTANT_MODEL,
+      systemPrompt: ASSISTANT_PROMPT
+    });
+
+    if (!result.success) {
+      subscriptionService.releaseUsage(trigger.senderId, 'aiMessages', 1);
+      chatEvents.publish('assistant.failed', {
+        chatId: chat.chatId,
+        recipients: [trigger.senderId],
+        data: { messageId: trigger.id, error: result.error, errorType: result.errorType }
+      });
+      return;
+    }
+
+    const reply = await Message.create({
+      chatId: chat.chatId,
+      senderId: Chat.ASSISTANT_ID,
+      recipientId: chat.type === 'direct' ? trigger.senderId : null,
+      message: result.response,
+      replyToId: trigger._id
+    });
+
+    await Chat.updateOne(
+      { chatId: chat.chatId },
+      { $set: { lastMessage: reply.preview(), lastMessageTime: reply.timestamp } }
+    );
+
+    chatEvents.publish('message.created', {
+      chatId: chat.chatId,
+      recipients: chat.memberIds(),
+      data: { message: await serializeMessage(reply) }
+    });
+
+    notifyNewMessage(chat, reply, 'FayStar AI');
+  } catch (error) {
+    console.error(`[ChatAssistant] ❌ Failed to answer message ${trigger.id}:`, error.message);
+    subscriptionService.releaseUsage(trigger.senderId, 'aiMessages', 1);
+  }
+};
+
+// Load a chat the current user belongs to; sends the error response and returns null otherwise
+const loadChatForMember = async (req, res, chatId, { type } = {}) => {
+  const chat = await Chat.findOne({ chatId, ...(type ? { type } : {}) });
+  if (!chat) {
+    res.status(404).json({
+      success: false,
+      error: type === 'group' ? 'Group not found' : 'Chat not found'
+    });
+    return null;
+  }
+
+  if (!chat.getMember(req.user.userId)) {
+    res.status(403).json({
+      success: false,
+      error: 'You are not a member of this chat'
+    });
+    return null;
+  }
+
+  return chat;
+};
+
+// Load a group the current user belongs to (`:chatId` route parameter)
+const loadGroupForMember = (req, res) => loadChatForMember(req, res, req.params.chatId, { type: 'group' });
+
+// Group management actions below require a group admin
+const rejectUnlessGroupAdmin = (chat, req, res) => {
+  if (chat.isAdmin(req.user.userId)) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'Only group admins can do this'
+  });
+  return true;
+};
+
+// Tell members (and users who just left or were removed) that a chat changed
+const publishChatUpdate = (chat, action, details = {}, extraRecipients = []) => {
+  chatEvents.publish('chat.updated', {
+    chatId: chat.chatId,
+    recipients: [...chat.memberIds(), ...extraRecipients],
+    data: { action, chat: chat.toPublicJSON(), ...details }
+  });
+};
+
+// Messages a reconnecting WebSocket client missed: the newest `limit` after the cursor, oldest first
+// (null for an unknown cursor, so the client is not told it is up to date)
+chatEvents.setHistoryProvider(async (userId, lastMessageId, limit) => {
+  const cursor = await findCursorMessage(lastMessageId);
+  if (!cursor) {
+    return null;
+  }
+
+  const userChatIds = await Chat.find({ 'members.userId': userId }).distinct('chatId');
+
+  const missed = await Message.find({
+    chatId: { $in: userChatIds },
+    ...cursorFilter(cursor, 'after')
+  })
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(limit);
+
+  return serializeMessages(missed.reverse());
+});
+
+// Tell everyone who shares a chat with the user (and is not blocked by them) about a presence change
+presenceService.on('change', async ({ userId, status, lastSeenAt }) => {
+  try {
+    const [user, chats] = await Promise.all([
+      User.findById(userId).select('privacy blockedUsers'),
+      Chat.find({ 'members.userId': userId }).select('members.userId')
+    ]);
+    if (!user) {
+      return;
+    }
+
+    const contacts = [...new Set(chats.flatMap(chat => chat.memberIds()))]
+      .filter(id => id !== userId && !user.hasBlocked(id));
+
+    chatEvents.publish('presence.updated', {
+      chatId: null,
+      recipients: contacts,
+      data: {
+        userId,
+        status,
+        lastSeenAt: user.privacy?.showLastSeen === false ? null : lastSeenAt
+      }
+    });
+  } catch (error) {
+    console.error(`[Presence] ❌ Failed to publish presence of ${userId}:`, error.message);
+  }
+});
+
+// Relay typing indicators to the other members of the chat
+chatEvents.on('typing', async ({ userId, chatId, isTyping }) => {
+  try {
+    const key = `${userId}:${chatId}`;
+    const now = Date.now();
+    if (isTyping && now - (typingSentAt.get(key) || 0) < TYPING_THROTTLE_MS) {
+      return;
+    }
+
+    // Recorded before the lookups so frames arriving meanwhile are throttled too
+    if (isTyping) {
+      typingSentAt.set(key, now);
+    } else {
+      typingSentAt.delete(key);
+    }
+
+    const chat = await Chat.findOne({ chatId, 'members.userId': userId });
+    if (!chat) {
+      return;
+    }
+
+    const recipients = chat.memberIds().filter(id => id !== userId);
+    if (chat.type === 'direct' && (await findUsersBlocking(userId, recipients)).length > 0) {
+      return;
+    }
+
+    // Forget indicators nobody stopped explicitly
+    if (typingSentAt.size > 10000) {
+      typingSentAt.forEach((sentAt, entry) => {
+        if (now - sentAt > TYPING_TTL_MS) {
+          typingSentAt.delete(entry);
+        }
+      });
+    }
+
+    chatEvents.publish('typing', {
+      chatId,
+      recipients,
+      data: { userId, isTyping, expiresInMs: isTyping ? TYPING_TTL_MS : 0 }
+    });
+  } catch (error) {
+    console.error(`[Typing] ❌ Failed to relay typing in ${chatId}:`, error.message);
+  }
+});
+
+// Anonymize a deleted user's messages and direct chats, drop them from groups and block lists, and delete their keys
+accountDeletion.register('chat', async (userId) => {
+  const placeholder = accountDeletion.DELETED_USER_ID;
+
+  const [sent, received] = await Promise.all([
+    Message.updateMany({ senderId: userId }, { $set: { senderId: placeholder } }),
+    Message.updateMany({ recipientId: userId }, { $set: { recipientId: placeholder } })
+  ]);
+
+  const directResult = await Chat.updateMany(
+    { type: 'direct', 'members.userId': userId },
+    { $set: { 'members.$[member].userId': placeholder } },
+    { arrayFilters: [{ 'member.userId': userId }] }
+  );
+
+  const groups = await Chat.find({ type: 'group', 'members.userId': userId });
+  for (const group of groups) {
+    group.members = group.members.filter(member => member.userId !== userId);
+    if (group.members.length === 0) {
+      await deleteEmptyGroup(group);
+      continue;
+    }
+
+    group.ensureAdmin();
+    await group.save();
+  }
+
+  const unblocked = await User.updateMany(
+    { 'blockedUsers.userId': userId },
+    { $pull: { blockedUsers: { userId } } }
+  );
+
+  const keys = await KeyBundle.deleteOne({ userId });
+
+  return {
+    anonymizedMessages: sent.modifiedCount + received.modifiedCount,
+    anonymizedChats: directResult.modifiedCount,
+    leftGroups: groups.length,
+    removedFromBlockLists: unblocked.modifiedCount,
+    deletedKeyBundles: keys.deletedCount
+  };
+});
+
+// Send message endpoint
+// Multipart bodies are parsed after authentication so anonymous uploads are never buffered
+router.post('/send', authenticateWithScope('chat:write'), uploadAttachments, [
+  body('chatId').notEmpty(),
+  body('message').optional().isString().trim(),
+  body('replyToId').optional().isMongoId(),
+  body('envelope').optional().isObject(),
+  body('envelope.algorithm').if(body('envelope').exists()).isString().isLength({ min: 1, max: 64 }),
+  body('envelope.header').optional().isString().isLength({ max: 4096 }),
+  body('envelope.ciphertext').if(body('envelope').exists()).isBase64().isLength({ min: 1, max: MAX_ENVELOPE_KB * 1024 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { chatId, replyToId } = req.body;
+    const message = req.body.message || '';
+    const files = req.files || [];
+    const senderId = req.user.userId;
+    const envelope = req.body.envelope
+      ? { algorithm: req.body.envelope.algorithm, header: req.body.envelope.header || null, ciphertext: req.body.envelope.ciphertext }
+      : null;
+
+    if (!message && files.length === 0 && !envelope) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message text or an attachment is required'
+      });
+    }
+
+    // Chats are created through /create or /groups; only members can post
+    const chat = await loadChatForMember(req, res, chatId);
+    if (!chat) {
+      return;
+    }
+
+    // Encrypted chats take ciphertext only, so the server never stores readable content
+    if (chat.encrypted && (message || files.length > 0 || !envelope)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Encrypted chats only accept an encrypted envelope',
+        errorType: 'ENCRYPTION_REQUIRED'
+      });
+    }
+
+    if (!chat.encrypted && envelope) {
+      return res.status(400).json({
+        success: false,
+        error: 'Envelopes can only be sent to encrypted chats'
+      });
+    }
+
+    // Direct messages always go to the other member of the chat
+    const recipientId = chat.type === 'direct'
+      ? chat.memberIds().find(id => id !== senderId) || null
+      : null;
+
+    if (recipientId && await rejectIfBlocked(req, res, recipientId)) {
+      return;
+    }
+
+    if (replyToId) {
+      const repliedTo = await Message.findOne({ _id: replyToId, chatId, status: { $ne: 'deleted' } });
+      if (!repliedTo) {
+        return res.status(400).json({
+          success: false,
+          error: 'The message you are replying to was not found in this chat'
+        });
+      }
+    }
+
+    // Validate files and read image/audio metadata before storing anything
+    const processed = [];
+    for (const file of files) {
+      const result = await mediaService.process(file);
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+          errorType: result.errorType
+        });
+      }
+      processed.push({ file, ...result });
+    }
+
+    // Attachments count against the plan's storage limit
+    const storageMb = attachmentsSizeMb(files);
+    if (storageMb > 0) {
+      const usage = subscriptionService.consumeUsage(senderId, 'storage', storageMb);
+      if (!usage.success) {
+        return res.status(429).json({
+          success: false,
+          error: 'Storage limit exceeded',
+          errorType: usage.errorType,
+          data: usage.data
+        });
+      }
+    }
+
+    const storedKeys = [];
+    let newMessage;
+    try {
+      const attachments = [];
+      for (const { file, metadata, thumbnail } of processed) {
+        const baseKey = `chat/${chatId}/${crypto.randomUUID()}`;
+        const storageKey = `${baseKey}${path.extname(file.originalname).toLowerCase().slice(0, 10)}`;
+
+        await storageService.put(storageKey, file.buffer);
+        storedKeys.push(storageKey);
+
+        let thumbnailKey = null;
+        if (thumbnail) {
+          thumbnailKey = `${baseKey}_thumb.webp`;
+          await storageService.put(thumbnailKey, thumbnail);
+          storedKeys.push(thumbnailKey);
+        }
+
+        attachments.push({ ...metadata, storageKey, thumbnailKey, uploadedBy: senderId });
+      }
+
+      const kinds = [...new Set(attachments.map(attachment => attachment.kind))];
+
+      // Create message
+      newMessage = await Message.create({
+        chatId,
+        senderId,
+        recipientId,
+        message,
+        type: envelope ? 'encrypted' : kinds.length === 0 ? 'text' : (kinds.length === 1 ? kinds[0] : 'file'),
+        attachments,
+        envelope,
+        replyToId: replyToId || null
+      });
+    } catch (error) {
+      await storageService.remove(storedKeys);
+      subscriptionService.releaseUsage(senderId, 'storage', storageMb);
+      throw error;
+    }
+
+    // Update chat last message
+    await Chat.updateOne(
+      { chatId },
+      {
+        $set: {
+          lastMessage: newMessage.preview(),
+          lastMessageTime: newMessage.timestamp
+        }
+      }
+    );
+
+    const messageJson = await serializeMessage(newMessage);
+
+    chatEvents.publish('message.created', {
+      chatId,
+      recipients: chat.memberIds(),
+      data: { message: messageJson }
+    });
+
+    notifyNewMessage(chat, newMessage, req.user.firstName);
+
+    // The assistant answers in the background, counted against the sender's AI messages
+    let assistant = null;
+    if (addressesAssistant(chat, newMessage)) {
+      const usage = aiChatService.isConfigured()
+        ? subscriptionService.consumeUsage(senderId, 'aiMessages', 1)
+        : { success: false, error: 'AI service not configured', errorType: 'AI_NOT_CONFIGURED' };
+
+      if (usage.success) {
+        replyAsAssistant(chat, newMessage);
+        assistant = { replying: true };
+      } else {
+        assistant = { replying: false, error: usage.error, errorType: usage.errorType, ...(usage.data && { data: usage.data }) };
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: {
+        message: messageJson,
+        assistant
+      }
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send message',
+      message: error.message
+    });
+  }
+});
+
+// Get messages endpoint - latest page by default, older with `before`, newer with `after`
+router.get('/get', [
+  query('chatId').notEmpty(),
+  query('before').optional().isMongoId(),
+  query('after').optional().isMongoId(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], authenticateWithScope('chat:read'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { chatId, before, after } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const userId = req.user.userId;
+
+    if (before && after) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use either before or after, not both'
+      });
+    }
+
+    // Get chat info (members only)
+    const chat = await loadChatForMember(req, res, chatId);
+    if (!chat) {
+      return;
+    }
+
+    const member = chat.getMember(userId);
+    const filter = { chatId };
+
+    const cursorId = before || after;
+    if (cursorId) {
+      const cursor = await findCursorMessage(cursorId);
+      if (!cursor || cursor.chatId !== chatId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid pagination cursor'
+        });
+      }
+      Object.assign(filter, cursorFilter(cursor, before ? 'before' : 'after'));
+    }
+
+    // Fetch one extra message to know whether another page exists
+    const direction = after ? 1 : -1;
+    const page = await Message.find(filter)
+      .sort({ timestamp: direction, _id: direction })
+      .limit(limit + 1);
+
+    const hasMore = page.length > limit;
+    const chatMessages = page.slice(0, limit);
+    if (!after) {
+      chatMessages.reverse();
+    }
+
+    // Mark messages as read: advance the member's read marker up to the newest
+    // message on this page, so paging back through history reads nothing new
+    const newest = chatMessages[chatMessages.length - 1];
+    if (newest && newest.timestamp > member.lastReadAt) {
+      const readAt = new Date();
+      const unread = await Message.find({
+        chatId,
+        senderId: { $ne: userId },
+        timestamp: { $gt: member.lastReadAt, $lte: newest.timestamp }
+      }).select('_id');
+      const readMessageIds = unread.map(msg => msg.id);
+
+      // Only ever forward, also when another page request of the member raced this one
+      await Chat.updateOne(
+        { chatId, members: { $elemMatch: { userId, lastReadAt: { $lt: newest.timestamp } } } },
+        { $set: { 'members.$.lastReadAt': newest.timestamp } }
+      );
+      member.lastReadAt = newest.timestamp;
+
+      if (readMessageIds.length > 0) {
+        if (chat.type === 'direct') {
+          await Message.updateMany(
+            { _id: { $in: unread.map(msg => msg._id) }, recipientId: userId },
+            { $set: { isRead: true, readAt } }
+          );
+
+          chatMessages.forEach(msg => {
+            if (msg.recipientId === userId && readMessageIds.includes(msg.id)) {
+              msg.isRead = true;
+              msg.readAt = readAt;
+            }
+          });
+        }
+
+        chatEvents.publish('message.read', {
+          chatId,
+          recipients: chat.memberIds(),
+          data: { messageIds: readMessageIds, readerId: userId, readAt }
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chat: chat.toPublicJSON(),
+        messages: await serializeMessages(chatMessages),
+        pagination: {
+          limit,
+          hasMore,
+          // Cursors for the next page in each direction
+          before: chatMessages[0]?.id || null,
+          after: chatMessages[chatMessages.length - 1]?.id || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get messages',
+      message: error.message
+    });
+  }
+});
+
+// Get chat history endpoint
+router.get('/history', authenticateWithScope('chat:read'), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // Get user chats
+    const userChats = await Chat.find({ 'members.userId': userId }).sort({ lastMessageTime: -1 });
+    const chatIds = userChats.map(chat => chat.chatId);
+
+    // Last message and unread count for every chat in two queries
+    const [lastMessages, unreadCounts] = chatIds.length === 0 ? [[], []] : await Promise.all([
+      Message.aggregate([
+        { $match: { chatId: { $in: chatIds } } },
+        { $sort: { timestamp: -1, _id: -1 } },
+        { $group: { _id: '$chatId', messageId: { $first: '$_id' } } }
+      ]),
+      // Unread = sent by someone else after the member's read marker, and not deleted since
+      Message.aggregate([
+        {
+          $match: {
+            senderId: { $ne: userId },
+            status: { $ne: 'deleted' },
+            $or: userChats.map(chat => ({
+              chatId: chat.chatId,
+              timestamp: { $gt: chat.getMember(userId).lastReadAt }
+            }))
+          }
+        },
+        { $group: { _id: '$chatId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const lastMessageDocs = await Message.find({ _id: { $in: lastMessages.map(entry => entry.messageId) } });
+    const lastMessageJson = await serializeMessages(lastMessageDocs);
+    const lastMessageByChat = new Map(lastMessageJson.map(msg => [msg.chatId, msg]));
+    const unreadByChat = new Map(unreadCounts.map(entry => [entry._id, entry.count]));
+
+    // Presence of the other participants
+    const otherIds = [...new Set(userChats.flatMap(chat => chat.memberIds()))]
+      .filter(id => id !== userId && mongoose.isValidObjectId(id));
+    const participants = otherIds.length === 0 ? [] : await User.find({ _id: { $in: otherIds } })
+      .select('lastSeenAt privacy blockedUsers');
+    const participantsById = new Map(participants.map(user => [user.id, user]));
+
+    // Muted chats report no unread messages
+    const chatsWithLastMessage = userChats.map(chat => {
+      const muted = chat.isMuted(userId);
+      return {
+        ...chat.toPublicJSON(),
+        lastMessage: lastMessageByChat.get(chat.chatId),
+        unreadCount: muted ? 0 : unreadByChat.get(chat.chatId) || 0,
+        muted,
+        mutedUntil: muted ? chat.getMember(userId).mutedUntil : null,
+        presence: chat.memberIds()
+          .filter(id => id !== userId)
+          .map(id => describePresence(id, participantsById.get(id), userId))
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chats: chatsWithLastMessage
+      }
+    });
+  } catch (error) {
+    console.error('Get chat history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get chat history',
+      message: error.message
+    });
+  }
+});
+
+// Search message text across the user's chats
+router.get('/search', [
+  query('q').isString().trim().isLength({ min: 1, max: 200 }),
+  query('chatId').optional().isString().notEmpty(),
+  query('senderId').optional().isString().notEmpty(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], authenticateWithScope('chat:read'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { q, chatId, senderId, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    let chatIds;
+    if (chatId) {
+      const chat = await loadChatForMember(req, res, chatId);
+      if (!chat) {
+        return;
+      }
+      chatIds = [chat.chatId];
+    } else {
+      const userChats = await Chat.find({ 'members.userId': req.user.userId }).select('chatId');
+      chatIds = userChats.map(chat => chat.chatId);
+    }
+
+    const filter = {
+      $text: { $search: q },
+      chatId: { $in: chatIds },
+      status: { $ne: 'deleted' }
+    };
+
+    if (senderId) {
+      filter.senderId = senderId;
+    }
+
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) {
+        filter.timestamp.$gte = new Date(from);
+      }
+      if (to) {
+        filter.timestamp.$lte = new Date(to);
+      }
+    }
+
+    const [matches, total] = chatIds.length === 0 ? [[], 0] : await Promise.all([
+      Message.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Message.countDocuments(filter)
+    ]);
+
+    const terms = searchTerms(q);
+    const messages = await serializeMessages(matches);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        results: messages.map((message, index) => ({
+          message,
+          snippet: buildSnippet(matches[index].message, terms)
+        })),
+        pagination: {
+          currentPage: page,
+          itemsPerPage: limit,
+          totalItems: total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search messages',
+      message: error.message
+    });
+  }
+});
+
+// Create new chat endpoint
+router.post('/create', [
+  body('participantId').isMongoId(),
+  body('encrypted').optional().isBoolean().toBoolean()
+], authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { participantId } = req.body;
+    const encrypted = !!req.body.encrypted;
+    const creatorId = req.user.userId;
+
+    if (participantId === creatorId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot start a chat with yourself'
+      });
+    }
+
+    const [activeParticipantId] = await findActiveUserIds([participantId]);
+    if (!activeParticipantId) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (await rejectIfBlocked(req, res, participantId)) {
+      return;
+    }
+
+    if (encrypted && await KeyBundle.countDocuments({ userId: { $in: [creatorId, participantId] } }) < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Both users must publish encryption keys before starting an encrypted chat',
+        errorType: 'KEYS_NOT_PUBLISHED'
+      });
+    }
+
+    // Generate unique chat ID
+    const chatId = `chat_${Date.now()}_${creatorId}_${participantId}`;
+
+    // Check if chat already exists (users can have one plain and one encrypted chat)
+    const existingChat = await Chat.findOne({
+      type: 'direct',
+      encrypted: encrypted ? true : { $ne: true },
+      'members.userId': { $all: [creatorId, participantId] }
+    });
+
+    if (existingChat) {
+      return res.status(409).json({
+        success: false,
+        error: 'Chat already exists',
+        data: {
+          chatId: existingChat.chatId
+        }
+      });
+    }
+
+    // Create new chat
+    const newChat = await Chat.create({
+      chatId,
+      type: 'direct',
+      encrypted,
+      createdBy: creatorId,
+      members: [{ userId: creatorId }, { userId: participantId }]
+    });
+
+    publishChatUpdate(newChat, 'created');
+
+    res.status(201).json({
+      success: true,
+      message: 'Chat created successfully',
+      data: {
+        chat: newChat.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Create chat error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create chat',
+      message: error.message
+    });
+  }
+});
+
+// Create group chat endpoint
+router.post('/groups', [
+  body('title').trim().isLength({ min: 1, max: 100 }),
+  body('memberIds').isArray({ min: 1, max: MAX_GROUP_MEMBERS - 1 }),
+  body('memberIds.*').isMongoId(),
+  body('avatarUrl').optional().isURL()
+], authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { title, memberIds, avatarUrl } = req.body;
+    const creatorId = req.user.userId;
+
+    const requestedIds = [...new Set(memberIds)].filter(id => id !== creatorId);
+    const activeIds = await findActiveUserIds(requestedIds);
+    if (activeIds.length !== requestedIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some members do not exist',
+        data: {
+          unknownUserIds: requestedIds.filter(id => !activeIds.includes(id))
+        }
+      });
+    }
+
+    const blockingIds = await findUsersBlocking(creatorId, activeIds);
+    if (blockingIds.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Some users cannot be added by you',
+        errorType: 'USER_BLOCKED',
+        data: {
+          userIds: blockingIds
+        }
+      });
+    }
+
+    const newChat = await Chat.create({
+      chatId: `group_${Date.now()}_${creatorId}`,
+      type: 'group',
+      title,
+      avatarUrl: avatarUrl || null,
+      createdBy: creatorId,
+      members: [
+        { userId: creatorId, role: 'admin' },
+        ...activeIds.map(userId => ({ userId, role: 'member' }))
+      ]
+    });
+
+    publishChatUpdate(newChat, 'created');
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: {
+        chat: newChat.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create group',
+      message: error.message
+    });
+  }
+});
+
+// Update group title or avatar (admins)
+router.patch('/groups/:chatId', [
+  body('title').optional().trim().isLength({ min: 1, max: 100 }),
+  body('avatarUrl').optional({ values: 'null' }).isURL()
+], authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const chat = await loadGroupForMember(req, res);
+    if (!chat || rejectUnlessGroupAdmin(chat, req, res)) {
+      return;
+    }
+
+    const { title, avatarUrl } = req.body;
+    if (title !== undefined) {
+      chat.title = title;
+    }
+    if (avatarUrl !== undefined) {
+      chat.avatarUrl = avatarUrl;
+    }
+    await chat.save();
+
+    publishChatUpdate(chat, 'updated');
+
+    res.status(200).json({
+      success: true,
+      message: 'Group updated successfully',
+      data: {
+        chat: chat.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update group',
+      message: error.message
+    });
+  }
+});
+
+// Add group members (admins)
+router.post('/groups/:chatId/members', [
+  body('userIds').isArray({ min: 1 }),
+  body('userIds.*').isMongoId()
+], authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const chat = await loadGroupForMember(req, res);
+    if (!chat || rejectUnlessGroupAdmin(chat, req, res)) {
+      return;
+    }
+
+    const newIds = [...new Set(req.body.userIds)].filter(id => !chat.getMember(id));
+    const activeIds = await findActiveUserIds(newIds);
+    if (activeIds.length !== newIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some members do not exist',
+        data: {
+          unknownUserIds: newIds.filter(id => !activeIds.includes(id))
+        }
+      });
+    }
+
+    const blockingIds = await findUsersBlocking(req.user.userId, activeIds);
+    if (blockingIds.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'Some users cannot be added by you',
+        errorType: 'USER_BLOCKED',
+        data: {
+          userIds: blockingIds
+        }
+      });
+    }
+
+    if (chat.members.length + activeIds.length > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        error: `Groups can have at most ${MAX_GROUP_MEMBERS} members`
+      });
+    }
+
+    activeIds.forEach(userId => chat.members.push({ userId, role: 'member' }));
+    await chat.save();
+
+    publishChatUpdate(chat, 'members_added', { userIds: activeIds });
+
+    res.status(200).json({
+      success: true,
+      message: 'Members added successfully',
+      data: {
+        chat: chat.toPublicJSON(),
+        addedUserIds: activeIds
+      }
+    });
+  } catch (error) {
+    console.error('Add group members error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add members',
+      message: error.message
+    });
+  }
+});
+
+// Remove a group member (admins)
+router.delete('/groups/:chatId/members/:userId', authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const chat = await loadGroupForMember(req, res);
+    if (!chat || rejectUnlessGroupAdmin(chat, req, res)) {
+      return;
+    }
+
+    const { userId } = req.params;
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use /groups/:chatId/leave to leave the group'
+      });
+    }
+
+    if (!chat.getMember(userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    chat.members = chat.members.filter(member => member.userId !== userId);
+    await chat.save();
+
+    publishChatUpdate(chat, 'member_removed', { userId }, [userId]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully',
+      data: {
+        chat: chat.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove member',
+      message: error.message
+    });
+  }
+});
+
+// Make a member a group admin (admins)
+router.post('/groups/:chatId/admins/:userId', authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const chat = await loadGroupForMember(req, res);
+    if (!chat || rejectUnlessGroupAdmin(chat, req, res)) {
+      return;
+    }
+
+    const member = chat.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    member.role = 'admin';
+    await chat.save();
+
+    publishChatUpdate(chat, 'admin_granted', { userId: member.userId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin role granted',
+      data: {
+        chat: chat.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Grant group admin error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to grant admin role',
+      message: error.message
+    });
+  }
+});
+
+// Revoke a member's group admin role (admins)
+router.delete('/groups/:chatId/admins/:userId', authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const chat = await loadGroupForMember(req, res);
+    if (!chat || rejectUnlessGroupAdmin(chat, req, res)) {
+      return;
+    }
+
+    const member = chat.getMember(req.params.userId);
+    if (!member || member.role !== 'admin') {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (chat.members.filter(m => m.role === 'admin').length === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'A group needs at least one admin'
+      });
+    }
+
+    member.role = 'member';
+    await chat.save();
+
+    publishChatUpdate(chat, 'admin_revoked', { userId: member.userId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin role revoked',
+      data: {
+        chat: chat.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Revoke group admin error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke admin role',
+      message: error.message
+    });
+  }
+});
+
+// Leave a group - the longest-standing member becomes admin if the last admin leaves,
+// and the group is deleted once its last member leaves
+router.post('/groups/:chatId/leave', authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const chat = await loadGroupForMember(req, res);
+    if (!chat) {
+      return;
+    }
+
+    const userId = req.user.userId;
+
+    chat.members = chat.members.filter(member => member.userId !== userId);
+    if (chat.members.length === 0) {
+      await deleteEmptyGroup(chat);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Left group successfully'
+      });
+    }
+
+    chat.ensureAdmin();
+    await chat.save();
+
+    publishChatUpdate(chat, 'member_left', { userId }, [userId]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Left group successfully'
+    });
+  } catch (error) {
+    console.error('Leave group error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to leave group',
+      message: error.message
+    });
+  }
+});
+
+// Publish (or replace) your end-to-end encryption key bundle
+router.put('/keys', [
+  body('identityKey').isBase64().isLength({ min: 1, max: 512 }),
+  body('signedPreKey.keyId').isInt({ min: 0 }).toInt(),
+  body('signedPreKey.publicKey').isBase64().isLength({ min: 1, max: 512 }),
+  body('signedPreKey.signature').isBase64().isLength({ min: 1, max: 512 }),
+  body('oneTimePreKeys').optional().isArray({ max: 100 }),
+  body('oneTimePreKeys.*.keyId').isInt({ min: 0 }).toInt(),
+  body('oneTimePreKeys.*.publicKey').isBase64().isLength({ min: 1, max: 512 })
+], authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const userId = req.user.userId;
+    const { identityKey, signedPreKey, oneTimePreKeys = [] } = req.body;
+
+    const previous = await KeyBundle.findOneAndUpdate(
+      { userId },
+      {
+        $set: {
+          identityKey,
+          signedPreKey: {
+            keyId: signedPreKey.keyId,
+            publicKey: signedPreKey.publicKey,
+            signature: signedPreKey.signature
+          },
+          oneTimePreKeys: oneTimePreKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey }))
+        }
+      },
+      { upsert: true }
+    );
+
+    // Chat partners must verify the new identity before trusting further messages
+    if (previous && previous.identityKey !== identityKey) {
+      const encryptedChats = await Chat.find({ encrypted: true, 'members.userId': userId });
+      encryptedChats.forEach(chat => {
+        chatEvents.publish('keys.changed', {
+          chatId: chat.chatId,
+          recipients: chat.memberIds().filter(id => id !== userId),
+          data: { userId }
+        });
+      });
+    }
+
+    const bundle = await KeyBundle.findOne({ userId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Encryption keys published',
+      data: {
+        keys: bundle.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Publish keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish encryption keys',
+      message: error.message
+    });
+  }
+});
+
+// Add one-time prekeys to your bundle
+router.post('/keys/prekeys', [
+  body('oneTimePreKeys').isArray({ min: 1, max: 100 }),
+  body('oneTimePreKeys.*.keyId').isInt({ min: 0 }).toInt(),
+  body('oneTimePreKeys.*.publicKey').isBase64().isLength({ min: 1, max: 512 })
+], authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const oneTimePreKeys = req.body.oneTimePreKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey }));
+
+    // The size check is part of the filter so concurrent uploads cannot overfill the pool
+    const bundle = await KeyBundle.findOneAndUpdate(
+      {
+        userId: req.user.userId,
+        [`oneTimePreKeys.${MAX_ONE_TIME_PREKEYS - oneTimePreKeys.length}`]: { $exists: false }
+      },
+      { $push: { oneTimePreKeys: { $each: oneTimePreKeys } } },
+      { new: true }
+    );
+
+    if (!bundle) {
+      const exists = await KeyBundle.exists({ userId: req.user.userId });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        error: exists
+          ? `At most ${MAX_ONE_TIME_PREKEYS} one-time prekeys can be stored`
+          : 'Publish your encryption keys first'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'One-time prekeys added',
+      data: {
+        keys: bundle.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Add prekeys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add prekeys',
+      message: error.message
+    });
+  }
+});
+
+// Get your key bundle, including how many one-time prekeys are left
+router.get('/keys', authenticateWithScope('chat:read'), async (req, res) => {
+  try {
+    const bundle = await KeyBundle.findOne({ userId: req.user.userId });
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        error: 'No encryption keys published'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        keys: bundle.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Get keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get encryption keys',
+      message: error.message
+    });
+  }
+});
+
+// Fetch another user's keys to start an encrypted session; partners in an encrypted chat also get one of their one-time prekeys
+router.get('/keys/:userId', authenticateWithScope('chat:read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId !== req.user.userId && await rejectIfBlocked(req, res, userId)) {
+      return;
+    }
+
+    // One-time prekeys are only handed out to the partner in an encrypted chat, so other
+    // users cannot use them up; everyone else gets the signed prekey only
+    const hasEncryptedChat = userId !== req.user.userId && !!await Chat.exists({
+      type: 'direct',
+      encrypted: true,
+      'members.userId': { $all: [req.user.userId, userId] }
+    });
+
+    // The bundle is returned as it was before the first one-time prekey was removed
+    const bundle = hasEncryptedChat
+      ? await KeyBundle.findOneAndUpdate({ userId }, { $pop: { oneTimePreKeys: -1 } })
+      : await KeyBundle.findOne({ userId }).select('-oneTimePreKeys');
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        error: 'User has not published encryption keys',
+        errorType: 'KEYS_NOT_PUBLISHED'
+      });
+    }
+
+    const [oneTimePreKey] = hasEncryptedChat ? bundle.oneTimePreKeys : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        keys: {
+          userId,
+          identityKey: bundle.identityKey,
+          signedPreKey: {
+            keyId: bundle.signedPreKey.keyId,
+            publicKey: bundle.signedPreKey.publicKey,
+            signature: bundle.signedPreKey.signature
+          },
+          oneTimePreKey: oneTimePreKey
+            ? { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey }
+            : null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get user keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get encryption keys',
+      message: error.message
+    });
+  }
+});
+
+// Change presence privacy
+router.patch('/presence', [
+  body('showLastSeen').isBoolean().toBoolean()
+], authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { showLastSeen } = req.body;
+    await User.updateOne({ _id: req.user._id }, { $set: { 'privacy.showLastSeen': showLastSeen } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Presence settings updated',
+      data: {
+        status: presenceService.getStatus(req.user.userId),
+        lastSeenAt: req.user.lastSeenAt,
+        privacy: {
+          showLastSeen
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update presence settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update presence settings',
+      message: error.message
+    });
+  }
+});
+
+// List blocked users
+router.get('/blocks', authenticateWithScope('chat:read'), async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        blockedUsers: req.user.blockedUsers.map(entry => ({
+          userId: entry.userId,
+          blockedAt: entry.blockedAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list blocked users',
+      message: error.message
+    });
+  }
+});
+
+// Block a user - they can no longer start a chat with you, message you or add you to groups
+router.post('/blocks', [
+  body('userId').isMongoId()
+], authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userId } = req.body;
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot block yourself'
+      });
+    }
+
+    if (!await User.exists({ _id: userId })) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id, 'blockedUsers.userId': { $ne: userId } },
+      { $push: { blockedUsers: { userId } } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'User blocked'
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to block user',
+      message: error.message
+    });
+  }
+});
+
+// Unblock a user
+router.delete('/blocks/:userId', authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id, 'blockedUsers.userId': req.params.userId },
+      { $pull: { blockedUsers: { userId: req.params.userId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User is not blocked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unblock user',
+      message: error.message
+    });
+  }
+});
+
+// Mute a chat, indefinitely or until a point in time
+router.post('/chats/:chatId/mute', [
+  body('until').optional({ nullable: true }).isISO8601()
+    .custom(value => new Date(value) > new Date()).withMessage('until must be in the future')
+], authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const chat = await loadChatForMember(req, res, req.params.chatId);
+    if (!chat) {
+      return;
+    }
+
+    const mutedUntil = req.body.until ? new Date(req.body.until) : null;
+
+    await Chat.updateOne(
+      { chatId: chat.chatId, 'members.userId': req.user.userId },
+      { $set: { 'members.$.muted': true, 'members.$.mutedUntil': mutedUntil } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Chat muted',
+      data: {
+        chatId: chat.chatId,
+        muted: true,
+        mutedUntil
+      }
+    });
+  } catch (error) {
+    console.error('Mute chat error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mute chat',
+      message: error.message
+    });
+  }
+});
+
+// Unmute a chat
+router.delete('/chats/:chatId/mute', authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const chat = await loadChatForMember(req, res, req.params.chatId);
+    if (!chat) {
+      return;
+    }
+
+    await Chat.updateOne(
+      { chatId: chat.chatId, 'members.userId': req.user.userId },
+      { $set: { 'members.$.muted': false, 'members.$.mutedUntil': null } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Chat unmuted',
+      data: {
+        chatId: chat.chatId,
+        muted: false,
+        mutedUntil: null
+      }
+    });
+  } catch (error) {
+    console.error('Unmute chat error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unmute chat',
+      message: error.message
+    });
+  }
+});
+
+// Invite the AI assistant to answer every message of a chat (group admins, or either member of a direct chat)
+router.post('/chats/:chatId/assistant', authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const chat = await loadChatForMember(req, res, req.params.chatId);
+    if (!chat || (chat.type === 'group' && rejectUnlessGroupAdmin(chat, req, res))) {
+      return;
+    }
+
+    if (chat.encrypted) {
+      return res.status(400).json({
+        success: false,
+        error: 'The AI assistant cannot read encrypted chats'
+      });
+    }
+
+    if (!chat.assistant?.enabled) {
+      chat.assistant = { enabled: true, invitedBy: req.user.userId, invitedAt: new Date() };
+      await chat.save();
+
+      publishChatUpdate(chat, 'assistant_added');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'AI assistant added to the chat',
+      data: {
+        chat: chat.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Add assistant error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Token required'
+      error: 'Failed to add AI assistant',
+      message: error.message
     });
   }
+});
 
+// Remove the AI assistant from a chat; it still answers when mentioned
+router.delete('/chats/:chatId/assistant', authenticateWithScope('chat:write'), async (req, res) => {
   try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    const chat = await loadChatForMember(req, res, req.params.chatId);
+    if (!chat || (chat.type === 'group' && rejectUnlessGroupAdmin(chat, req, res))) {
+      return;
+    }
+
+    if (chat.assistant?.enabled) {
+      chat.assistant = { enabled: false, invitedBy: null, invitedAt: null };
+      await chat.save();
+
+      publishChatUpdate(chat, 'assistant_removed');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'AI assistant removed from the chat',
+      data: {
+        chat: chat.toPublicJSON()
+      }
+    });
   } catch (error) {
-    res.status(401).json({
+    console.error('Remove assistant error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid token'
+      error: 'Failed to remove AI assistant',
+      message: error.message
     });
   }
-};
+});
 
-// Send message endpoint
-router.post('/send', [
-  body('chatId').notEmpty(),
-  body('message').notEmpty().trim(),
-  body('recipientId').notEmpty()
-], verifyToken, async (req, res) => {
+// Report a user to the moderators, with copies of the offending messages
+router.post('/reports', [
+  body('userId').isMongoId(),
+  body('reason').isIn(Report.REASONS),
+  body('details').optional().isString().trim().isLength({ max: 1000 }),
+  body('chatId').optional().isString().notEmpty(),
+  body('messageIds').optional().isArray({ min: 1, max: 50 }),
+  body('messageIds.*').isMongoId()
+], authenticateWithScope('chat:write'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -46,155 +2014,373 @@ router.post('/send', [
       });
     }
 
-    const { chatId, message, recipientId } = req.body;
-    const senderId = req.user.userId;
+    const { userId, reason, details, chatId } = req.body;
+    const reporterId = req.user.userId;
 
-    // Create message
-    const newMessage = {
-      id: Date.now().toString(),
-      chatId,
-      senderId,
-      recipientId,
-      message,
-      timestamp: new Date().toISOString(),
-      type: 'text',
-      status: 'sent',
-      isRead: false
-    };
+    if (userId === reporterId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot report yourself'
+      });
+    }
 
-    messages.push(newMessage);
+    if (!await User.exists({ _id: userId })) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
 
-    // Update chat last message
-    let chat = chats.find(c => c.id === chatId);
-    if (!chat) {
-      // Create new chat if doesn't exist
-      chat = {
-        id: chatId,
-        participants: [senderId, recipientId],
-        lastMessage: newMessage.message,
-        lastMessageTime: newMessage.timestamp,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-      chats.push(chat);
-    } else {
-      chat.lastMessage = newMessage.message;
-      chat.lastMessageTime = newMessage.timestamp;
-      chat.updatedAt = new Date().toISOString();
+    if (chatId && !await loadChatForMember(req, res, chatId)) {
+      return;
+    }
+
+    let messages = [];
+    if (req.body.messageIds) {
+      const messageIds = [...new Set(req.body.messageIds)];
+      const found = await Message.find({
+        _id: { $in: messageIds },
+        senderId: userId,
+        status: { $ne: 'deleted' },
+        ...(chatId && { chatId })
+      });
+
+      // Only messages the reporter could read can be reported
+      const memberChats = await Chat.find({
+        chatId: { $in: [...new Set(found.map(msg => msg.chatId))] },
+        'members.userId': reporterId
+      }).select('chatId');
+      const memberChatIds = memberChats.map(chat => chat.chatId);
+      messages = found.filter(msg => memberChatIds.includes(msg.chatId));
+
+      if (messages.length !== messageIds.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Some messages were not found',
+          data: {
+            messageIds: messageIds.filter(id => !messages.some(msg => msg.id === id))
+          }
+        });
+      }
+    } else if (chatId) {
+      // Without explicit messages, attach the reported user's latest messages in the chat
+      messages = await Message.find({ chatId, senderId: userId, status: { $ne: 'deleted' } })
+        .sort({ timestamp: -1, _id: -1 })
+        .limit(20);
     }
 
+    const report = await Report.create({
+      reporterId,
+      reportedUserId: userId,
+      chatId: chatId || null,
+      reason,
+      details: details || '',
+      messages: messages.map(msg => ({
+        messageId: msg._id,
+        chatId: msg.chatId,
+        senderId: msg.senderId,
+        message: msg.message,
+        type: msg.type,
+        attachments: msg.attachments.map(({ kind, fileName, mimeType, size }) => ({ kind, fileName, mimeType, size })),
+        timestamp: msg.timestamp,
+        editedAt: msg.editedAt
+      }))
+    });
+
+    console.log(`[Moderation] 🚩 User ${userId} reported for ${reason} (${report.messages.length} messages)`);
+
     res.status(201).json({
       success: true,
-      message: 'Message sent successfully',
+      message: 'Report submitted. Our moderators will review it',
       data: {
-        message: newMessage
+        report: {
+          id: report.id,
+          status: report.status,
+          createdAt: report.createdAt
+        }
       }
     });
   } catch (error) {
-    console.error('Send message error:', error);
+    console.error('Report user error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to send message',
+      error: 'Failed to submit report',
       message: error.message
     });
   }
 });
 
-// Get messages endpoint
-router.get('/get', [
-  query('chatId').notEmpty()
-], verifyToken, async (req, res) => {
+// Edit message text (sender only); previous versions are kept in the edit history
+router.patch('/message/:messageId', [
+  body('message').isString().trim()
+], authenticateWithScope('chat:write'), async (req, res) => {
   try {
-    const { chatId } = req.query;
-    const userId = req.user.userId;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { msg, chat } = loaded;
+    const { message } = req.body;
+
+    if (msg.senderId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only edit your own messages'
+      });
+    }
+
+    if (msg.type === 'encrypted') {
+      return res.status(400).json({
+        success: false,
+        error: 'Encrypted messages cannot be edited'
+      });
+    }
+
+    if (!message && msg.attachments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message text is required'
+      });
+    }
+
+    if (message !== msg.message) {
+      msg.editHistory.push({ message: msg.message, editedAt: msg.editedAt || msg.timestamp });
+      msg.message = message;
+      msg.editedAt = new Date();
+      await msg.save();
+
+      await syncLastMessage(msg);
+    }
+
+    const messageJson = await serializeMessage(msg);
+
+    chatEvents.publish('message.updated', {
+      chatId: chat.chatId,
+      recipients: chat.memberIds(),
+      data: { message: messageJson }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Message edited successfully',
+      data: {
+        message: messageJson
+      }
+    });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to edit message',
+      message: error.message
+    });
+  }
+});
+
+// Get a message's edit history (chat members)
+router.get('/message/:messageId/history', authenticateWithScope('chat:read'), async (req, res) => {
+  try {
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) {
+      return;
+    }
 
-    // Get chat messages
-    const chatMessages = messages.filter(msg => 
-      msg.chatId === chatId && 
-      (msg.senderId === userId || msg.recipientId === userId)
-    ).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const { msg } = loaded;
 
-    // Mark messages as read
-    chatMessages.forEach(msg => {
-      if (msg.recipientId === userId && !msg.isRead) {
-        msg.isRead = true;
-        msg.readAt = new Date().toISOString();
+    res.status(200).json({
+      success: true,
+      data: {
+        current: {
+          message: msg.message,
+          editedAt: msg.editedAt || msg.timestamp
+        },
+        history: msg.editHistory.map(entry => ({
+          message: entry.message,
+          editedAt: entry.editedAt
+        }))
       }
     });
+  } catch (error) {
+    console.error('Get edit history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get edit history',
+      message: error.message
+    });
+  }
+});
 
-    // Get chat info
-    const chat = chats.find(c => c.id === chatId);
-    if (!chat) {
-      return res.status(404).json({
+// List replies to a message, oldest first (chat members)
+router.get('/message/:messageId/replies', [
+  query('after').optional().isMongoId(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], authenticateWithScope('chat:read'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        error: 'Chat not found'
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { msg } = loaded;
+    const limit = parseInt(req.query.limit) || 50;
+    const filter = { replyToId: msg._id };
+
+    if (req.query.after) {
+      const cursor = await findCursorMessage(req.query.after);
+      if (!cursor || !msg._id.equals(cursor.replyToId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid pagination cursor'
+        });
+      }
+      Object.assign(filter, cursorFilter(cursor, 'after'));
+    }
+
+    const page = await Message.find(filter)
+      .sort({ timestamp: 1, _id: 1 })
+      .limit(limit + 1);
+
+    const replies = page.slice(0, limit);
+
     res.status(200).json({
       success: true,
       data: {
-        chat,
-        messages: chatMessages
+        replies: await serializeMessages(replies),
+        pagination: {
+          limit,
+          hasMore: page.length > limit,
+          after: replies[replies.length - 1]?.id || null
+        }
       }
     });
   } catch (error) {
-    console.error('Get messages error:', error);
+    console.error('Get replies error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get messages',
+      error: 'Failed to get replies',
       message: error.message
     });
   }
 });
 
-// Get chat history endpoint
-router.get('/history', verifyToken, async (req, res) => {
+// Add an emoji reaction (chat members)
+router.post('/message/:messageId/reactions', [
+  body('emoji').custom(isEmoji).withMessage('emoji must be a single emoji')
+], authenticateWithScope('chat:write'), async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { msg, chat } = loaded;
+    const { emoji } = req.body;
     const userId = req.user.userId;
 
-    // Get user chats
-    const userChats = chats.filter(chat => 
-      chat.participants.includes(userId)
-    ).sort((a, b) => new Date(b.lastMessageTime) - new Date(a.lastMessageTime));
+    // Each user reacts at most once with the same emoji
+    const updated = await Message.findOneAndUpdate(
+      { _id: msg._id, reactions: { $not: { $elemMatch: { emoji, userId } } } },
+      { $push: { reactions: { emoji, userId } } },
+      { new: true }
+    ) || msg;
 
-    // Get last message for each chat
-    const chatsWithLastMessage = userChats.map(chat => {
-      const lastMessage = messages
-        .filter(msg => msg.chatId === chat.id)
-        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+    const reactions = updated.reactionSummary();
 
-      return {
-        ...chat,
-        lastMessage,
-        unreadCount: messages.filter(msg => 
-          msg.chatId === chat.id && 
-          msg.recipientId === userId && 
-          !msg.isRead
-        ).length
-      };
+    chatEvents.publish('message.reactions', {
+      chatId: chat.chatId,
+      recipients: chat.memberIds(),
+      data: { messageId: msg.id, reactions }
     });
 
     res.status(200).json({
       success: true,
       data: {
-        chats: chatsWithLastMessage
+        reactions
       }
     });
   } catch (error) {
-    console.error('Get chat history error:', error);
+    console.error('Add reaction error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get chat history',
+      error: 'Failed to add reaction',
       message: error.message
     });
   }
 });
 
-// Create new chat endpoint
-router.post('/create', [
-  body('participantId').notEmpty()
-], verifyToken, async (req, res) => {
+// Remove own emoji reaction (chat members)
+router.delete('/message/:messageId/reactions/:emoji', authenticateWithScope('chat:write'), async (req, res) => {
+  try {
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { msg, chat } = loaded;
+
+    const updated = await Message.findOneAndUpdate(
+      { _id: msg._id },
+      { $pull: { reactions: { emoji: req.params.emoji, userId: req.user.userId } } },
+      { new: true }
+    );
+
+    const reactions = updated.reactionSummary();
+
+    chatEvents.publish('message.reactions', {
+      chatId: chat.chatId,
+      recipients: chat.memberIds(),
+      data: { messageId: msg.id, reactions }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reactions
+      }
+    });
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove reaction',
+      message: error.message
+    });
+  }
+});
+
+// Forward a message to other chats the user belongs to; attachments are shared, not re-uploaded
+router.post('/message/:messageId/forward', [
+  body('chatIds').isArray({ min: 1, max: 10 }),
+  body('chatIds.*').isString().notEmpty()
+], authenticateWithScope('chat:write'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -205,77 +2391,222 @@ router.post('/create', [
       });
     }
 
-    const { participantId } = req.body;
-    const creatorId = req.user.userId;
+    const loaded = await loadMessageForMember(req, res);
+    if (!loaded) {
+      return;
+    }
 
-    // Generate unique chat ID
-    const chatId = `chat_${Date.now()}_${creatorId}_${participantId}`;
+    const { msg: source } = loaded;
+    const userId = req.user.userId;
+    const chatIds = [...new Set(req.body.chatIds)];
 
-    // Check if chat already exists
-    const existingChat = chats.find(chat => 
-      chat.participants.includes(creatorId) && 
-      chat.participants.includes(participantId)
-    );
+    // Ciphertext is only readable in its own chat, and encrypted chats accept no plaintext
+    if (source.type === 'encrypted') {
+      return res.status(400).json({
+        success: false,
+        error: 'Encrypted messages cannot be forwarded'
+      });
+    }
 
-    if (existingChat) {
-      return res.status(409).json({
+    const targets = await Chat.find({ chatId: { $in: chatIds }, 'members.userId': userId });
+    if (targets.length !== chatIds.length) {
+      const found = targets.map(chat => chat.chatId);
+      return res.status(404).json({
         success: false,
-        error: 'Chat already exists',
+        error: 'Chat not found',
         data: {
-          chatId: existingChat.id
+          chatIds: chatIds.filter(id => !found.includes(id))
         }
       });
     }
 
-    // Create new chat
-    const newChat = {
-      id: chatId,
-      participants: [creatorId, participantId],
-      lastMessage: '',
-      lastMessageTime: new Date().toISOString(),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const encryptedChatIds = targets.filter(target => target.encrypted).map(target => target.chatId);
+    if (encryptedChatIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Messages cannot be forwarded to encrypted chats',
+        errorType: 'ENCRYPTION_REQUIRED',
+        data: {
+          chatIds: encryptedChatIds
+        }
+      });
+    }
+
+    const blockedChatIds = [];
+    for (const chat of targets.filter(target => target.type === 'direct')) {
+      const otherId = chat.memberIds().find(id => id !== userId);
+      if (otherId && await isBlockedBetween(req.user, otherId)) {
+        blockedChatIds.push(chat.chatId);
+      }
+    }
+
+    if (blockedChatIds.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot message this user',
+        errorType: 'USER_BLOCKED',
+        data: {
+          chatIds: blockedChatIds
+        }
+      });
+    }
+
+    // Forwarding a forward keeps pointing at the original message
+    const forwardedFrom = source.forwardedFrom?.messageId
+      ? source.forwardedFrom
+      : { messageId: source._id, senderId: source.senderId };
+
+    const forwarded = [];
+    for (const chat of targets) {
+      const newMessage = await Message.create({
+        chatId: chat.chatId,
+        senderId: userId,
+        recipientId: chat.type === 'direct' ? chat.memberIds().find(id => id !== userId) || null : null,
+        message: source.message,
+        type: source.type,
+        attachments: source.attachments.map(attachment => {
+          const { _id, ...copy } = attachment.toObject();
+          return { ...copy, uploadedBy: attachment.uploadedBy || source.senderId };
+        }),
+        forwardedFrom
+      });
 
-    chats.push(newChat);
+      await Chat.updateOne(
+        { chatId: chat.chatId },
+        { $set: { lastMessage: newMessage.preview(), lastMessageTime: newMessage.timestamp } }
+      );
+
+      const messageJson = await serializeMessage(newMessage);
+      chatEvents.publish('message.created', {
+        chatId: chat.chatId,
+        recipients: chat.memberIds(),
+        data: { message: messageJson }
+      });
+      notifyNewMessage(chat, newMessage, req.user.firstName);
+      forwarded.push(messageJson);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Chat created successfully',
+      message: 'Message forwarded successfully',
       data: {
-        chat: newChat
+        messages: forwarded
       }
     });
   } catch (error) {
-    console.error('Create chat error:', error);
+    console.error('Forward message error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create chat',
+      error: 'Failed to forward message',
       message: error.message
     });
   }
 });
 
+// Download an attachment or its thumbnail (chat members only)
+const sendAttachment = (variant) => async (req, res) => {
+  try {
+    const { messageId, attachmentId } = req.params;
+
+    const message = mongoose.isValidObjectId(messageId) ? await Message.findById(messageId) : null;
+    if (!message || message.status === 'deleted') {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    const chat = await loadChatForMember(req, res, message.chatId);
+    if (!chat) {
+      return;
+    }
+
+    const attachment = mongoose.isValidObjectId(attachmentId) ? message.attachments.id(attachmentId) : null;
+    const key = variant === 'thumbnail' ? attachment?.thumbnailKey : attachment?.storageKey;
+    if (!key || !(await storageService.exists(key))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': variant === 'thumbnail' ? 'image/webp' : attachment.mimeType,
+      'Content-Disposition': `${attachment.kind === 'file' ? 'attachment' : 'inline'}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+    const stream = storageService.createReadStream(key);
+    stream.on('error', (error) => {
+      console.error('Attachment stream error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to download attachment'
+        });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download attachment',
+      message: error.message
+    });
+  }
+};
+
+router.get('/attachments/:messageId/:attachmentId', authenticateWithScope('chat:read'), sendAttachment('original'));
+router.get('/attachments/:messageId/:attachmentId/thumbnail', authenticateWithScope('chat:read'), sendAttachment('thumbnail'));
+
 // Delete message endpoint
-router.delete('/message/:messageId', verifyToken, async (req, res) => {
+router.delete('/message/:messageId', authenticateWithScope('chat:write'), async (req, res) => {
   try {
     const { messageId } = req.params;
     const userId = req.user.userId;
 
-    const messageIndex = messages.findIndex(msg => 
-      msg.id === messageId && msg.senderId === userId
-    );
+    // The content goes with the message: text, earlier versions, ciphertext, reactions and attachments
+    const original = mongoose.isValidObjectId(messageId)
+      ? await Message.findOneAndUpdate(
+        { _id: messageId, senderId: userId, status: { $ne: 'deleted' } },
+        {
+          $set: {
+            status: 'deleted',
+            deletedAt: new Date(),
+            message: '',
+            editHistory: [],
+            envelope: null,
+            reactions: [],
+            attachments: []
+          }
+        }
+      )
+      : null;
 
-    if (messageIndex === -1) {
+    if (!original) {
       return res.status(404).json({
         success: false,
         error: 'Message not found'
       });
     }
 
-    // Mark message as deleted
-    messages[messageIndex].status = 'deleted';
-    messages[messageIndex].deletedAt = new Date().toISOString();
+    // Deleted attachments free their storage
+    await releaseAttachments(original);
+
+    const deletedMessage = await Message.findById(original._id);
+    await syncLastMessage(deletedMessage);
+
+    const chat = await Chat.findOne({ chatId: deletedMessage.chatId });
+    if (chat) {
+      chatEvents.publish('message.deleted', {
+        chatId: chat.chatId,
+        recipients: chat.memberIds(),
+        data: { messageId, deletedAt: deletedMessage.deletedAt }
+      });
+    }
 
     res.status(200).json({
       success: true,
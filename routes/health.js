@@ -1,4 +1,5 @@
 const express = require('express');
+const { isDatabaseConnected } = require('../config/database');
 const router = express.Router();
 
 // Basic health check
@@ -11,7 +12,7 @@ router.get('/', async (req, res) => {
       environment: process.env.NODE_ENV || 'development',
       version: '1.0.0',
       services: {
-        database: 'connected', // Would check actual DB connection
+        database: isDatabaseConnected() ? 'connected' : 'disconnected',
         auth: 'operational',
         chat: 'operational',
         marketplace: 'operational',
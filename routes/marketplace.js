@@ -1,7 +1,15 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
+const { authenticate, authenticateWithScope, createAuthMiddleware, requireVerifiedEmail, requireRole } = require('../middleware/auth');
+const accountDeletion = require('../services/accountDeletion.service');
+const NotificationService = require('../services/notification.service');
 const router = express.Router();
 
+const notificationService = new NotificationService();
+
+// Browsing is public; signed-in users and `marketplace:read` API keys are identified
+const optionalReadAuthenticate = createAuthMiddleware({ optional: true, apiKeyScope: 'marketplace:read' });
+
 // Mock marketplace database
 const items = [];
 const orders = [];
@@ -10,29 +18,17 @@ const categories = [
   'Toys', 'Automotive', 'Health', 'Food', 'Services'
 ];
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Token required'
-    });
-  }
+// Delist a deleted user's active listings (orders are kept for the other party)
+accountDeletion.register('marketplace', async (userId) => {
+  const activeItems = items.filter(item => item.sellerId === userId && item.status === 'active');
 
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      error: 'Invalid token'
-    });
-  }
-};
+  activeItems.forEach(item => {
+    item.status = 'delisted';
+    item.updatedAt = new Date().toISOString();
+  });
+
+  return { delistedItems: activeItems.length };
+});
 
 // Get marketplace items
 router.get('/get-items', [
@@ -40,7 +36,7 @@ router.get('/get-items', [
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('category').optional().isIn(categories),
   query('search').optional().trim()
-], async (req, res) => {
+], optionalReadAuthenticate, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -119,7 +115,7 @@ router.get('/get-items', [
 });
 
 // Get single item
-router.get('/item/:itemId', async (req, res) => {
+router.get('/item/:itemId', optionalReadAuthenticate, async (req, res) => {
   try {
     const { itemId } = req.params;
     
@@ -155,7 +151,7 @@ router.post('/create', [
   body('price').isFloat({ min: 0 }),
   body('category').isIn(categories),
   body('condition').isIn(['new', 'like-new', 'good', 'fair', 'poor'])
-], verifyToken, async (req, res) => {
+], authenticateWithScope('marketplace:write'), requireVerifiedEmail, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -209,7 +205,7 @@ router.post('/buy', [
   body('itemId').notEmpty(),
   body('quantity').isInt({ min: 1 }),
   body('shippingAddress').notEmpty()
-], verifyToken, async (req, res) => {
+], authenticate, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -260,6 +256,14 @@ router.post('/buy', [
     item.status = 'sold';
     item.updatedAt = new Date().toISOString();
 
+    // Let the seller know in the background
+    notificationService.notify(item.sellerId, {
+      type: 'marketplace_order',
+      title: 'New order',
+      body: `${req.user.firstName} ordered ${quantity} × ${item.title}`,
+      data: { orderId: newOrder.id, itemId }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Order placed successfully',
@@ -278,7 +282,7 @@ router.post('/buy', [
 });
 
 // Get user orders
-router.get('/orders', verifyToken, async (req, res) => {
+router.get('/orders', authenticateWithScope('marketplace:read'), async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -311,6 +315,77 @@ router.get('/orders', verifyToken, async (req, res) => {
   }
 });
 
+// Moderate listing (moderators and admins)
+router.post('/moderate/:itemId', [
+  body('action').isIn(['remove', 'restore']),
+  body('reason').optional().trim()
+], authenticate, requireRole('moderator'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { itemId } = req.params;
+    const { action, reason } = req.body;
+
+    const item = items.find(i => i.id === itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found'
+      });
+    }
+
+    if (action === 'remove') {
+      if (item.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          error: 'Only active items can be removed'
+        });
+      }
+
+      item.status = 'removed';
+    } else {
+      if (item.status !== 'removed') {
+        return res.status(400).json({
+          success: false,
+          error: 'Only removed items can be restored'
+        });
+      }
+
+      item.status = 'active';
+    }
+
+    item.moderation = {
+      action,
+      reason: reason || null,
+      moderatorId: req.user.userId,
+      moderatedAt: new Date().toISOString()
+    };
+    item.updatedAt = new Date().toISOString();
+
+    res.status(200).json({
+      success: true,
+      message: action === 'remove' ? 'Item removed successfully' : 'Item restored successfully',
+      data: {
+        item
+      }
+    });
+  } catch (error) {
+    console.error('Moderate item error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to moderate item',
+      message: error.message
+    });
+  }
+});
+
 // Get categories
 router.get('/categories', async (req, res) => {
   try {
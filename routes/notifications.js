@@ -0,0 +1,326 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const DeviceToken = require('../models/DeviceToken');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const accountDeletion = require('../services/accountDeletion.service');
+const { authenticate } = require('../middleware/auth');
+const router = express.Router();
+
+// Devices and the inbox belong to signed-in sessions, not API keys
+router.use(authenticate);
+
+// Forget a deleted user's devices and inbox
+accountDeletion.register('notifications', async (userId) => {
+  const [devices, notifications] = await Promise.all([
+    DeviceToken.deleteMany({ userId }),
+    Notification.deleteMany({ userId })
+  ]);
+
+  return {
+    removedDevices: devices.deletedCount,
+    deletedNotifications: notifications.deletedCount
+  };
+});
+
+// Preferences as returned by the API, one entry per notification type
+const serializePreferences = (user) => Object.fromEntries(Notification.TYPES.map(type => [type, {
+  push: !!user.notificationPreferences?.[type]?.push,
+  inbox: !!user.notificationPreferences?.[type]?.inbox
+}]));
+
+// List notifications (in-app inbox), newest first
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('unreadOnly').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const userId = req.user.userId;
+
+    const filter = { userId };
+    if (req.query.unreadOnly === 'true') {
+      filter.readAt = null;
+    }
+
+    const [notifications, totalNotifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId, readAt: null })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications: notifications.map(notification => notification.toPublicJSON()),
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          itemsPerPage: limit,
+          totalItems: totalNotifications,
+          totalPages: Math.ceil(totalNotifications / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list notifications',
+      message: error.message
+    });
+  }
+});
+
+// Mark every notification as read
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: {
+        updated: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notifications as read',
+      message: error.message
+    });
+  }
+});
+
+// Get notification preferences
+router.get('/preferences', async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        preferences: serializePreferences(req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get notification preferences',
+      message: error.message
+    });
+  }
+});
+
+// Update notification preferences - only the given types and channels change
+router.patch('/preferences', [
+  body().custom(value => Object.keys(value || {}).every(type => Notification.TYPES.includes(type)))
+    .withMessage(`Notification types must be one of: ${Notification.TYPES.join(', ')}`),
+  body('*.push').optional().isBoolean().toBoolean(),
+  body('*.inbox').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const update = {};
+    Notification.TYPES.forEach(type => {
+      ['push', 'inbox'].forEach(channel => {
+        if (typeof req.body[type]?.[channel] === 'boolean') {
+          update[`notificationPreferences.${type}.${channel}`] = req.body[type][channel];
+        }
+      });
+    });
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: {
+        preferences: serializePreferences(user)
+      }
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification preferences',
+      message: error.message
+    });
+  }
+});
+
+// List registered devices
+router.get('/devices', async (req, res) => {
+  try {
+    const devices = await DeviceToken.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        devices: devices.map(device => device.toPublicJSON())
+      }
+    });
+  } catch (error) {
+    console.error('List devices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list devices',
+      message: error.message
+    });
+  }
+});
+
+// Register a device for push notifications (moves the token if another account had it)
+router.post('/devices', [
+  body('token').isString().trim().isLength({ min: 1, max: 4096 }),
+  body('platform').isIn(DeviceToken.PLATFORMS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { token, platform } = req.body;
+
+    const update = { $set: { userId: req.user.userId, platform } };
+    let device;
+    try {
+      device = await DeviceToken.findOneAndUpdate({ token }, update, { upsert: true, new: true });
+    } catch (error) {
+      // Concurrent registration of the same token - the device exists now
+      if (error.code !== 11000) {
+        throw error;
+      }
+      device = await DeviceToken.findOneAndUpdate({ token }, update, { new: true });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device registered',
+      data: {
+        device: device.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register device',
+      message: error.message
+    });
+  }
+});
+
+// Unregister a device (e.g. on sign-out)
+router.delete('/devices/:deviceId', [
+  param('deviceId').custom(value => mongoose.isValidObjectId(value))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await DeviceToken.deleteOne({ _id: req.params.deviceId, userId: req.user.userId });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device unregistered'
+    });
+  } catch (error) {
+    console.error('Unregister device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unregister device',
+      message: error.message
+    });
+  }
+});
+
+// Mark a notification as read
+router.post('/:notificationId/read', [
+  param('notificationId').custom(value => mongoose.isValidObjectId(value))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, userId: req.user.userId },
+      [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notification: notification.toPublicJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark notification as read',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
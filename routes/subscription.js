@@ -1,122 +1,36 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, validationResult, query } = require('express-validator');
+const { authenticate, requireRole } = require('../middleware/auth');
+const accountDeletion = require('../services/accountDeletion.service');
+const subscriptionService = require('../services/subscription.service');
 const router = express.Router();
 
-// Mock subscription database
-const subscriptions = [];
-const plans = [
-  {
-    id: 'free',
-    name: 'Free',
-    price: 0,
-    duration: 'lifetime',
-    features: [
-      'Basic chat functionality',
-      'Limited marketplace access',
-      '5 AI messages per day'
-    ],
-    limits: {
-      aiMessages: 5,
-      marketplaceListings: 3,
-      storage: 100 // MB
-    }
-  },
-  {
-    id: 'pro',
-    name: 'Pro',
-    price: 9.99,
-    duration: 'monthly',
-    features: [
-      'Unlimited chat functionality',
-      'Full marketplace access',
-      'Unlimited AI messages',
-      'Voice cloning',
-      'Priority support',
-      'Advanced analytics'
-    ],
-    limits: {
-      aiMessages: -1, // Unlimited
-      marketplaceListings: -1,
-      storage: 10000 // 10GB
-    }
-  },
-  {
-    id: 'premium',
-    name: 'Premium',
-    price: 29.99,
-    duration: 'monthly',
-    features: [
-      'Everything in Pro',
-      'AI video generation',
-      'Advanced voice features',
-      'White label options',
-      'API access',
-      'Dedicated support'
-    ],
-    limits: {
-      aiMessages: -1,
-      marketplaceListings: -1,
-      storage: 50000 // 50GB
-    }
-  }
-];
-
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Token required'
-    });
-  }
+// Subscriptions and plans are shared with other modules through the service
+const { subscriptions, plans } = subscriptionService;
 
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      error: 'Invalid token'
-    });
-  }
-};
+// Cancel a deleted user's subscription immediately
+accountDeletion.register('subscription', async (userId) => {
+  const activeSubscriptions = subscriptions.filter(sub =>
+    sub.userId === userId &&
+    sub.status === 'active'
+  );
+
+  activeSubscriptions.forEach(subscription => {
+    subscription.status = 'cancelled';
+    subscription.endDate = new Date().toISOString();
+    subscription.updatedAt = new Date().toISOString();
+  });
+
+  return { cancelledSubscriptions: activeSubscriptions.length };
+});
 
 // Check subscription status
-router.get('/check', verifyToken, async (req, res) => {
+router.get('/check', authenticate, async (req, res) => {
   try {
     const userId = req.user.userId;
 
-    // Find user subscription
-    let subscription = subscriptions.find(sub => 
-      sub.userId === userId && 
-      sub.status === 'active'
-    );
-
-    // If no subscription, create free one
-    if (!subscription) {
-      subscription = {
-        id: Date.now().toString(),
-        userId,
-        planId: 'free',
-        status: 'active',
-        startDate: new Date().toISOString(),
-        endDate: null,
-        features: plans.find(p => p.id === 'free').features,
-        limits: plans.find(p => p.id === 'free').limits,
-        usage: {
-          aiMessages: 0,
-          marketplaceListings: 0,
-          storage: 0
-        },
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-      subscriptions.push(subscription);
-    }
+    // Find user subscription, starting on the free plan if there is none
+    const subscription = subscriptionService.getOrCreateActive(userId);
 
     const plan = plans.find(p => p.id === subscription.planId);
 
@@ -171,7 +85,7 @@ router.get('/plans', async (req, res) => {
 router.post('/upgrade', [
   body('planId').isIn(['free', 'pro', 'premium']),
   body('paymentMethodId').optional().notEmpty()
-], verifyToken, async (req, res) => {
+], authenticate, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -266,7 +180,7 @@ router.post('/upgrade', [
 router.post('/usage', [
   body('type').isIn(['aiMessages', 'marketplaceListings', 'storage']),
   body('amount').isInt({ min: 1 })
-], verifyToken, async (req, res) => {
+], authenticate, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -335,7 +249,7 @@ router.post('/usage', [
 });
 
 // Cancel subscription
-router.post('/cancel', verifyToken, async (req, res) => {
+router.post('/cancel', authenticate, async (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -373,4 +287,45 @@ router.post('/cancel', verifyToken, async (req, res) => {
   }
 });
 
+// List subscriptions (admin only)
+router.get('/admin/list', [
+  query('userId').optional().notEmpty(),
+  query('status').optional().isIn(['active', 'cancelled']),
+  query('planId').optional().isIn(['free', 'pro', 'premium'])
+], authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userId, status, planId } = req.query;
+
+    const filteredSubscriptions = subscriptions.filter(sub =>
+      (!userId || sub.userId === userId) &&
+      (!status || sub.status === status) &&
+      (!planId || sub.planId === planId)
+    ).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        subscriptions: filteredSubscriptions,
+        total: filteredSubscriptions.length
+      }
+    });
+  } catch (error) {
+    console.error('List subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list subscriptions',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
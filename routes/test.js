@@ -1,7 +1,11 @@
 const express = require('express');
 const ElevenLabsService = require('../services/elevenLabs.service');
+const { authenticate, requireRole } = require('../middleware/auth');
 const router = express.Router();
 
+// Debug endpoints are restricted to administrators
+router.use(authenticate, requireRole('admin'));
+
 // Initialize ElevenLabs Service
 let elevenLabsService = null;
 
@@ -15,7 +19,7 @@ try {
 
 /**
  * POST /api/test/tts
- * Test endpoint without authentication for quick testing
+ * Test endpoint for quick testing (admin only)
  */
 router.post('/tts', async (req, res) => {
   const requestId = `test_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -1,8 +1,12 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const FalClientService = require('../services/falClient.service');
+const NotificationService = require('../services/notification.service');
+const { authenticate, authenticateWithScope, requireRole } = require('../middleware/auth');
 const router = express.Router();
 
+const notificationService = new NotificationService();
+
 // Initialize Fal.ai Client Service
 let falClient = null;
 
@@ -15,32 +19,6 @@ try {
   falClient = null;
 }
 
-// Middleware to verify JWT token (reused from existing AI routes)
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Token required',
-      errorType: 'AUTHENTICATION_ERROR'
-    });
-  }
-
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      error: 'Invalid token',
-      errorType: 'AUTHENTICATION_ERROR'
-    });
-  }
-};
-
 /**
  * POST /api/video/generate
  * Generate video using Fal.ai Pika model
@@ -77,7 +55,7 @@ router.post('/generate', [
     .optional()
     .isIn(['16:9', '9:16', '1:1', '4:3', '21:9'])
     .withMessage('Invalid aspect ratio. Must be one of: 16:9, 9:16, 1:1, 4:3, 21:9')
-], verifyToken, async (req, res) => {
+], authenticateWithScope('video:generate'), async (req, res) => {
   const requestId = `api_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   const userId = req.user.userId;
   
@@ -140,6 +118,14 @@ router.post('/generate', [
 
     if (result.success) {
       console.log(`[VideoRoute] ✅ Video generation completed - RequestID: ${requestId}`);
+
+      // Generations take a while; the user may have left the app in the meantime
+      notificationService.notify(req.user.userId, {
+        type: 'video_ready',
+        title: 'Your video is ready',
+        body: result.prompt,
+        data: { requestId: result.requestId, videoUrl: result.videoUrl }
+      });
       
       // Success response
       res.status(200).json({
@@ -252,7 +238,7 @@ router.get('/health', async (req, res) => {
 
 /**
  * GET /api/video/config
- * Get service configuration (for debugging)
+ * Get service configuration (for debugging, admin only)
  * 
  * Response:
  * {
@@ -260,7 +246,7 @@ router.get('/health', async (req, res) => {
  *   "config": {...}
  * }
  */
-router.get('/config', verifyToken, async (req, res) => {
+router.get('/config', authenticate, requireRole('admin'), async (req, res) => {
   const requestId = `config_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   
   try {
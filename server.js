@@ -15,6 +15,8 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { connectDatabase, disconnectDatabase } = require('./config/database');
+const ChatGateway = require('./services/chatGateway.service');
 
 const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
@@ -25,6 +27,9 @@ const healthRoutes = require('./routes/health');
 const videoRoutes = require('./routes/video');
 const audioRoutes = require('./routes/audio');
 const testRoutes = require('./routes/test');
+const adminRoutes = require('./routes/admin');
+const apiKeyRoutes = require('./routes/apiKeys');
+const notificationRoutes = require('./routes/notifications');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -81,6 +86,9 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/video', videoRoutes);
 app.use('/api/audio', audioRoutes);
 app.use('/api/test', testRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -125,23 +133,58 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 FayStar Backend Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`📚 API Documentation: http://localhost:${PORT}/api`);
+// Start server once the database is reachable
+const startServer = async () => {
+  try {
+    await connectDatabase();
+  } catch (error) {
+    console.error('❌ Failed to connect to MongoDB:', error.message);
+    process.exit(1);
+  }
+
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 FayStar Backend Server running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+    console.log(`📚 API Documentation: http://localhost:${PORT}/api`);
   
-  // Debug: Check if FAL_KEY is loaded (safe logging - no actual key exposed)
-  console.log(`🔑 FAL_KEY loaded:`, !!process.env.FAL_KEY);
+    // Debug: Check if FAL_KEY is loaded (safe logging - no actual key exposed)
+    console.log(`🔑 FAL_KEY loaded:`, !!process.env.FAL_KEY);
   
-  // ElevenLabs TTS Ready message
-  if (process.env.ELEVENLABS_API_KEY) {
-    console.log(`🎤 ElevenLabs TTS Ready - API key configured`);
-    console.log(`🔊 TTS Endpoint: http://localhost:${PORT}/api/audio/tts`);
-  } else {
-    console.log(`⚠️  ElevenLabs TTS Not Ready - API key missing`);
-  }
-});
+    // ElevenLabs TTS Ready message
+    if (process.env.ELEVENLABS_API_KEY) {
+      console.log(`🎤 ElevenLabs TTS Ready - API key configured`);
+      console.log(`🔊 TTS Endpoint: http://localhost:${PORT}/api/audio/tts`);
+    } else {
+      console.log(`⚠️  ElevenLabs TTS Not Ready - API key missing`);
+    }
+  });
+
+  // Real-time chat delivery shares the HTTP server
+  const chatGateway = new ChatGateway();
+  chatGateway.attach(server);
+
+  // Graceful shutdown
+  const shutdown = (signal) => {
+    console.log(`🛑 ${signal} received, shutting down...`);
+    chatGateway.close();
+    server.close(async () => {
+      try {
+        await disconnectDatabase();
+      } finally {
+        process.exit(0);
+      }
+    });
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  return server;
+};
+
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,50 @@
+/**
+ * Account Deletion Service
+ * Modules that own user data register a cleanup handler here; deleting an
+ * account runs every handler so chats, listings, subscriptions, etc. are
+ * anonymized or closed before the user record disappears.
+ * The account is only removed once every handler succeeds, and a failed
+ * deletion can be retried, so handlers must be safe to run more than once.
+ */
+class AccountDeletionService {
+  constructor() {
+    this.handlers = [];
+    // Placeholder that replaces a deleted user's ID in shared records
+    this.DELETED_USER_ID = 'deleted_user';
+  }
+
+  /**
+   * Register a cleanup handler
+   * @param {string} name - Module name (used in logs and results)
+   * @param {Function} handler - async (userId) => summary object
+   */
+  register(name, handler) {
+    this.handlers.push({ name, handler });
+  }
+
+  /**
+   * Run every registered handler for a user
+   * @param {string} userId - ID of the account being deleted
+   * @returns {Promise<Object>} Summary per module ({ success, ...details } or error info)
+   */
+  async run(userId) {
+    const summary = {};
+
+    for (const { name, handler } of this.handlers) {
+      try {
+        summary[name] = { success: true, ...(await handler(userId)) };
+      } catch (error) {
+        console.error(`[AccountDeletion] ❌ Cleanup "${name}" failed for user ${userId}:`, error.message);
+        summary[name] = {
+          success: false,
+          error: error.message
+        };
+      }
+    }
+
+    return summary;
+  }
+}
+
+// Shared by every router
+module.exports = new AccountDeletionService();
@@ -0,0 +1,259 @@
+const axios = require('axios');
+
+const SYSTEM_PROMPT = 'You are a helpful AI assistant for the FayStar app. Provide helpful, concise, and accurate responses.';
+
+// Chat models offered to clients; `maxTokens` is the model's context window
+const MODELS = [
+  {
+    id: 'gpt-3.5-turbo',
+    name: 'GPT-3.5 Turbo',
+    description: 'Fast and efficient for most tasks',
+    maxTokens: 4096,
+    cost: 0.002
+  },
+  {
+    id: 'gpt-4',
+    name: 'GPT-4',
+    description: 'More capable for complex tasks',
+    maxTokens: 8192,
+    cost: 0.03
+  },
+  {
+    id: 'gpt-4-turbo',
+    name: 'GPT-4 Turbo',
+    description: 'Latest and most powerful model',
+    maxTokens: 128000,
+    cost: 0.01
+  }
+];
+
+/**
+ * AI Chat Service
+ * Chat completions through the OpenAI API, shared by `/api/ai/chat` and the
+ * assistant that answers inside user chats.
+ */
+class AiChatService {
+  constructor() {
+    this.apiUrl = 'https://api.openai.com/v1/chat/completions';
+    this.defaultModel = 'gpt-3.5-turbo';
+    this.timeoutMs = 30000;
+    this.maxResponseTokens = 1000;
+  }
+
+  /**
+   * Whether an OpenAI API key is configured
+   * @returns {boolean} True when completions can be requested
+   */
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  /**
+   * Request a completion
+   * @param {Object} params - Completion parameters
+   * @param {string} params.message - Latest user message
+   * @param {Object[]} [params.conversationHistory] - Earlier messages ({ role, content, name? }), oldest first
+   * @param {string} [params.model] - OpenAI model
+   * @param {string} [params.systemPrompt] - Instructions prepended to the conversation
+   * @param {string} [params.name] - Author of the latest message (multi-user chats)
+   * @param {number} [params.maxTokens] - Longest answer, in tokens
+   * @returns {Promise<Object>} { success, response, model, usage } or error info
+   */
+  async complete({ message, conversationHistory = [], model = this.defaultModel, systemPrompt = SYSTEM_PROMPT, name, maxTokens = this.maxResponseTokens }) {
+    if (!this.isConfigured()) {
+      return {
+        success: false,
+        error: 'AI service not configured',
+        errorType: 'AI_NOT_CONFIGURED'
+      };
+    }
+
+    const messages = this._buildMessages({ message, conversationHistory, systemPrompt, name });
+
+    try {
+      const response = await axios.post(this.apiUrl, {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature: 0.7
+      }, {
+        headers: {
+          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeoutMs
+      });
+
+      return {
+        success: true,
+        response: response.data.choices[0].message.content,
+        model,
+        usage: response.data.usage
+      };
+    } catch (error) {
+      console.error('[AiChat] ❌ OpenAI API error:', error.response?.data?.error?.message || error.message);
+      return {
+        success: false,
+        error: 'AI provider request failed',
+        errorType: 'AI_PROVIDER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Request a completion streamed token by token
+   * @param {Object} params - Same parameters as `complete`, plus:
+   * @param {Function} params.onDelta - Called with each piece of text as it arrives
+   * @param {AbortSignal} [params.signal] - Aborts the upstream request (e.g. the client went away)
+   * @returns {Promise<Object>} { success, response, model, usage } once the stream ends, or error info
+   */
+  async stream({ message, conversationHistory = [], model = this.defaultModel, systemPrompt = SYSTEM_PROMPT, name, onDelta, signal }) {
+    if (!this.isConfigured()) {
+      return {
+        success: false,
+        error: 'AI service not configured',
+        errorType: 'AI_NOT_CONFIGURED'
+      };
+    }
+
+    const messages = this._buildMessages({ message, conversationHistory, systemPrompt, name });
+
+    try {
+      const response = await axios.post(this.apiUrl, {
+        model,
+        messages,
+        max_tokens: this.maxResponseTokens,
+        temperature: 0.7,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, {
+        headers: {
+          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        responseType: 'stream',
+        timeout: this.timeoutMs,
+        signal
+      });
+
+      const { content, usage } = await this._readStream(response.data, onDelta, signal);
+
+      return {
+        success: true,
+        response: content,
+        model,
+        usage
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        return {
+          success: false,
+          error: 'AI request aborted',
+          errorType: 'AI_REQUEST_ABORTED'
+        };
+      }
+
+      console.error('[AiChat] ❌ OpenAI streaming error:', error.message);
+      return {
+        success: false,
+        error: 'AI provider request failed',
+        errorType: 'AI_PROVIDER_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Build the message list sent to OpenAI
+   * @param {Object} params - { message, conversationHistory, systemPrompt, name }
+   * @returns {Object[]} Messages, system prompt first
+   * @private
+   */
+  _buildMessages({ message, conversationHistory, systemPrompt, name }) {
+    return [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      ...conversationHistory,
+      {
+        role: 'user',
+        content: message,
+        ...(name && { name })
+      }
+    ];
+  }
+
+  /**
+   * Read an OpenAI server-sent event stream until `[DONE]`
+   * @param {Stream} stream - Response body
+   * @param {Function} onDelta - Called with each piece of text
+   * @param {AbortSignal} [signal] - Stops reading when aborted
+   * @returns {Promise<Object>} { content, usage }
+   * @private
+   */
+  _readStream(stream, onDelta, signal) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let content = '';
+      let usage = null;
+      let finished = false;
+
+      const finish = (error) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        signal?.removeEventListener('abort', onAbort);
+        if (error) {
+          stream.destroy();
+          reject(error);
+        } else {
+          resolve({ content, usage });
+        }
+      };
+
+      const onAbort = () => finish(new Error('Stream aborted'));
+      signal?.addEventListener('abort', onAbort);
+
+      stream.on('data', (chunk) => {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) {
+            continue;
+          }
+
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') {
+            return finish();
+          }
+
+          let event;
+          try {
+            event = JSON.parse(payload);
+          } catch (error) {
+            return finish(new Error('Malformed stream event'));
+          }
+
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onDelta(delta);
+          }
+          if (event.usage) {
+            usage = event.usage;
+          }
+        }
+      });
+      stream.on('end', () => finish());
+      stream.on('error', finish);
+    });
+  }
+}
+
+AiChatService.SYSTEM_PROMPT = SYSTEM_PROMPT;
+AiChatService.MODELS = MODELS;
+
+module.exports = AiChatService;
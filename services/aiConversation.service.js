@@ -0,0 +1,185 @@
+const AiConversation = require('../models/AiConversation');
+const AiChatService = require('./aiChat.service');
+
+// Tokens kept free for the summary of trimmed messages
+const SUMMARY_TOKENS = 300;
+const SUMMARY_PROMPT = 'Summarize the conversation below between a user and the FayStar AI assistant in a few sentences. ' +
+  'Keep names, facts, decisions and open questions; write it so the assistant can continue the conversation.';
+
+/**
+ * AI Conversation Service
+ * Turns stored AI conversations into the history sent with the next message.
+ * The history is cut to the model's context window (`maxTokens`, leaving room
+ * for the system prompt, the new message and the answer); messages that no
+ * longer fit are replaced by a summary, which is stored on the conversation
+ * and extended as more messages fall out of the window.
+ */
+class AiConversationService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {AiChatService} [options.aiChatService] - Completion client used for summaries
+   */
+  constructor({ aiChatService = new AiChatService() } = {}) {
+    this.aiChatService = aiChatService;
+  }
+
+  /**
+   * Rough token count of a text (about four characters per token)
+   * @param {string} text - Text
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4) + 4;
+  }
+
+  /**
+   * Tokens available for history when sending `message` to `model`
+   * @param {string} model - Model ID
+   * @param {string} message - New user message
+   * @returns {number} Token budget (may be 0)
+   */
+  historyBudget(model, message) {
+    const contextWindow = AiChatService.MODELS.find(m => m.id === model)?.maxTokens || 4096;
+
+    return Math.max(0, contextWindow -
+      this.aiChatService.maxResponseTokens -
+      this.estimateTokens(AiChatService.SYSTEM_PROMPT) -
+      this.estimateTokens(message));
+  }
+
+  /**
+   * Newest messages that fit in a token budget
+   * @param {Object[]} messages - Messages ({ role, content }), oldest first
+   * @param {number} budget - Token budget
+   * @returns {number} Index of the first message kept
+   */
+  fitFrom(messages, budget) {
+    let used = 0;
+    let start = messages.length;
+
+    while (start > 0 && used + this.estimateTokens(messages[start - 1].content) <= budget) {
+      used += this.estimateTokens(messages[start - 1].content);
+      start--;
+    }
+
+    return start;
+  }
+
+  /**
+   * Cut a client-supplied history to the model's context window (no summary)
+   * @param {Object[]} history - Messages ({ role, content }), oldest first
+   * @param {Object} params - { model, message }
+   * @returns {Object[]} Newest messages that fit
+   */
+  trimHistory(history, { model, message }) {
+    return history.slice(this.fitFrom(history, this.historyBudget(model, message)));
+  }
+
+  /**
+   * History of a stored conversation for its next message, summarizing what no longer fits
+   * @param {Object} conversation - AiConversation document
+   * @param {Object} params - { model, message }
+   * @returns {Promise<Object[]>} Messages ({ role, content }), oldest first
+   */
+  async buildHistory(conversation, { model, message }) {
+    const messages = conversation.messages.map(({ role, content }) => ({ role, content }));
+    const budget = this.historyBudget(model, message);
+
+    if (this.fitFrom(messages, budget) === 0) {
+      return messages;
+    }
+
+    // Part of the conversation is left out; keep room for its summary
+    const start = this.fitFrom(messages, Math.max(0, budget - SUMMARY_TOKENS));
+    const summary = await this._summarize(conversation, messages, start, model);
+    const summaryMessage = summary.content
+      ? { role: 'system', content: `Summary of the earlier conversation: ${summary.content}` }
+      : null;
+
+    // Messages after the summary follow it, newest first, as far as they fit. A stored summary
+    // may cover more than was cut this time (e.g. after switching to a larger model); when
+    // summarizing failed it covers fewer, and the oldest of the rest are left out
+    const uncovered = messages.slice(summary.messageCount);
+    const room = budget - (summaryMessage ? this.estimateTokens(summaryMessage.content) : 0);
+    const dropped = this.fitFrom(uncovered, room);
+    if (dropped > 0) {
+      console.warn(`[AiConversation] ⚠️ Left ${dropped} messages of conversation ${conversation.id} out of the history`);
+    }
+    const recent = uncovered.slice(dropped);
+
+    return summaryMessage ? [summaryMessage, ...recent] : recent;
+  }
+
+  /**
+   * Append a question and its answer to a conversation. The first turn also
+   * names a conversation that still has the default title.
+   * @param {Object} conversation - AiConversation document
+   * @param {Object} turn - { message, response, model }
+   * @returns {Promise<void>}
+   */
+  async appendTurn(conversation, { message, response, model }) {
+    const now = new Date();
+    const update = {
+      $push: {
+        messages: {
+          $each: [
+            { role: 'user', content: message, createdAt: now },
+            { role: 'assistant', content: response, createdAt: now }
+          ]
+        }
+      },
+      $set: { model }
+    };
+
+    if (conversation.messages.length === 0 && conversation.title === AiConversation.DEFAULT_TITLE) {
+      update.$set.title = message.length > 60 ? `${message.slice(0, 57)}...` : message;
+    }
+
+    await AiConversation.updateOne({ _id: conversation._id }, update);
+  }
+
+  /**
+   * Summary of the messages before `start`, extending the stored summary when needed
+   * @param {Object} conversation - AiConversation document
+   * @param {Object[]} messages - All messages of the conversation
+   * @param {number} start - Index of the first message still sent in full
+   * @param {string} model - Model ID
+   * @returns {Promise<Object>} { content, messageCount } - the summary and how many of the oldest
+   *   messages it covers; when summarizing fails, the stored summary (or none) as it was
+   * @private
+   */
+  async _summarize(conversation, messages, start, model) {
+    const { content = '', messageCount = 0 } = conversation.summary || {};
+    if (content && messageCount >= start) {
+      return { content, messageCount };
+    }
+
+    // Messages that would not fit even in the summary request are dropped, oldest first
+    const pending = messages.slice(messageCount, start);
+    const transcript = pending.slice(this.fitFrom(pending, this.historyBudget(model, content) - SUMMARY_TOKENS))
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n');
+
+    const result = await this.aiChatService.complete({
+      message: content ? `Earlier summary: ${content}\n\n${transcript}` : transcript,
+      model,
+      systemPrompt: SUMMARY_PROMPT,
+      maxTokens: SUMMARY_TOKENS
+    });
+
+    if (!result.success) {
+      console.error(`[AiConversation] ❌ Failed to summarize conversation ${conversation.id}:`, result.error);
+      return { content, messageCount: content ? messageCount : 0 };
+    }
+
+    await AiConversation.updateOne(
+      { _id: conversation._id, 'summary.messageCount': messageCount },
+      { $set: { summary: { content: result.response, messageCount: start } } }
+    );
+    console.log(`[AiConversation] 📝 Summarized ${start} messages of conversation ${conversation.id}`);
+
+    return { content: result.response, messageCount: start };
+  }
+}
+
+module.exports = AiConversationService;
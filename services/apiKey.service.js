@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const subscriptionService = require('./subscription.service');
+
+/**
+ * API Key Service
+ * Issues, rotates and revokes personal API keys and resolves the
+ * `X-API-Key` header to a user. API access is a Premium plan feature.
+ */
+class ApiKeyService {
+  constructor() {
+    this.keyPrefix = 'fsk_';
+    this.displayPrefixLength = 12;
+    this.maxKeysPerUser = parseInt(process.env.API_KEYS_MAX_PER_USER) || 10;
+    this.touchIntervalMs = 60 * 1000; // Write lastUsedAt at most once a minute per key
+    this.apiAccessPlans = ['premium'];
+  }
+
+  /**
+   * Hash a raw API key for storage and lookup
+   * @param {string} rawKey - Key as given to the user
+   * @returns {string} SHA-256 hex digest
+   * @private
+   */
+  _hash(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+  }
+
+  /**
+   * Generate a new raw key
+   * @returns {string} Raw API key
+   * @private
+   */
+  _generateKey() {
+    return `${this.keyPrefix}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  /**
+   * Whether a user's plan includes API access
+   * @param {string} userId - User ID
+   * @returns {boolean} True for Premium subscribers
+   */
+  hasApiAccess(userId) {
+    return this.apiAccessPlans.includes(subscriptionService.getPlanId(userId));
+  }
+
+  /**
+   * Create an API key
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - Key options
+   * @param {string} options.name - Display name
+   * @param {string[]} options.scopes - Granted scopes
+   * @param {Date} [options.expiresAt] - Expiry time (never expires when omitted)
+   * @returns {Promise<Object>} { success, apiKey, key } or error info
+   */
+  async create(userId, { name, scopes, expiresAt = null }) {
+    if (!this.hasApiAccess(userId)) {
+      return {
+        success: false,
+        error: 'API access requires a Premium subscription',
+        errorType: 'PREMIUM_REQUIRED'
+      };
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ user: userId, revokedAt: null });
+    if (activeKeys >= this.maxKeysPerUser) {
+      return {
+        success: false,
+        error: `You can have at most ${this.maxKeysPerUser} API keys`,
+        errorType: 'API_KEY_LIMIT_REACHED'
+      };
+    }
+
+    const key = this._generateKey();
+    const apiKey = await ApiKey.create({
+      user: userId,
+      name,
+      keyHash: this._hash(key),
+      prefix: key.slice(0, this.displayPrefixLength),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    console.log(`[ApiKey] 🔑 Created key ${apiKey.prefix}… for user ${userId}`);
+
+    return { success: true, apiKey, key };
+  }
+
+  /**
+   * List a user's live API keys, newest first
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object[]>} API key documents
+   */
+  list(userId) {
+    return ApiKey.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Replace a key with a new secret, keeping its name, scopes and expiry
+   * @param {string} userId - Owner user ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} { success, apiKey, key } or error info
+   */
+  async rotate(userId, keyId) {
+    if (!this.hasApiAccess(userId)) {
+      return {
+        success: false,
+        error: 'API access requires a Premium subscription',
+        errorType: 'PREMIUM_REQUIRED'
+      };
+    }
+
+    const current = await ApiKey.findOneAndUpdate(
+      { _id: keyId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+    );
+
+    if (!current) {
+      return {
+        success: false,
+        error: 'API key not found',
+        errorType: 'API_KEY_NOT_FOUND'
+      };
+    }
+
+    const key = this._generateKey();
+    const apiKey = await ApiKey.create({
+      user: userId,
+      name: current.name,
+      keyHash: this._hash(key),
+      prefix: key.slice(0, this.displayPrefixLength),
+      scopes: current.scopes,
+      expiresAt: current.expiresAt
+    });
+
+    console.log(`[ApiKey] 🔄 Rotated key ${current.prefix}… to ${apiKey.prefix}… for user ${userId}`);
+
+    return { success: true, apiKey, key };
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   * @param {string} userId - Owner user ID
+   * @param {string} keyId - API key ID
+   * @returns {Promise<boolean>} True when a live key was revoked
+   */
+  async revoke(userId, keyId) {
+    const result = await ApiKey.updateOne(
+      { _id: keyId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every API key of a user
+   * @param {string} userId - Owner user ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of revoked keys
+   */
+  async revokeAllForUser(userId, reason) {
+    const result = await ApiKey.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Resolve a raw key from a request
+   * @param {string} rawKey - Value of the `X-API-Key` header
+   * @returns {Promise<Object>} { success, apiKey, user } or error info
+   */
+  async authenticate(rawKey) {
+    const apiKey = rawKey && rawKey.startsWith(this.keyPrefix)
+      ? await ApiKey.findOne({ keyHash: this._hash(rawKey), revokedAt: null })
+      : null;
+
+    if (!apiKey) {
+      return {
+        success: false,
+        error: 'Invalid API key',
+        errorType: 'INVALID_API_KEY'
+      };
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return {
+        success: false,
+        error: 'API key expired',
+        errorType: 'API_KEY_EXPIRED'
+      };
+    }
+
+    const user = await User.findById(apiKey.user);
+    if (!user) {
+      return {
+        success: false,
+        error: 'User not found',
+        errorType: 'USER_NOT_FOUND'
+      };
+    }
+
+    // Keys stay on file after a downgrade but only work on a Premium plan
+    if (!this.hasApiAccess(user.id)) {
+      return {
+        success: false,
+        error: 'API access requires a Premium subscription',
+        errorType: 'PREMIUM_REQUIRED'
+      };
+    }
+
+    return { success: true, apiKey, user };
+  }
+
+  /**
+   * Record key usage (throttled)
+   * @param {Object} apiKey - API key document
+   * @param {string} [ip] - Client IP address
+   * @returns {Promise<void>}
+   */
+  async touch(apiKey, ip) {
+    const isStale = !apiKey.lastUsedAt ||
+      Date.now() - new Date(apiKey.lastUsedAt).getTime() > this.touchIntervalMs;
+    if (!isStale && (!ip || ip === apiKey.lastUsedIp)) {
+      return;
+    }
+
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), ...(ip ? { lastUsedIp: ip } : {}) } }
+    );
+  }
+}
+
+module.exports = ApiKeyService;
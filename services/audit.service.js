@@ -0,0 +1,38 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Audit Service
+ * Records security-relevant events. Failures are logged, never thrown,
+ * so auditing can't break the request that triggered it.
+ */
+class AuditService {
+  /**
+   * Record an audit entry
+   * @param {string} action - Event name (e.g. 'account_locked')
+   * @param {Object} [details] - Event details
+   * @param {string} [details.userId] - Affected user ID
+   * @param {string} [details.actorId] - User who performed the action
+   * @param {string} [details.ip] - Client IP address
+   * @param {Object} [details.metadata] - Additional context
+   * @returns {Promise<Object|null>} Stored entry or null when it could not be written
+   */
+  async record(action, { userId = null, actorId = null, ip = null, metadata = {} } = {}) {
+    try {
+      const entry = await AuditLog.create({
+        action,
+        user: userId,
+        actor: actorId,
+        ip,
+        metadata
+      });
+
+      console.log(`[Audit] 📝 ${action}${userId ? ` - User: ${userId}` : ''}${ip ? ` - IP: ${ip}` : ''}`);
+      return entry;
+    } catch (error) {
+      console.error(`[Audit] ❌ Failed to record "${action}":`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = AuditService;
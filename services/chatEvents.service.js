@@ -0,0 +1,72 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Chat Events Service
+ * In-process hub between the chat routes and the real-time gateway. Routes
+ * publish message events addressed to chat participants; the gateway
+ * delivers them to connected clients, reports typing indicators back and
+ * asks the registered history provider for messages a reconnecting client
+ * missed.
+ */
+class ChatEventsService extends EventEmitter {
+  constructor() {
+    super();
+    this.historyProvider = null;
+  }
+
+  /**
+   * Publish an event to chat participants
+   * @param {string} type - Event type (`message.created`, `message.updated`, `message.reactions`, `message.read`, `message.deleted`, `chat.updated`, `typing`, `presence.updated`, `keys.changed`, `assistant.failed`)
+   * @param {Object} event - Event details
+   * @param {string|null} event.chatId - Chat ID (null for events not tied to one chat)
+   * @param {string[]} event.recipients - IDs of users that should receive the event
+   * @param {Object} event.data - Event payload
+   */
+  publish(type, { chatId, recipients, data }) {
+    this.emit('event', {
+      type,
+      chatId,
+      recipients: [...new Set(recipients)],
+      data,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Pass on a typing indicator sent by a client; the chat routes check
+   * membership and publish it to the other members
+   * @param {string} userId - Typing user
+   * @param {string} chatId - Chat ID
+   * @param {boolean} isTyping - False when the user stopped typing
+   */
+  reportTyping(userId, chatId, isTyping) {
+    this.emit('typing', { userId, chatId, isTyping });
+  }
+
+  /**
+   * Register the function that returns messages a user missed
+   * @param {Function} provider - async (userId, lastMessageId, limit) => newest `limit` missed messages, oldest first,
+   * or null when `lastMessageId` is unknown
+   */
+  setHistoryProvider(provider) {
+    this.historyProvider = provider;
+  }
+
+  /**
+   * Messages in the user's chats sent after `lastMessageId`
+   * @param {string} userId - User ID
+   * @param {string} lastMessageId - Last message the client has seen
+   * @param {number} limit - Maximum number of (most recent) messages
+   * @returns {Promise<Object[]|null>} Missed messages, oldest first, or null when `lastMessageId` is unknown
+   */
+  async getMissedMessages(userId, lastMessageId, limit) {
+    if (!this.historyProvider) {
+      return [];
+    }
+
+    return this.historyProvider(userId, lastMessageId, limit);
+  }
+}
+
+// Shared by the chat routes and the gateway
+module.exports = new ChatEventsService();
@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const chatEvents = require('./chatEvents.service');
+const presenceService = require('./presence.service');
+const SessionService = require('./session.service');
+const { verifyAccessToken, parseBearerToken } = require('../middleware/auth');
+
+/**
+ * Chat Gateway
+ * WebSocket endpoint that pushes chat events (new messages, read receipts,
+ * deletions, typing and presence) to connected participants. Open
+ * connections make their user online for the presence service.
+ *
+ * Clients connect to `/api/chat/ws` with the access token in the
+ * `Authorization: Bearer` header or a `token` query parameter. Passing
+ * `lastMessageId` (query parameter or `{ "type": "resume" }` frame) replays
+ * messages sent while the client was offline. Only new messages are
+ * replayed: edits, reactions, deletions and read receipts of older messages
+ * are not, so clients refetch the chats they show over HTTP after a resume.
+ */
+class ChatGateway {
+  constructor({ path = '/api/chat/ws' } = {}) {
+    this.path = path;
+    this.heartbeatIntervalMs = parseInt(process.env.CHAT_WS_HEARTBEAT_MS) || 30000;
+    this.maxReplayMessages = 500;
+    this.sessionService = new SessionService();
+    this.connections = new Map(); // userId -> Set of sockets
+    this.wss = null;
+    this.heartbeatTimer = null;
+    this._onEvent = this._onEvent.bind(this);
+  }
+
+  /**
+   * Start accepting WebSocket connections on an HTTP server
+   * @param {http.Server} server - Server returned by `app.listen`
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+
+    server.on('upgrade', (req, socket, head) => {
+      this._handleUpgrade(req, socket, head).catch(error => {
+        console.error('[ChatGateway] ❌ Upgrade failed:', error.message);
+        this._rejectUpgrade(socket, 500, 'SYSTEM_ERROR', 'Authentication failed');
+      });
+    });
+
+    chatEvents.on('event', this._onEvent);
+
+    this.heartbeatTimer = setInterval(() => {
+      this._heartbeat().catch(error => {
+        console.error('[ChatGateway] ❌ Heartbeat failed:', error.message);
+      });
+    }, this.heartbeatIntervalMs);
+    this.heartbeatTimer.unref();
+
+    console.log(`[ChatGateway] 🔌 Listening for WebSocket connections on ${this.path}`);
+  }
+
+  /**
+   * Close every connection and stop the gateway
+   */
+  close() {
+    clearInterval(this.heartbeatTimer);
+    chatEvents.off('event', this._onEvent);
+
+    for (const sockets of this.connections.values()) {
+      sockets.forEach(ws => {
+        presenceService.disconnect(ws.userId, ws.connectionId);
+        ws.close(1001, 'Server shutting down');
+      });
+    }
+    this.connections.clear();
+
+    if (this.wss) {
+      this.wss.close();
+    }
+  }
+
+  /**
+   * Authenticate an upgrade request and hand it to the WebSocket server
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== this.path) {
+      return this._rejectUpgrade(socket, 404, 'NOT_FOUND', 'Endpoint not found');
+    }
+
+    const token = parseBearerToken(req) || url.searchParams.get('token');
+    if (!token) {
+      return this._rejectUpgrade(socket, 401, 'TOKEN_REQUIRED', 'Token required');
+    }
+
+    const result = await verifyAccessToken(token);
+    if (!result.success) {
+      return this._rejectUpgrade(socket, result.statusCode, result.code, result.error);
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this._onConnection(ws, result, url.searchParams.get('lastMessageId'));
+    });
+  }
+
+  /**
+   * Answer an upgrade request with a JSON error and close the socket
+   * @param {net.Socket} socket - Client socket
+   * @param {number} statusCode - HTTP status code
+   * @param {string} code - Machine readable reason
+   * @param {string} error - Human readable message
+   * @private
+   */
+  _rejectUpgrade(socket, statusCode, code, error) {
+    if (socket.destroyed) {
+      return;
+    }
+
+    const body = JSON.stringify({
+      success: false,
+      error,
+      errorType: 'AUTHENTICATION_ERROR',
+      code
+    });
+
+    socket.end(
+      `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n` +
+      'Content-Type: application/json\r\n' +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+      'Connection: close\r\n\r\n' +
+      body
+    );
+  }
+
+  /**
+   * Register an authenticated connection
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} auth - Result of `verifyAccessToken`
+   * @param {string|null} lastMessageId - Resume point from the query string
+   * @private
+   */
+  _onConnection(ws, { user, session }, lastMessageId) {
+    const userId = user.id;
+
+    ws.userId = userId;
+    ws.sessionId = session.sessionId;
+    ws.connectionId = crypto.randomUUID();
+    ws.isAlive = true;
+
+    if (!this.connections.has(userId)) {
+      this.connections.set(userId, new Set());
+    }
+    this.connections.get(userId).add(ws);
+    presenceService.connect(userId, ws.connectionId);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (data) => this._onClientMessage(ws, data));
+    ws.on('close', () => this._removeConnection(ws));
+    ws.on('error', (error) => {
+      console.error(`[ChatGateway] ❌ Socket error for user ${userId}:`, error.message);
+    });
+
+    this._send(ws, { type: 'ready', userId });
+
+    if (lastMessageId) {
+      this._resume(ws, lastMessageId);
+    }
+  }
+
+  /**
+   * Forget a closed connection
+   * @param {WebSocket} ws - Client socket
+   * @private
+   */
+  _removeConnection(ws) {
+    presenceService.disconnect(ws.userId, ws.connectionId);
+
+    const sockets = this.connections.get(ws.userId);
+    if (!sockets) {
+      return;
+    }
+
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+      this.connections.delete(ws.userId);
+    }
+  }
+
+  /**
+   * Handle a frame sent by the client
+   * @param {WebSocket} ws - Client socket
+   * @param {Buffer} data - Raw frame
+   * @private
+   */
+  _onClientMessage(ws, data) {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch (error) {
+      return this._send(ws, { type: 'error', error: 'Frames must be JSON' });
+    }
+
+    switch (frame?.type) {
+      case 'ping':
+        return this._send(ws, { type: 'pong' });
+      case 'resume':
+        if (typeof frame.lastMessageId !== 'string' || !frame.lastMessageId) {
+          return this._send(ws, { type: 'error', error: 'lastMessageId is required' });
+        }
+        return this._resume(ws, frame.lastMessageId);
+      case 'typing':
+        if (typeof frame.chatId !== 'string' || !frame.chatId) {
+          return this._send(ws, { type: 'error', error: 'chatId is required' });
+        }
+        return chatEvents.reportTyping(ws.userId, frame.chatId, frame.isTyping !== false);
+      case 'presence':
+        if (!['online', 'away'].includes(frame.status)) {
+          return this._send(ws, { type: 'error', error: 'status must be online or away' });
+        }
+        return presenceService.setAway(ws.userId, ws.connectionId, frame.status === 'away');
+      default:
+        return this._send(ws, { type: 'error', error: `Unknown frame type: ${frame?.type}` });
+    }
+  }
+
+  /**
+   * Replay messages sent after `lastMessageId`
+   * @param {WebSocket} ws - Client socket
+   * @param {string} lastMessageId - Last message the client has seen
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _resume(ws, lastMessageId) {
+    try {
+      // One extra message tells whether the replay was truncated
+      const missed = await chatEvents.getMissedMessages(ws.userId, lastMessageId, this.maxReplayMessages + 1);
+      if (!missed) {
+        return this._send(ws, {
+          type: 'error',
+          error: 'Unknown lastMessageId, fetch missed messages over HTTP',
+          code: 'RESUME_FAILED'
+        });
+      }
+
+      const replay = missed.slice(-this.maxReplayMessages);
+
+      replay.forEach(message => {
+        this._send(ws, {
+          type: 'message.created',
+          chatId: message.chatId,
+          data: { message },
+          replayed: true
+        });
+      });
+
+      // hasMore tells the client to fetch older gaps over HTTP
+      this._send(ws, {
+        type: 'resume.complete',
+        count: replay.length,
+        hasMore: missed.length > replay.length
+      });
+    } catch (error) {
+      console.error(`[ChatGateway] ❌ Resume failed for user ${ws.userId}:`, error.message);
+      this._send(ws, { type: 'error', error: 'Failed to resume', code: 'RESUME_FAILED' });
+    }
+  }
+
+  /**
+   * Deliver a published chat event to its recipients
+   * @param {Object} event - Event from the chat events service
+   * @private
+   */
+  _onEvent({ type, chatId, recipients, data, timestamp }) {
+    recipients.forEach(userId => {
+      const sockets = this.connections.get(userId);
+      if (!sockets) {
+        return;
+      }
+
+      sockets.forEach(ws => this._send(ws, { type, chatId, data, timestamp }));
+    });
+  }
+
+  /**
+   * Drop dead connections and those whose session was revoked
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _heartbeat() {
+    const sockets = [...this.connections.values()].flatMap(set => [...set]);
+    const sessionIds = [...new Set(sockets.map(ws => ws.sessionId))];
+
+    const liveSessions = new Set();
+    for (const sessionId of sessionIds) {
+      if (await this.sessionService.findActive(sessionId)) {
+        liveSessions.add(sessionId);
+      }
+    }
+
+    sockets.forEach(ws => {
+      if (!liveSessions.has(ws.sessionId)) {
+        return ws.close(4001, 'Session has been revoked');
+      }
+
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }
+
+  /**
+   * Send a JSON frame if the socket is open
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} payload - Frame body
+   * @private
+   */
+  _send(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+}
+
+module.exports = ChatGateway;
@@ -0,0 +1,232 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const AuditService = require('./audit.service');
+
+/**
+ * Login Throttle Service
+ * Tracks failed logins per account and per IP, enforces progressive delays
+ * between attempts and temporary lockouts after too many failures.
+ */
+class LoginThrottleService {
+  constructor() {
+    this.windowMs = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+    this.delayAfter = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3;
+    this.maxDelayMs = 30 * 1000;
+    this.accountThreshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+    this.ipThreshold = parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50;
+    this.lockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+    this.auditService = new AuditService();
+  }
+
+  /**
+   * Counter key for an account
+   * @param {string} email - Normalized email
+   * @returns {string} Counter key
+   * @private
+   */
+  _accountKey(email) {
+    return `account:${email}`;
+  }
+
+  /**
+   * Counter key for a client IP
+   * @param {string} ip - Client IP address
+   * @returns {string} Counter key
+   * @private
+   */
+  _ipKey(ip) {
+    return `ip:${ip}`;
+  }
+
+  /**
+   * Delay required after a given number of failures (doubles each time)
+   * @param {number} failures - Failures in the current window
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  _delayFor(failures) {
+    if (failures < this.delayAfter) {
+      return 0;
+    }
+
+    return Math.min(1000 * Math.pow(2, failures - this.delayAfter), this.maxDelayMs);
+  }
+
+  /**
+   * Seconds until a date, rounded up
+   * @param {Date} date - Target date
+   * @returns {number} Seconds
+   * @private
+   */
+  _secondsUntil(date) {
+    return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+  }
+
+  /**
+   * Check whether a login attempt may proceed
+   * @param {Object} params - Attempt details
+   * @param {string} params.email - Normalized email
+   * @param {string} params.ip - Client IP address
+   * @returns {Promise<Object>} { allowed: true } or { allowed: false, error, errorType, retryAfter }
+   */
+  async check({ email, ip }) {
+    const now = new Date();
+    const counters = await LoginThrottle.find({
+      key: { $in: [this._accountKey(email), this._ipKey(ip)] },
+      expiresAt: { $gt: now }
+    });
+
+    const ipCounter = counters.find(counter => counter.key === this._ipKey(ip));
+    if (ipCounter?.lockedUntil > now) {
+      return {
+        allowed: false,
+        error: 'Too many failed login attempts from this IP, please try again later',
+        errorType: 'IP_BLOCKED',
+        retryAfter: this._secondsUntil(ipCounter.lockedUntil)
+      };
+    }
+
+    const accountCounter = counters.find(counter => counter.key === this._accountKey(email));
+    if (!accountCounter) {
+      return { allowed: true };
+    }
+
+    if (accountCounter.lockedUntil > now) {
+      return {
+        allowed: false,
+        error: 'Account temporarily locked after too many failed login attempts. Reset your password to unlock it now.',
+        errorType: 'ACCOUNT_LOCKED',
+        retryAfter: this._secondsUntil(accountCounter.lockedUntil)
+      };
+    }
+
+    const nextAttemptAt = new Date(accountCounter.lastFailureAt.getTime() + this._delayFor(accountCounter.failures));
+    if (nextAttemptAt > now) {
+      return {
+        allowed: false,
+        error: 'Too many failed login attempts, please wait before trying again',
+        errorType: 'LOGIN_THROTTLED',
+        retryAfter: this._secondsUntil(nextAttemptAt)
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Increment a failure counter and lock it once it reaches the threshold
+   * @param {string} key - Counter key
+   * @param {number} threshold - Failures before lockout
+   * @returns {Promise<boolean>} True when this failure triggered a lockout
+   * @private
+   */
+  async _increment(key, threshold) {
+    const now = new Date();
+
+    // Start a fresh window if the previous one has passed but was not yet purged
+    await LoginThrottle.updateOne(
+      { key, expiresAt: { $lte: now } },
+      { $set: { failures: 0, lockedUntil: null } }
+    );
+
+    let counter;
+    try {
+      counter = await LoginThrottle.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failures: 1 },
+          $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + this.windowMs) }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Concurrent upsert of the same key - the counter exists now
+      if (error.code !== 11000) {
+        throw error;
+      }
+      counter = await LoginThrottle.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+        { new: true }
+      );
+    }
+
+    if (counter.failures < threshold || counter.lockedUntil > now) {
+      return false;
+    }
+
+    const lockedUntil = new Date(now.getTime() + this.lockoutMs);
+    const locked = await LoginThrottle.findOneAndUpdate(
+      { _id: counter._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil, expiresAt: new Date(Math.max(lockedUntil.getTime(), now.getTime() + this.windowMs)) } }
+    );
+
+    return !!locked;
+  }
+
+  /**
+   * Record a failed login attempt
+   * @param {Object} params - Attempt details
+   * @param {string} params.email - Normalized email
+   * @param {string} params.ip - Client IP address
+   * @param {string} [params.userId] - Matching user ID, if the account exists
+   * @returns {Promise<Object>} { accountLocked, ipBlocked }
+   */
+  async recordFailure({ email, ip, userId = null }) {
+    const accountLocked = await this._increment(this._accountKey(email), this.accountThreshold);
+    const ipBlocked = await this._increment(this._ipKey(ip), this.ipThreshold);
+
+    if (accountLocked) {
+      console.warn(`[LoginThrottle] 🔒 Account locked: ${email}`);
+      await this.auditService.record('account_locked', {
+        userId,
+        ip,
+        metadata: { email, failures: this.accountThreshold, lockoutMinutes: this.lockoutMs / 60000 }
+      });
+    }
+
+    if (ipBlocked) {
+      console.warn(`[LoginThrottle] 🔒 IP blocked: ${ip}`);
+      await this.auditService.record('ip_blocked', {
+        ip,
+        metadata: { email, failures: this.ipThreshold, lockoutMinutes: this.lockoutMs / 60000 }
+      });
+    }
+
+    return { accountLocked, ipBlocked };
+  }
+
+  /**
+   * Clear the account counter after a successful login
+   * @param {Object} params - Attempt details
+   * @param {string} params.email - Normalized email
+   * @returns {Promise<void>}
+   */
+  async recordSuccess({ email }) {
+    await LoginThrottle.deleteOne({ key: this._accountKey(email) });
+  }
+
+  /**
+   * Unlock an account (password reset flow)
+   * @param {Object} params - Unlock details
+   * @param {string} params.email - Normalized email
+   * @param {string} [params.userId] - User ID for the audit entry
+   * @param {string} [params.ip] - Client IP address for the audit entry
+   * @returns {Promise<boolean>} True when the account was locked
+   */
+  async unlockAccount({ email, userId = null, ip = null }) {
+    const counter = await LoginThrottle.findOneAndDelete({ key: this._accountKey(email) });
+    const wasLocked = !!(counter?.lockedUntil > new Date());
+
+    if (wasLocked) {
+      await this.auditService.record('account_unlocked', {
+        userId,
+        ip,
+        metadata: { email, via: 'password_reset' }
+      });
+    }
+
+    return wasLocked;
+  }
+}
+
+module.exports = LoginThrottleService;
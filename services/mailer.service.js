@@ -0,0 +1,178 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Console transport - prints outgoing emails to the server log
+ */
+class ConsoleTransport {
+  async send(message) {
+    console.log('[Mailer] 📧 ----- Outgoing email -----');
+    console.log(`[Mailer] To: ${message.to}`);
+    console.log(`[Mailer] Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('[Mailer] 📧 --------------------------');
+    return { delivered: true, transport: 'console' };
+  }
+}
+
+/**
+ * File transport - writes each outgoing email as a JSON file (local testing)
+ */
+class FileTransport {
+  constructor(outputDir = process.env.MAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'faystar-mail')) {
+    this.outputDir = outputDir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    const fileName = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}.json`;
+    const filePath = path.join(this.outputDir, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+    return { delivered: true, transport: 'file', path: filePath };
+  }
+}
+
+const TRANSPORTS = {
+  console: ConsoleTransport,
+  file: FileTransport
+};
+
+/**
+ * Mailer Service
+ * Composes FayStar emails and hands them to a pluggable transport.
+ * A transport is any object with `send({ to, subject, text }) => Promise`.
+ */
+class MailerService {
+  /**
+   * @param {Object} [options] - Mailer options
+   * @param {Object} [options.transport] - Custom transport instance (defaults to MAIL_TRANSPORT env: console|file)
+   */
+  constructor({ transport } = {}) {
+    this.from = process.env.MAIL_FROM || 'FayStar <no-reply@faystar.app>';
+    this.appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+    if (transport) {
+      this.transport = transport;
+    } else {
+      const Transport = TRANSPORTS[process.env.MAIL_TRANSPORT] || ConsoleTransport;
+      this.transport = new Transport();
+    }
+  }
+
+  /**
+   * Send an email. Delivery failures are logged and reported, never thrown.
+   * @param {Object} message - Email message
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain text body
+   * @returns {Promise<Object>} Delivery result
+   */
+  async send({ to, subject, text }) {
+    try {
+      const result = await this.transport.send({ from: this.from, to, subject, text });
+      return { success: true, ...result };
+    } catch (error) {
+      console.error(`[Mailer] ❌ Failed to send "${subject}" to ${to}:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        errorType: 'MAIL_DELIVERY_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Send the password reset link
+   * @param {Object} user - Recipient user
+   * @param {string} token - Raw reset token
+   * @returns {Promise<Object>} Delivery result
+   */
+  sendPasswordReset(user, token) {
+    const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your FayStar password',
+      text: `Hi ${user.firstName},\n\n` +
+        `We received a request to reset your FayStar password. Use the link below to choose a new one:\n\n${link}\n\n` +
+        'If you did not request this, you can ignore this email.'
+    });
+  }
+
+  /**
+   * Send the email verification link
+   * @param {Object} user - Recipient user
+   * @param {string} token - Raw verification token
+   * @returns {Promise<Object>} Delivery result
+   */
+  sendEmailVerification(user, token) {
+    const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Confirm your FayStar email',
+      text: `Hi ${user.firstName},\n\n` +
+        `Please confirm your email address by opening the link below:\n\n${link}\n\n` +
+        'If you did not create a FayStar account, you can ignore this email.'
+    });
+  }
+
+  /**
+   * Send the confirmation link for an email address change to the new address
+   * @param {Object} user - User changing their address
+   * @param {string} newEmail - Requested new address
+   * @param {string} token - Raw email change token
+   * @returns {Promise<Object>} Delivery result
+   */
+  sendEmailChange(user, newEmail, token) {
+    const link = `${this.appUrl}/confirm-email-change?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: newEmail,
+      subject: 'Confirm your new FayStar email',
+      text: `Hi ${user.firstName},\n\n` +
+        `Please confirm that you want to use this address for your FayStar account:\n\n${link}\n\n` +
+        'If you did not request this change, you can ignore this email.'
+    });
+  }
+
+  /**
+   * Send the code that confirms a sensitive action for an account without a password
+   * @param {Object} user - Recipient user
+   * @param {string} token - Raw reauthentication token
+   * @returns {Promise<Object>} Delivery result
+   */
+  sendReauthentication(user, token) {
+    return this.send({
+      to: user.email,
+      subject: 'Confirm your FayStar account change',
+      text: `Hi ${user.firstName},\n\n` +
+        `Enter this confirmation code in the FayStar app to continue:\n\n${token}\n\n` +
+        'The code can be used once and expires soon. If you did not request it, you can ignore this email.'
+    });
+  }
+
+  /**
+   * Tell the previous address that the account email was changed
+   * @param {Object} user - User with the previous email address
+   * @param {string} newEmail - New address now in use
+   * @returns {Promise<Object>} Delivery result
+   */
+  sendEmailChangedNotice(user, newEmail) {
+    return this.send({
+      to: user.email,
+      subject: 'Your FayStar email was changed',
+      text: `Hi ${user.firstName},\n\n` +
+        `The email address of your FayStar account was changed to ${newEmail}.\n\n` +
+        'If you did not make this change, reset your password and contact support immediately.'
+    });
+  }
+}
+
+MailerService.ConsoleTransport = ConsoleTransport;
+MailerService.FileTransport = FileTransport;
+
+module.exports = MailerService;
@@ -0,0 +1,110 @@
+const sharp = require('sharp');
+const musicMetadata = require('music-metadata');
+
+// Accepted upload types by attachment kind
+const MIME_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic'],
+  audio: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/x-m4a', 'audio/ogg', 'audio/webm', 'audio/wav', 'audio/x-wav'],
+  file: [
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ]
+};
+
+/**
+ * Media Service
+ * Classifies uploaded files and extracts what the chat needs to show them:
+ * dimensions and a thumbnail for images, duration for voice notes.
+ */
+class MediaService {
+  constructor() {
+    this.thumbnailSize = 320;
+  }
+
+  /**
+   * Attachment kind for a MIME type
+   * @param {string} mimeType - Declared MIME type
+   * @returns {string|null} `image`, `audio`, `file` or null when not accepted
+   */
+  getKind(mimeType) {
+    return Object.keys(MIME_TYPES).find(kind => MIME_TYPES[kind].includes(mimeType)) || null;
+  }
+
+  /**
+   * Inspect an uploaded file
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Promise<Object>} { success, metadata, thumbnail } or error info
+   */
+  async process(file) {
+    const kind = this.getKind(file.mimetype);
+    if (!kind) {
+      return {
+        success: false,
+        error: `Unsupported file type: ${file.mimetype}`,
+        errorType: 'UNSUPPORTED_FILE_TYPE'
+      };
+    }
+
+    const metadata = {
+      kind,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      width: null,
+      height: null,
+      durationSeconds: null
+    };
+
+    if (kind === 'image') {
+      try {
+        const image = sharp(file.buffer);
+        const { width, height } = await image.metadata();
+        const thumbnail = await image
+          .rotate()
+          .resize(this.thumbnailSize, this.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 75 })
+          .toBuffer();
+
+        return {
+          success: true,
+          metadata: { ...metadata, width, height },
+          thumbnail
+        };
+      } catch (error) {
+        console.error(`[Media] ❌ Could not read image "${file.originalname}":`, error.message);
+        return {
+          success: false,
+          error: `File is not a valid image: ${file.originalname}`,
+          errorType: 'INVALID_MEDIA'
+        };
+      }
+    }
+
+    if (kind === 'audio') {
+      try {
+        const { format } = await musicMetadata.parseBuffer(
+          file.buffer,
+          { mimeType: file.mimetype, size: file.size },
+          { duration: true }
+        );
+        metadata.durationSeconds = format.duration ? Math.round(format.duration * 10) / 10 : null;
+      } catch (error) {
+        // Voice notes are still delivered, just without a duration
+        console.error(`[Media] ⚠️ Could not read audio duration of "${file.originalname}":`, error.message);
+      }
+    }
+
+    return { success: true, metadata, thumbnail: null };
+  }
+}
+
+MediaService.MIME_TYPES = MIME_TYPES;
+
+module.exports = MediaService;
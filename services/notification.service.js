@@ -0,0 +1,135 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const DeviceToken = require('../models/DeviceToken');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+/**
+ * Console provider - prints outgoing pushes to the server log
+ */
+class ConsolePushProvider {
+  async send(push) {
+    console.log(`[Push] 📲 ${push.platform} …${push.token.slice(-8)}: ${push.title} - ${push.body}`);
+    return { delivered: true, provider: 'console' };
+  }
+}
+
+/**
+ * File provider - writes each outgoing push as a JSON file (local testing)
+ */
+class FilePushProvider {
+  constructor(outputDir = process.env.PUSH_OUTPUT_DIR || path.join(os.tmpdir(), 'faystar-push')) {
+    this.outputDir = outputDir;
+  }
+
+  async send(push) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    const fileName = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}.json`;
+    const filePath = path.join(this.outputDir, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...push, sentAt: new Date().toISOString() }, null, 2));
+
+    return { delivered: true, provider: 'file', path: filePath };
+  }
+}
+
+const PROVIDERS = {
+  console: ConsolePushProvider,
+  file: FilePushProvider
+};
+
+/**
+ * Notification Service
+ * Notifies users about events they are not watching: stores an entry in
+ * their in-app inbox and pushes to their registered devices, as allowed by
+ * their per-type preferences. Pushes go through a pluggable provider, any
+ * object with `send({ token, platform, title, body, data }) => Promise` that
+ * resolves `{ delivered, invalidToken? }` (FCM/APNs report unregistered
+ * tokens this way; they are removed).
+ */
+class NotificationService {
+  /**
+   * @param {Object} [options] - Notification options
+   * @param {Object} [options.provider] - Custom push provider instance (defaults to PUSH_PROVIDER env: console|file)
+   */
+  constructor({ provider } = {}) {
+    if (provider) {
+      this.provider = provider;
+    } else {
+      const Provider = PROVIDERS[process.env.PUSH_PROVIDER] || ConsolePushProvider;
+      this.provider = new Provider();
+    }
+  }
+
+  /**
+   * Notify a user. Failures are logged and reported, never thrown.
+   * @param {string} userId - Recipient user ID
+   * @param {Object} notification - Notification content
+   * @param {string} notification.type - One of `Notification.TYPES`
+   * @param {string} notification.title - Short title
+   * @param {string} [notification.body] - Text shown below the title
+   * @param {Object} [notification.data] - What the notification points to
+   * @param {boolean} [notification.push] - False to skip the push (e.g. the user is online)
+   * @returns {Promise<Object>} { success, notification, pushed }
+   */
+  async notify(userId, { type, title, body = '', data = {}, push = true }) {
+    try {
+      const user = await User.findOne({ _id: userId, isActive: true }).select('notificationPreferences');
+      if (!user) {
+        return { success: false, error: 'User not found', errorType: 'USER_NOT_FOUND' };
+      }
+
+      const preferences = user.notificationPreferences?.[type] || {};
+
+      const notification = preferences.inbox
+        ? await Notification.create({ userId, type, title, body, data })
+        : null;
+
+      const pushed = push && preferences.push
+        ? await this._push(userId, { type, title, body, data: { ...data, type, notificationId: notification?.id || null } })
+        : 0;
+
+      return { success: true, notification, pushed };
+    } catch (error) {
+      console.error(`[Notifications] ❌ Failed to notify ${userId} (${type}):`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        errorType: 'NOTIFICATION_FAILED'
+      };
+    }
+  }
+
+  /**
+   * Push to every device of a user
+   * @param {string} userId - User ID
+   * @param {Object} content - { title, body, data }
+   * @returns {Promise<number>} Number of devices the push was delivered to
+   * @private
+   */
+  async _push(userId, { title, body, data }) {
+    const devices = await DeviceToken.find({ userId });
+
+    let delivered = 0;
+    for (const device of devices) {
+      try {
+        const result = await this.provider.send({ token: device.token, platform: device.platform, title, body, data });
+
+        if (result.invalidToken) {
+          await DeviceToken.deleteOne({ _id: device._id });
+          console.log(`[Notifications] 🗑️ Removed unregistered ${device.platform} device of ${userId}`);
+        } else if (result.delivered) {
+          delivered++;
+          await DeviceToken.updateOne({ _id: device._id }, { $set: { lastUsedAt: new Date() } });
+        }
+      } catch (error) {
+        console.error(`[Notifications] ❌ Push to ${device.platform} device of ${userId} failed:`, error.message);
+      }
+    }
+
+    return delivered;
+  }
+}
+
+module.exports = NotificationService;
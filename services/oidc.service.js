@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const OidcState = require('../models/OidcState');
+
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * OpenID Connect Service
+ * Generic authorization code + PKCE flow for social login providers.
+ *
+ * Providers are configured through environment variables:
+ *   OIDC_PROVIDERS=google,apple
+ *   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+ *   OIDC_GOOGLE_CLIENT_ID=...
+ *   OIDC_GOOGLE_CLIENT_SECRET=...          (optional for public clients)
+ *   OIDC_GOOGLE_REDIRECT_URIS=faystar://oauth/callback
+ *   OIDC_GOOGLE_SCOPES=openid email profile (optional)
+ */
+class OidcService {
+  constructor() {
+    this.timeout = 10000;
+    this.cacheTtlMs = 60 * 60 * 1000; // Discovery documents and JWKS are cached for 1 hour
+    this.stateTtlMs = 10 * 60 * 1000;
+    this.providers = this._loadProviders();
+    this.discoveryCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  /**
+   * Read provider configuration from the environment
+   * @returns {Map<string, Object>} Provider configs by name
+   * @private
+   */
+  _loadProviders() {
+    const providers = new Map();
+    const names = (process.env.OIDC_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    for (const name of names) {
+      const prefix = `OIDC_${name.toUpperCase()}_`;
+      const issuer = process.env[`${prefix}ISSUER`];
+      const clientId = process.env[`${prefix}CLIENT_ID`];
+      const redirectUris = (process.env[`${prefix}REDIRECT_URIS`] || '')
+        .split(',')
+        .map(uri => uri.trim())
+        .filter(Boolean);
+
+      if (!issuer || !clientId || redirectUris.length === 0) {
+        console.error(`[OIDC] ❌ Provider "${name}" is missing ISSUER, CLIENT_ID or REDIRECT_URIS - skipped`);
+        continue;
+      }
+
+      providers.set(name, {
+        name,
+        issuer: issuer.replace(/\/+$/, ''),
+        clientId,
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+        redirectUris,
+        scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+      });
+    }
+
+    return providers;
+  }
+
+  /**
+   * Names of configured providers
+   * @returns {string[]} Provider names
+   */
+  listProviders() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Fetch a URL as JSON, cached
+   * @param {Map} cache - Cache to use
+   * @param {string} url - URL to fetch
+   * @param {boolean} [forceRefresh=false] - Ignore cached value
+   * @returns {Promise<Object>} Response body
+   * @private
+   */
+  async _fetchCached(cache, url, forceRefresh = false) {
+    const cached = cache.get(url);
+    if (!forceRefresh && cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const response = await axios.get(url, {
+      timeout: this.timeout,
+      headers: { 'User-Agent': 'FayStar-Backend/1.0' }
+    });
+
+    cache.set(url, { value: response.data, expiresAt: Date.now() + this.cacheTtlMs });
+    return response.data;
+  }
+
+  /**
+   * Load the provider discovery document
+   * @param {Object} provider - Provider config
+   * @returns {Promise<Object>} OpenID configuration
+   * @private
+   */
+  async _discover(provider) {
+    const discovery = await this._fetchCached(
+      this.discoveryCache,
+      `${provider.issuer}/.well-known/openid-configuration`
+    );
+
+    if (discovery.issuer?.replace(/\/+$/, '') !== provider.issuer) {
+      throw new Error(`Discovery issuer mismatch for provider "${provider.name}"`);
+    }
+
+    return discovery;
+  }
+
+  /**
+   * Find the signing key for an ID token, refreshing the JWKS once on an unknown key ID
+   * @param {string} jwksUri - Provider JWKS URL
+   * @param {Object} header - Decoded ID token header
+   * @returns {Promise<crypto.KeyObject>} Public key
+   * @private
+   */
+  async _getSigningKey(jwksUri, header) {
+    const findKey = (jwks) => (jwks.keys || []).find(key =>
+      (!header.kid || key.kid === header.kid) &&
+      (!key.use || key.use === 'sig')
+    );
+
+    let jwk = findKey(await this._fetchCached(this.jwksCache, jwksUri));
+    if (!jwk) {
+      jwk = findKey(await this._fetchCached(this.jwksCache, jwksUri, true));
+    }
+
+    if (!jwk) {
+      throw new Error('No matching signing key in provider JWKS');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Start an authorization request
+   * @param {string} providerName - Provider name
+   * @param {string} [redirectUri] - Redirect URI (must be registered for the provider)
+   * @returns {Promise<Object>} { success, authorizationUrl, state } or error info
+   */
+  async createAuthorization(providerName, redirectUri) {
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      return {
+        success: false,
+        error: `Unknown login provider: ${providerName}`,
+        errorType: 'UNKNOWN_PROVIDER'
+      };
+    }
+
+    const resolvedRedirectUri = redirectUri || provider.redirectUris[0];
+    if (!provider.redirectUris.includes(resolvedRedirectUri)) {
+      return {
+        success: false,
+        error: 'Redirect URI is not registered for this provider',
+        errorType: 'INVALID_REDIRECT_URI'
+      };
+    }
+
+    try {
+      const discovery = await this._discover(provider);
+
+      const state = crypto.randomBytes(24).toString('base64url');
+      const nonce = crypto.randomBytes(24).toString('base64url');
+      const codeVerifier = crypto.randomBytes(48).toString('base64url');
+      const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+      await OidcState.create({
+        state,
+        provider: provider.name,
+        nonce,
+        codeVerifier,
+        redirectUri: resolvedRedirectUri,
+        expiresAt: new Date(Date.now() + this.stateTtlMs)
+      });
+
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: resolvedRedirectUri,
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      });
+
+      return {
+        success: true,
+        authorizationUrl: `${discovery.authorization_endpoint}?${params.toString()}`,
+        state
+      };
+    } catch (error) {
+      console.error(`[OIDC] ❌ Failed to start authorization with "${providerName}":`, error.message);
+      return {
+        success: false,
+        error: 'Login provider unavailable',
+        errorType: 'PROVIDER_UNAVAILABLE',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Verify an ID token against the provider JWKS
+   * @param {Object} provider - Provider config
+   * @param {Object} discovery - Provider discovery document
+   * @param {string} idToken - Raw ID token
+   * @param {string} nonce - Expected nonce
+   * @returns {Promise<Object>} Verified claims
+   * @private
+   */
+  async _verifyIdToken(provider, discovery, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new Error('Malformed ID token or unsupported signing algorithm');
+    }
+
+    const key = await this._getSigningKey(discovery.jwks_uri, decoded.header);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ALLOWED_ALGORITHMS,
+      issuer: discovery.issuer,
+      audience: provider.clientId
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    if (!claims.sub) {
+      throw new Error('ID token has no subject');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Complete an authorization: exchange the code and verify the ID token
+   * @param {string} providerName - Provider name
+   * @param {Object} params - Callback parameters
+   * @param {string} params.code - Authorization code
+   * @param {string} params.state - State returned by the provider
+   * @returns {Promise<Object>} { success, claims } or error info
+   */
+  async completeAuthorization(providerName, { code, state }) {
+    const provider = this.providers.get(providerName);
+    if (!provider) {
+      return {
+        success: false,
+        error: `Unknown login provider: ${providerName}`,
+        errorType: 'UNKNOWN_PROVIDER'
+      };
+    }
+
+    // State is single-use
+    const pending = await OidcState.findOneAndDelete({
+      state,
+      provider: provider.name,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!pending) {
+      return {
+        success: false,
+        error: 'Invalid or expired login state',
+        errorType: 'INVALID_STATE'
+      };
+    }
+
+    try {
+      const discovery = await this._discover(provider);
+
+      const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: pending.redirectUri,
+        client_id: provider.clientId,
+        code_verifier: pending.codeVerifier
+      });
+      if (provider.clientSecret) {
+        form.set('client_secret', provider.clientSecret);
+      }
+
+      const response = await axios.post(discovery.token_endpoint, form.toString(), {
+        timeout: this.timeout,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json',
+          'User-Agent': 'FayStar-Backend/1.0'
+        }
+      });
+
+      if (!response.data.id_token) {
+        throw new Error('Token response has no id_token');
+      }
+
+      const claims = await this._verifyIdToken(provider, discovery, response.data.id_token, pending.nonce);
+
+      return {
+        success: true,
+        claims
+      };
+    } catch (error) {
+      console.error(`[OIDC] ❌ Authorization with "${providerName}" failed:`, error.response?.data || error.message);
+      return {
+        success: false,
+        error: 'Login with provider failed',
+        errorType: error.response
+          ? 'TOKEN_EXCHANGE_FAILED'
+          : (error.isAxiosError ? 'PROVIDER_UNAVAILABLE' : 'INVALID_ID_TOKEN'),
+        details: error.response?.data?.error || error.message
+      };
+    }
+  }
+}
+
+module.exports = OidcService;
@@ -0,0 +1,107 @@
+const { EventEmitter } = require('events');
+const User = require('../models/User');
+
+/**
+ * Presence Service
+ * Tracks who is connected to the chat gateway. A user is `online` while any
+ * of their connections is active, `away` when every connection reported the
+ * app in the background, and `offline` without connections. Going offline
+ * stores the last-seen time on the user. Emits `change` with
+ * `{ userId, status, lastSeenAt }` whenever a user's status changes.
+ */
+class PresenceService extends EventEmitter {
+  constructor() {
+    super();
+    this.connections = new Map(); // userId -> Map(connectionId -> away)
+  }
+
+  /**
+   * Current status of a user
+   * @param {string} userId - User ID
+   * @returns {string} `online`, `away` or `offline`
+   */
+  getStatus(userId) {
+    const connections = this.connections.get(userId);
+    if (!connections || connections.size === 0) {
+      return 'offline';
+    }
+
+    return [...connections.values()].every(away => away) ? 'away' : 'online';
+  }
+
+  /**
+   * Register a new connection
+   * @param {string} userId - User ID
+   * @param {string} connectionId - Connection ID
+   */
+  connect(userId, connectionId) {
+    this._update(userId, () => {
+      if (!this.connections.has(userId)) {
+        this.connections.set(userId, new Map());
+      }
+      this.connections.get(userId).set(connectionId, false);
+    });
+  }
+
+  /**
+   * Mark a connection as in the background (away) or active again
+   * @param {string} userId - User ID
+   * @param {string} connectionId - Connection ID
+   * @param {boolean} away - True when the app went to the background
+   */
+  setAway(userId, connectionId, away) {
+    const connections = this.connections.get(userId);
+    if (!connections?.has(connectionId)) {
+      return;
+    }
+
+    this._update(userId, () => connections.set(connectionId, away));
+  }
+
+  /**
+   * Forget a closed connection. Calling it twice is harmless.
+   * @param {string} userId - User ID
+   * @param {string} connectionId - Connection ID
+   */
+  disconnect(userId, connectionId) {
+    const connections = this.connections.get(userId);
+    if (!connections?.has(connectionId)) {
+      return;
+    }
+
+    this._update(userId, () => {
+      connections.delete(connectionId);
+      if (connections.size === 0) {
+        this.connections.delete(userId);
+      }
+    });
+  }
+
+  /**
+   * Apply a change and announce the new status if it differs
+   * @param {string} userId - User ID
+   * @param {Function} change - Mutates the connection map
+   * @private
+   */
+  _update(userId, change) {
+    const before = this.getStatus(userId);
+    change();
+    const status = this.getStatus(userId);
+
+    if (status === before) {
+      return;
+    }
+
+    const lastSeenAt = status === 'offline' ? new Date() : null;
+    if (lastSeenAt) {
+      User.updateOne({ _id: userId }, { $set: { lastSeenAt } }).catch(error => {
+        console.error(`[Presence] ❌ Failed to store last seen of ${userId}:`, error.message);
+      });
+    }
+
+    this.emit('change', { userId, status, lastSeenAt });
+  }
+}
+
+// Shared by the chat routes and the gateway
+module.exports = new PresenceService();
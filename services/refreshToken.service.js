@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+/**
+ * Refresh Token Service
+ * Issues opaque refresh tokens, rotates them on every use and revokes the
+ * whole token family when a rotated token is presented again.
+ */
+class RefreshTokenService {
+  constructor() {
+    this.ttlDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  }
+
+  /**
+   * Hash a raw refresh token for storage and lookup
+   * @param {string} rawToken - Token as given to the client
+   * @returns {string} SHA-256 hex digest
+   * @private
+   */
+  _hash(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+  }
+
+  /**
+   * Store a new refresh token
+   * @param {string} userId - Owner user ID
+   * @param {string} family - Token family (one per login session)
+   * @returns {Promise<Object>} Raw refresh token and its expiry ({ refreshToken, expiresAt })
+   * @private
+   */
+  async _createToken(userId, family) {
+    const rawToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.ttlDays * 24 * 60 * 60 * 1000);
+
+    await RefreshToken.create({
+      tokenHash: this._hash(rawToken),
+      user: userId,
+      family,
+      expiresAt
+    });
+
+    return { refreshToken: rawToken, expiresAt };
+  }
+
+  /**
+   * Start a new token family for a fresh login
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<Object>} Raw refresh token, its family ID and when the family expires unless rotated
+   */
+  async issue(userId) {
+    const family = crypto.randomUUID();
+    const { refreshToken, expiresAt } = await this._createToken(userId, family);
+
+    return { refreshToken, family, expiresAt };
+  }
+
+  /**
+   * Exchange a refresh token for a new one in the same family
+   * @param {string} rawToken - Refresh token presented by the client
+   * @returns {Promise<Object>} Rotation result ({ success, user, refreshToken, family } or error info)
+   */
+  async rotate(rawToken) {
+    const existing = await RefreshToken.findOne({ tokenHash: this._hash(rawToken) });
+
+    if (!existing) {
+      return {
+        success: false,
+        error: 'Invalid refresh token',
+        errorType: 'INVALID_REFRESH_TOKEN'
+      };
+    }
+
+    if (existing.revokedAt) {
+      // A rotated or revoked token was replayed - assume it was stolen
+      console.warn(`[RefreshToken] ⚠️ Reuse detected for family ${existing.family}, revoking`);
+      await this.revokeFamily(existing.family, 'reuse');
+
+      return {
+        success: false,
+        error: 'Refresh token reuse detected',
+        errorType: 'REFRESH_TOKEN_REUSED'
+      };
+    }
+
+    if (existing.expiresAt <= new Date()) {
+      return {
+        success: false,
+        error: 'Refresh token expired',
+        errorType: 'REFRESH_TOKEN_EXPIRED'
+      };
+    }
+
+    const user = await User.findById(existing.user);
+    if (!user || !user.isActive) {
+      await this.revokeFamily(existing.family, 'user_inactive');
+
+      return {
+        success: false,
+        error: 'User not found',
+        errorType: 'USER_NOT_FOUND'
+      };
+    }
+
+    // Issue the successor first so the family never has a gap without a live token
+    const { refreshToken, expiresAt } = await this._createToken(existing.user, existing.family);
+
+    // Claim the old token atomically - a concurrent refresh with the same token loses
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: existing._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+    );
+
+    if (!claimed) {
+      console.warn(`[RefreshToken] ⚠️ Concurrent reuse detected for family ${existing.family}, revoking`);
+      await this.revokeFamily(existing.family, 'reuse');
+
+      return {
+        success: false,
+        error: 'Refresh token reuse detected',
+        errorType: 'REFRESH_TOKEN_REUSED'
+      };
+    }
+
+    // The session lives as long as its newest refresh token
+    await Session.updateOne({ sessionId: existing.family, revokedAt: null }, { $set: { expiresAt } });
+
+    return {
+      success: true,
+      user,
+      refreshToken,
+      family: existing.family
+    };
+  }
+
+  /**
+   * Find the family a raw refresh token belongs to
+   * @param {string} rawToken - Refresh token presented by the client
+   * @returns {Promise<Object|null>} Stored token document or null
+   */
+  findByToken(rawToken) {
+    return RefreshToken.findOne({ tokenHash: this._hash(rawToken) });
+  }
+
+  /**
+   * Revoke every live token in a family and the session it belongs to
+   * @param {string} family - Token family ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<void>}
+   */
+  async revokeFamily(family, reason) {
+    const revocation = { $set: { revokedAt: new Date(), revokedReason: reason } };
+
+    await RefreshToken.updateMany({ family, revokedAt: null }, revocation);
+    await Session.updateOne({ sessionId: family, revokedAt: null }, revocation);
+  }
+
+  /**
+   * Revoke every live token and session of a user (signs out all devices)
+   * @param {string} userId - Owner user ID
+   * @param {string} reason - Revocation reason
+   * @param {string} [exceptFamily] - Session to keep signed in
+   * @returns {Promise<void>}
+   */
+  async revokeAllForUser(userId, reason, exceptFamily = null) {
+    const tokenFilter = { user: userId, revokedAt: null };
+    const sessionFilter = { user: userId, revokedAt: null };
+    if (exceptFamily) {
+      tokenFilter.family = { $ne: exceptFamily };
+      sessionFilter.sessionId = { $ne: exceptFamily };
+    }
+
+    const revocation = { $set: { revokedAt: new Date(), revokedReason: reason } };
+
+    await RefreshToken.updateMany(tokenFilter, revocation);
+    await Session.updateMany(sessionFilter, revocation);
+  }
+}
+
+module.exports = RefreshTokenService;
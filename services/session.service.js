@@ -0,0 +1,155 @@
+const Session = require('../models/Session');
+const RefreshTokenService = require('./refreshToken.service');
+
+/**
+ * Session Service
+ * Records one session per login (device, IP, user agent, last seen) and
+ * revokes sessions together with their refresh token family.
+ */
+class SessionService {
+  constructor() {
+    this.refreshTokenService = new RefreshTokenService();
+    this.touchIntervalMs = 60 * 1000; // Write lastSeenAt at most once a minute per session
+  }
+
+  /**
+   * Derive a readable device name from a user agent
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} Device name
+   * @private
+   */
+  _deviceNameFromUserAgent(userAgent) {
+    if (!userAgent) {
+      return 'Unknown device';
+    }
+
+    const platforms = [
+      [/iPhone/i, 'iPhone'],
+      [/iPad/i, 'iPad'],
+      [/Android/i, 'Android'],
+      [/Windows/i, 'Windows'],
+      [/Mac OS X|Macintosh/i, 'Mac'],
+      [/Linux/i, 'Linux'],
+      [/Dart|Flutter/i, 'FayStar app']
+    ];
+    const browsers = [
+      [/Edg\//i, 'Edge'],
+      [/Chrome\//i, 'Chrome'],
+      [/Firefox\//i, 'Firefox'],
+      [/Safari\//i, 'Safari']
+    ];
+
+    const platform = platforms.find(([pattern]) => pattern.test(userAgent));
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+
+    return [browser?.[1], platform?.[1]].filter(Boolean).join(' on ') || 'Unknown device';
+  }
+
+  /**
+   * Start a session for a fresh login
+   * @param {string} userId - User ID
+   * @param {Object} client - Client details
+   * @param {string} [client.deviceName] - Name supplied by the client
+   * @param {string} [client.ip] - Client IP address
+   * @param {string} [client.userAgent] - User-Agent header
+   * @returns {Promise<Object>} { sessionId, refreshToken }
+   */
+  async create(userId, { deviceName, ip, userAgent } = {}) {
+    const { refreshToken, family, expiresAt } = await this.refreshTokenService.issue(userId);
+
+    await Session.create({
+      sessionId: family,
+      user: userId,
+      deviceName: deviceName || this._deviceNameFromUserAgent(userAgent),
+      ip: ip || null,
+      userAgent: userAgent || null,
+      expiresAt
+    });
+
+    return { sessionId: family, refreshToken };
+  }
+
+  /**
+   * Filter matching sessions that are neither revoked nor expired
+   * @param {Object} [filter] - Additional conditions
+   * @returns {Object} MongoDB filter
+   * @private
+   */
+  _liveFilter(filter = {}) {
+    return { ...filter, revokedAt: null, expiresAt: { $gt: new Date() } };
+  }
+
+  /**
+   * Find a live session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session document or null when revoked, expired or unknown
+   */
+  findActive(sessionId) {
+    return Session.findOne(this._liveFilter({ sessionId }));
+  }
+
+  /**
+   * Update last seen time and IP (throttled)
+   * @param {Object} session - Session document
+   * @param {string} [ip] - Current client IP
+   * @returns {Promise<void>}
+   */
+  async touch(session, ip) {
+    const isStale = Date.now() - new Date(session.lastSeenAt).getTime() > this.touchIntervalMs;
+    if (!isStale && (!ip || ip === session.ip)) {
+      return;
+    }
+
+    await Session.updateOne(
+      { _id: session._id },
+      { $set: { lastSeenAt: new Date(), ...(ip ? { ip } : {}) } }
+    );
+  }
+
+  /**
+   * List a user's live sessions, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Promise<Object[]>} Session documents
+   */
+  listActive(userId) {
+    return Session.find(this._liveFilter({ user: userId })).sort({ lastSeenAt: -1 });
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - Owner user ID
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<boolean>} True when a live session was revoked
+   */
+  async revoke(userId, sessionId, reason) {
+    const session = await Session.findOne(this._liveFilter({ sessionId, user: userId }));
+    if (!session) {
+      return false;
+    }
+
+    await this.refreshTokenService.revokeFamily(sessionId, reason);
+    return true;
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {string} userId - Owner user ID
+   * @param {string} reason - Revocation reason
+   * @param {string} [exceptSessionId] - Session to keep
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAll(userId, reason, exceptSessionId = null) {
+    const filter = this._liveFilter({ user: userId });
+    if (exceptSessionId) {
+      filter.sessionId = { $ne: exceptSessionId };
+    }
+
+    const count = await Session.countDocuments(filter);
+    await this.refreshTokenService.revokeAllForUser(userId, reason, exceptSessionId);
+
+    return count;
+  }
+}
+
+module.exports = SessionService;
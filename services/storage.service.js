@@ -0,0 +1,123 @@
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Local disk backend - stores objects as files under one directory (development)
+ */
+class LocalDiskStorage {
+  constructor(directory = process.env.STORAGE_LOCAL_DIR || path.join(os.tmpdir(), 'faystar-uploads')) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Map a storage key to a file path inside the storage directory
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   * @private
+   */
+  _resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this._resolve(key);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, buffer);
+
+    return { key, size: buffer.length };
+  }
+
+  async exists(key) {
+    try {
+      await fsPromises.access(this._resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this._resolve(key));
+  }
+
+  async remove(key) {
+    await fsPromises.rm(this._resolve(key), { force: true });
+  }
+}
+
+const BACKENDS = {
+  local: LocalDiskStorage
+};
+
+/**
+ * Storage Service
+ * Stores uploaded files through a pluggable backend. A backend is any object
+ * with `put(key, buffer)`, `exists(key)`, `createReadStream(key)` and
+ * `remove(key)`.
+ */
+class StorageService {
+  /**
+   * @param {Object} [options] - Storage options
+   * @param {Object} [options.backend] - Custom backend instance (defaults to STORAGE_BACKEND env: local)
+   */
+  constructor({ backend } = {}) {
+    if (backend) {
+      this.backend = backend;
+    } else {
+      const Backend = BACKENDS[process.env.STORAGE_BACKEND] || LocalDiskStorage;
+      this.backend = new Backend();
+    }
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key (e.g. `chat/<chatId>/<file>`)
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Object>} { key, size }
+   */
+  put(key, buffer) {
+    return this.backend.put(key, buffer);
+  }
+
+  /**
+   * Whether an object exists
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} True when stored
+   */
+  exists(key) {
+    return this.backend.exists(key);
+  }
+
+  /**
+   * Open an object for reading
+   * @param {string} key - Object key
+   * @returns {stream.Readable} File contents
+   */
+  createReadStream(key) {
+    return this.backend.createReadStream(key);
+  }
+
+  /**
+   * Delete objects. Failures are logged, never thrown.
+   * @param {string[]} keys - Object keys
+   * @returns {Promise<void>}
+   */
+  async remove(keys) {
+    for (const key of keys) {
+      try {
+        await this.backend.remove(key);
+      } catch (error) {
+        console.error(`[Storage] ❌ Failed to remove ${key}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,180 @@
+const PLANS = [
+  {
+    id: 'free',
+    name: 'Free',
+    price: 0,
+    duration: 'lifetime',
+    features: [
+      'Basic chat functionality',
+      'Limited marketplace access',
+      '5 AI messages per day'
+    ],
+    limits: {
+      aiMessages: 5,
+      marketplaceListings: 3,
+      storage: 100 // MB
+    }
+  },
+  {
+    id: 'pro',
+    name: 'Pro',
+    price: 9.99,
+    duration: 'monthly',
+    features: [
+      'Unlimited chat functionality',
+      'Full marketplace access',
+      'Unlimited AI messages',
+      'Voice cloning',
+      'Priority support',
+      'Advanced analytics'
+    ],
+    limits: {
+      aiMessages: -1, // Unlimited
+      marketplaceListings: -1,
+      storage: 10000 // 10GB
+    }
+  },
+  {
+    id: 'premium',
+    name: 'Premium',
+    price: 29.99,
+    duration: 'monthly',
+    features: [
+      'Everything in Pro',
+      'AI video generation',
+      'Advanced voice features',
+      'White label options',
+      'API access',
+      'Dedicated support'
+    ],
+    limits: {
+      aiMessages: -1,
+      marketplaceListings: -1,
+      storage: 50000 // 50GB
+    }
+  }
+];
+
+/**
+ * Subscription Service
+ * Owns the plan catalogue and the (in-memory) subscription records so that
+ * other modules can look up a user's plan without going through HTTP.
+ */
+class SubscriptionService {
+  constructor() {
+    this.plans = PLANS;
+    // Mock subscription database
+    this.subscriptions = [];
+  }
+
+  /**
+   * Find a user's active subscription
+   * @param {string} userId - User ID
+   * @returns {Object|undefined} Subscription record
+   */
+  findActive(userId) {
+    return this.subscriptions.find(sub =>
+      sub.userId === userId &&
+      sub.status === 'active'
+    );
+  }
+
+  /**
+   * ID of the plan a user is currently on (`free` without an active subscription)
+   * @param {string} userId - User ID
+   * @returns {string} Plan ID
+   */
+  getPlanId(userId) {
+    return this.findActive(userId)?.planId || 'free';
+  }
+
+  /**
+   * Find a user's active subscription, starting them on the free plan if they have none
+   * @param {string} userId - User ID
+   * @returns {Object} Subscription record
+   */
+  getOrCreateActive(userId) {
+    let subscription = this.findActive(userId);
+
+    if (!subscription) {
+      const freePlan = this.plans.find(p => p.id === 'free');
+      subscription = {
+        id: Date.now().toString(),
+        userId,
+        planId: 'free',
+        status: 'active',
+        startDate: new Date().toISOString(),
+        endDate: null,
+        features: freePlan.features,
+        limits: freePlan.limits,
+        usage: {
+          aiMessages: 0,
+          marketplaceListings: 0,
+          storage: 0
+        },
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      this.subscriptions.push(subscription);
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Check a usage amount against the plan limit and record it when it fits
+   * @param {string} userId - User ID
+   * @param {string} type - Usage type (`aiMessages`, `marketplaceListings`, `storage`)
+   * @param {number} amount - Amount to add (storage in MB)
+   * @returns {Object} { success, usage, limit, remaining } or error info with `data`
+   */
+  consumeUsage(userId, type, amount) {
+    const subscription = this.getOrCreateActive(userId);
+    const limit = subscription.limits[type];
+    const currentUsage = subscription.usage[type] || 0;
+
+    if (limit !== -1 && currentUsage + amount > limit) {
+      return {
+        success: false,
+        error: 'Usage limit exceeded',
+        errorType: 'USAGE_LIMIT_EXCEEDED',
+        data: {
+          type,
+          current: currentUsage,
+          requested: amount,
+          limit,
+          remaining: Math.max(0, limit - currentUsage)
+        }
+      };
+    }
+
+    subscription.usage[type] = currentUsage + amount;
+    subscription.updatedAt = new Date().toISOString();
+
+    return {
+      success: true,
+      usage: subscription.usage[type],
+      limit,
+      remaining: limit === -1 ? 'Unlimited' : Math.max(0, limit - subscription.usage[type])
+    };
+  }
+
+  /**
+   * Give back usage (e.g. storage of deleted files)
+   * @param {string} userId - User ID
+   * @param {string} type - Usage type
+   * @param {number} amount - Amount to subtract
+   */
+  releaseUsage(userId, type, amount) {
+    const subscription = this.findActive(userId);
+    if (!subscription) {
+      return;
+    }
+
+    subscription.usage[type] = Math.max(0, (subscription.usage[type] || 0) - amount);
+    subscription.updatedAt = new Date().toISOString();
+  }
+}
+
+// Shared by every router
+module.exports = new SubscriptionService();
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP Service
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps)
+ * plus encryption of stored secrets and recovery code generation.
+ */
+class TotpService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'FayStar';
+    this.stepSeconds = 30;
+    this.digits = 6;
+    this.window = 1; // Accept one step of clock drift either way
+    this.encryptionKey = crypto
+      .createHash('sha256')
+      .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+      .digest();
+  }
+
+  /**
+   * Encode bytes as RFC 4648 base32 (no padding)
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} Base32 string
+   * @private
+   */
+  _base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string
+   * @param {string} input - Base32 string
+   * @returns {Buffer} Decoded bytes
+   * @private
+   */
+  _base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Compute the code for a time step
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step counter
+   * @returns {string} Zero-padded code
+   * @private
+   */
+  _codeAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this._base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % Math.pow(10, this.digits)).padStart(this.digits, '0');
+  }
+
+  /**
+   * Generate a new random secret
+   * @returns {string} Base32 secret (160 bits)
+   */
+  generateSecret() {
+    return this._base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Build the otpauth:// provisioning URI rendered as a QR code by the client
+   * @param {string} secret - Base32 secret
+   * @param {string} accountName - Account label (user email)
+   * @returns {string} Provisioning URI
+   */
+  getProvisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.stepSeconds)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Verify a code against a secret
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} [lastUsedStep] - Last accepted step, to reject replays
+   * @returns {number|null} Matching time step, or null when the code is invalid
+   */
+  verify(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+      return null;
+    }
+
+    const currentStep = Math.floor(Date.now() / 1000 / this.stepSeconds);
+
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const step = currentStep + offset;
+      if (lastUsedStep !== null && step <= lastUsedStep) {
+        continue;
+      }
+
+      const expected = this._codeAt(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Encrypt a secret for storage (AES-256-GCM)
+   * @param {string} secret - Base32 secret
+   * @returns {string} iv.tag.ciphertext, base64url encoded
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  }
+
+  /**
+   * Decrypt a stored secret
+   * @param {string} payload - Value produced by encryptSecret
+   * @returns {string} Base32 secret
+   */
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Generate single-use recovery codes
+   * @param {number} [count=10] - Number of codes
+   * @returns {Object} { codes: plain codes for the user, hashes: values to store }
+   */
+  generateRecoveryCodes(count = 10) {
+    const codes = Array.from({ length: count }, () => {
+      const raw = this._base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => this.hashRecoveryCode(code))
+    };
+  }
+
+  /**
+   * Hash a recovery code for storage and lookup
+   * @param {string} code - Recovery code (dashes and case are ignored)
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = TotpService;
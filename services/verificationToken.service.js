@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const VerificationToken = require('../models/VerificationToken');
+
+// Token lifetime per purpose, in milliseconds
+const TOKEN_TTL = {
+  password_reset: (parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60) * 60 * 1000,
+  email_verification: (parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24) * 60 * 60 * 1000,
+  email_change: (parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24) * 60 * 60 * 1000,
+  reauthentication: (parseInt(process.env.REAUTHENTICATION_EXPIRES_MINUTES) || 15) * 60 * 1000
+};
+
+/**
+ * Verification Token Service
+ * Issues and consumes single-use, expiring tokens delivered by email
+ */
+class VerificationTokenService {
+  /**
+   * Hash a raw token for storage and lookup
+   * @param {string} rawToken - Token as sent to the user
+   * @returns {string} SHA-256 hex digest
+   * @private
+   */
+  _hash(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+  }
+
+  /**
+   * Create a token, invalidating earlier unused tokens of the same purpose
+   * @param {string} userId - Owner user ID
+   * @param {string} purpose - 'password_reset', 'email_verification', 'email_change' or 'reauthentication'
+   * @param {Object} [data] - Extra token data
+   * @param {string} [data.email] - New email address ('email_change' only)
+   * @returns {Promise<Object>} Raw token and its expiry date
+   */
+  async create(userId, purpose, { email = null } = {}) {
+    if (!TOKEN_TTL[purpose]) {
+      throw new Error(`Unknown token purpose: ${purpose}`);
+    }
+
+    await VerificationToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + TOKEN_TTL[purpose]);
+
+    await VerificationToken.create({
+      tokenHash: this._hash(token),
+      user: userId,
+      purpose,
+      email,
+      expiresAt
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Look up a valid token without using it
+   * @param {string} rawToken - Token presented by the user
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<Object|null>} Token document or null when invalid, expired or already used
+   */
+  find(rawToken, purpose) {
+    return VerificationToken.findOne({
+      tokenHash: this._hash(rawToken),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Mark a token as used. Succeeds only once per token.
+   * @param {string} rawToken - Token presented by the user
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<Object|null>} Consumed token document or null when invalid, expired or already used
+   */
+  consume(rawToken, purpose) {
+    return VerificationToken.findOneAndUpdate(
+      {
+        tokenHash: this._hash(rawToken),
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Delete every token of a user
+   * @param {string} userId - Owner user ID
+   * @returns {Promise<void>}
+   */
+  async deleteAllForUser(userId) {
+    await VerificationToken.deleteMany({ user: userId });
+  }
+}
+
+module.exports = VerificationTokenService;
@@ -0,0 +1,67 @@
+const request = require('supertest');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ApiKeyService = require('../services/apiKey.service');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Account deletion', () => {
+  let app;
+
+  beforeAll(async () => {
+    await startDatabase();
+    app = createApp();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await clearDatabase();
+  });
+
+  afterAll(stopDatabase);
+
+  const deleteAccount = (account, fields = { password: account.password }) => request(app)
+    .delete('/api/auth/account')
+    .set('Authorization', `Bearer ${account.token}`)
+    .send(fields);
+
+  it('removes the user and signs out every session', async () => {
+    const account = await registerUser(app);
+
+    await deleteAccount(account).expect(200);
+
+    expect(await User.exists({ _id: account.user.id })).toBeNull();
+    expect(await Session.countDocuments({ user: account.user.id, revokedAt: null })).toBe(0);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: account.refreshToken }).expect(401);
+
+    const [entry] = await AuditLog.find({ action: 'account_deleted' });
+    expect(Object.values(entry.metadata.cleanup).every(result => result.success)).toBe(true);
+  });
+
+  it('needs the password', async () => {
+    const account = await registerUser(app);
+
+    await deleteAccount(account, { password: 'wrong-password' }).expect(401);
+
+    expect(await User.exists({ _id: account.user.id })).not.toBeNull();
+  });
+
+  it('keeps the account when a cleanup handler fails, so the deletion can be retried', async () => {
+    const account = await registerUser(app);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(ApiKeyService.prototype, 'revokeAllForUser').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    const failed = await deleteAccount(account).expect(500);
+
+    expect(failed.body).toMatchObject({ errorType: 'CLEANUP_FAILED', failedModules: ['apiKeys'] });
+    expect(await User.exists({ _id: account.user.id })).not.toBeNull();
+    await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${account.token}`).expect(200);
+
+    const [entry] = await AuditLog.find({ action: 'account_deletion_failed' });
+    expect(entry.metadata.cleanup.apiKeys).toEqual({ success: false, error: 'Database unavailable' });
+    expect(entry.metadata.cleanup.chat.success).toBe(true);
+
+    await deleteAccount(account).expect(200);
+    expect(await User.exists({ _id: account.user.id })).toBeNull();
+  });
+});
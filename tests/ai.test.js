@@ -0,0 +1,170 @@
+const http = require('http');
+const request = require('supertest');
+const AiChatService = require('../services/aiChat.service');
+const { startFakeOpenAi } = require('./fakeOpenAi');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+// Collect a server-sent event response as [{ event, data }]
+const readEvents = (req) => req
+  .buffer(true)
+  .parse((res, callback) => {
+    let text = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => callback(null, text.split('\n\n').filter(Boolean).map(block => {
+      const [, event] = block.match(/^event: (.*)$/m);
+      const [, data] = block.match(/^data: (.*)$/m);
+      return { event, data: JSON.parse(data) };
+    })));
+  });
+
+describe('AI chat API', () => {
+  let app;
+  let openAi;
+  let account;
+
+  beforeAll(async () => {
+    process.env.OPENAI_API_KEY = 'test-openai-key';
+    openAi = await startFakeOpenAi();
+
+    await startDatabase();
+    app = createApp();
+  });
+
+  beforeEach(async () => {
+    account = await registerUser(app);
+  });
+
+  afterEach(async () => {
+    openAi.reset();
+    await clearDatabase();
+  });
+
+  afterAll(async () => {
+    await stopDatabase();
+    await openAi.close();
+  });
+
+  const chat = (fields) => request(app)
+    .post('/api/ai/chat')
+    .set('Authorization', `Bearer ${account.token}`)
+    .send(fields);
+
+  it('answers with the completion and the client history', async () => {
+    const response = await chat({
+      message: 'And in Paris?',
+      conversationHistory: [
+        { role: 'user', content: 'What time is it in London?' },
+        { role: 'assistant', content: 'It is noon.' }
+      ]
+    }).expect(200);
+
+    expect(response.body.data).toMatchObject({ response: 'Hello there!', model: 'gpt-3.5-turbo', conversationId: null });
+    expect(openAi.requests[0].messages).toEqual([
+      { role: 'system', content: AiChatService.SYSTEM_PROMPT },
+      { role: 'user', content: 'What time is it in London?' },
+      { role: 'assistant', content: 'It is noon.' },
+      { role: 'user', content: 'And in Paris?' }
+    ]);
+  });
+
+  it('falls back to a canned answer when the provider fails', async () => {
+    openAi.respond = (req, res) => res.writeHead(500).end();
+
+    const response = await chat({ message: 'Hi' }).expect(200);
+
+    expect(response.body.data).toMatchObject({ model: 'fallback', isFallback: true });
+  });
+
+  describe('streaming', () => {
+    it('sends the answer as delta events followed by done', async () => {
+      openAi.reply = 'Streaming works fine';
+
+      const response = await readEvents(chat({ message: 'Hi', model: 'gpt-4', stream: true })).expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+      const events = response.body;
+      const deltas = events.filter(({ event }) => event === 'delta');
+      expect(deltas.length).toBeGreaterThan(1);
+      expect(deltas.map(({ data }) => data.content).join('')).toBe('Streaming works fine');
+      expect(events[events.length - 1]).toEqual({
+        event: 'done',
+        data: expect.objectContaining({ model: 'gpt-4', usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 } })
+      });
+
+      expect(openAi.requests[0]).toMatchObject({ model: 'gpt-4', stream: true, stream_options: { include_usage: true } });
+    });
+
+    it('sends the fallback answer when the provider fails before answering', async () => {
+      openAi.respond = (req, res) => res.writeHead(503).end();
+
+      const events = (await readEvents(chat({ message: 'Hi', stream: true })).expect(200)).body;
+
+      expect(events.map(({ event }) => event)).toEqual(['delta', 'done']);
+      expect(events[1].data).toMatchObject({ model: 'fallback', isFallback: true });
+    });
+
+    it('reports an error when the provider fails mid-answer', async () => {
+      openAi.respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Half an ' } }] })}\n\n`);
+        res.end('data: {not json\n\n');
+      };
+
+      const events = (await readEvents(chat({ message: 'Hi', stream: true })).expect(200)).body;
+
+      expect(events).toEqual([
+        { event: 'delta', data: { content: 'Half an ' } },
+        { event: 'error', data: { error: 'AI provider request failed', errorType: 'AI_PROVIDER_ERROR' } }
+      ]);
+    });
+
+    it('aborts the provider request when the client disconnects', async () => {
+      let upstreamClosed;
+      const upstreamClose = new Promise(resolve => { upstreamClosed = resolve; });
+      openAi.respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Still thinking' } }] })}\n\n`);
+        res.on('close', upstreamClosed);
+      };
+
+      const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      try {
+        await new Promise((resolve, reject) => {
+          const body = JSON.stringify({ message: 'Hi', stream: true });
+          const client = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            path: '/api/ai/chat',
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${account.token}`, 'Content-Type': 'application/json' }
+          }, (res) => {
+            // Hang up as soon as the first piece of the answer arrives
+            res.once('data', () => {
+              client.destroy();
+              resolve();
+            });
+          });
+          client.on('error', reject);
+          client.end(body);
+        });
+
+        await upstreamClose;
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+
+  it('reports a missing API key', async () => {
+    delete process.env.OPENAI_API_KEY;
+    try {
+      const response = await chat({ message: 'Hi' }).expect(500);
+      expect(response.body.error).toBe('AI service not configured');
+    } finally {
+      process.env.OPENAI_API_KEY = 'test-openai-key';
+    }
+  });
+});
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const ApiKey = require('../models/ApiKey');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('API keys', () => {
+  let app;
+  let account;
+
+  beforeAll(async () => {
+    await startDatabase();
+    app = createApp();
+  });
+
+  beforeEach(async () => {
+    account = await registerUser(app);
+  });
+
+  afterEach(clearDatabase);
+
+  afterAll(stopDatabase);
+
+  const as = (method, path, who = account) => request(app)[method](path)
+    .set('Authorization', `Bearer ${who.token}`);
+
+  const withKey = (method, path, key) => request(app)[method](path).set('X-API-Key', key);
+
+  const subscribe = (planId, who = account) => as('post', '/api/subscription/upgrade', who)
+    .send({ planId, paymentMethodId: 'pm_test' })
+    .expect(200);
+
+  const createKey = async (fields = {}, who = account) => {
+    const response = await as('post', '/api/api-keys', who)
+      .send({ name: 'CI', scopes: ['chat:read'], ...fields })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  describe('managing keys', () => {
+    it('are a Premium feature', async () => {
+      await subscribe('pro');
+
+      const response = await as('post', '/api/api-keys').send({ name: 'CI', scopes: ['chat:read'] }).expect(403);
+
+      expect(response.body.errorType).toBe('PREMIUM_REQUIRED');
+      expect((await as('get', '/api/api-keys').expect(200)).body.data.apiAccess).toBe(false);
+    });
+
+    it('shows the key once and lists only its prefix', async () => {
+      await subscribe('premium');
+
+      const { apiKey, key } = await createKey({ scopes: ['chat:read', 'chat:read', 'ai:chat'] });
+
+      expect(key).toMatch(/^fsk_[\w-]{43}$/);
+      expect(apiKey).toMatchObject({ name: 'CI', prefix: key.slice(0, 12), scopes: ['chat:read', 'ai:chat'], lastUsedAt: null });
+
+      const list = await as('get', '/api/api-keys').expect(200);
+      expect(list.body.data.apiKeys).toEqual([apiKey]);
+      expect(JSON.stringify(list.body)).not.toContain(key);
+    });
+
+    it('rejects unknown scopes', async () => {
+      await subscribe('premium');
+
+      await as('post', '/api/api-keys').send({ name: 'CI', scopes: ['admin:everything'] }).expect(400);
+    });
+  });
+
+  describe('authenticating with a key', () => {
+    it('reaches routes within its scopes and records its use', async () => {
+      await subscribe('premium');
+      const { apiKey, key } = await createKey();
+
+      await withKey('get', '/api/chat/history', key).expect(200);
+
+      const stored = await ApiKey.findById(apiKey.id);
+      expect(stored.lastUsedAt).toEqual(expect.any(Date));
+      expect(stored.lastUsedIp).toEqual(expect.any(String));
+    });
+
+    it('is refused outside its scopes', async () => {
+      await subscribe('premium');
+      const { key } = await createKey();
+
+      const response = await withKey('post', '/api/chat/send', key).send({ chatId: 'any', message: 'Hi' }).expect(403);
+
+      expect(response.body).toMatchObject({ code: 'INSUFFICIENT_SCOPE', requiredScope: 'chat:write' });
+    });
+
+    it('is refused by routes that only take user tokens', async () => {
+      await subscribe('premium');
+      const { key } = await createKey();
+
+      const profile = await withKey('get', '/api/auth/profile', key).expect(403);
+      expect(profile.body.code).toBe('API_KEY_NOT_ALLOWED');
+
+      // A key can't mint or manage keys
+      const keys = await withKey('get', '/api/api-keys', key).expect(403);
+      expect(keys.body.code).toBe('API_KEY_NOT_ALLOWED');
+    });
+
+    it('stops working when the subscription ends', async () => {
+      await subscribe('premium');
+      const { key } = await createKey();
+
+      await as('post', '/api/subscription/cancel').expect(200);
+
+      const response = await withKey('get', '/api/chat/history', key).expect(403);
+      expect(response.body.code).toBe('PREMIUM_REQUIRED');
+    });
+
+    it('stops working once expired', async () => {
+      await subscribe('premium');
+      const { apiKey, key } = await createKey({ expiresInDays: 1 });
+      await ApiKey.updateOne({ _id: apiKey.id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      const response = await withKey('get', '/api/chat/history', key).expect(401);
+      expect(response.body.code).toBe('API_KEY_EXPIRED');
+    });
+
+    it('rejects unknown keys', async () => {
+      const response = await withKey('get', '/api/chat/history', 'fsk_not-a-real-key').expect(401);
+
+      expect(response.body.code).toBe('INVALID_API_KEY');
+    });
+  });
+
+  describe('rotating and revoking', () => {
+    it('rotation replaces the secret and keeps the settings', async () => {
+      await subscribe('premium');
+      const original = await createKey({ name: 'Deploy bot', scopes: ['chat:read', 'chat:write'] });
+
+      const response = await as('post', `/api/api-keys/${original.apiKey.id}/rotate`).expect(200);
+
+      const { apiKey, key } = response.body.data;
+      expect(key).not.toBe(original.key);
+      expect(apiKey).toMatchObject({ name: 'Deploy bot', scopes: ['chat:read', 'chat:write'] });
+      expect((await withKey('get', '/api/chat/history', original.key).expect(401)).body.code).toBe('INVALID_API_KEY');
+      await withKey('get', '/api/chat/history', key).expect(200);
+
+      await as('post', `/api/api-keys/${original.apiKey.id}/rotate`).expect(404);
+    });
+
+    it('revocation disables the key and hides it', async () => {
+      await subscribe('premium');
+      const { apiKey, key } = await createKey();
+
+      await as('delete', `/api/api-keys/${apiKey.id}`).expect(200);
+
+      await withKey('get', '/api/chat/history', key).expect(401);
+      expect((await as('get', '/api/api-keys').expect(200)).body.data.apiKeys).toEqual([]);
+      await as('delete', `/api/api-keys/${apiKey.id}`).expect(404);
+    });
+
+    it("does not touch another user's keys", async () => {
+      const other = await registerUser(app);
+      await subscribe('premium');
+      await subscribe('premium', other);
+      const { apiKey, key } = await createKey();
+
+      await as('delete', `/api/api-keys/${apiKey.id}`, other).expect(404);
+      await as('post', `/api/api-keys/${apiKey.id}/rotate`, other).expect(404);
+
+      await withKey('get', '/api/chat/history', key).expect(200);
+    });
+  });
+});
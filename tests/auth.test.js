@@ -0,0 +1,100 @@
+const request = require('supertest');
+const User = require('../models/User');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Auth API', () => {
+  let app;
+
+  beforeAll(async () => {
+    await startDatabase();
+    app = createApp();
+  });
+
+  afterEach(clearDatabase);
+
+  afterAll(stopDatabase);
+
+  describe('POST /api/auth/register', () => {
+    it('creates the user and starts a session', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'Ada@Example.com', password: 'secret123', firstName: 'Ada', lastName: 'Lovelace' })
+        .expect(201);
+
+      const { user, token, refreshToken, sessionId } = response.body.data;
+      expect(user).toMatchObject({ email: 'ada@example.com', firstName: 'Ada', emailVerified: false, roles: ['user'] });
+      expect(user.password).toBeUndefined();
+      expect(refreshToken).toEqual(expect.any(String));
+      expect(sessionId).toEqual(expect.any(String));
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(profile.body.data.user.id).toBe(user.id);
+    });
+
+    it('rejects an email that is already registered', async () => {
+      await registerUser(app, { email: 'taken@example.com' });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'taken@example.com', password: 'secret123', firstName: 'Second', lastName: 'User' })
+        .expect(409);
+
+      expect(response.body.error).toBe('User already exists');
+    });
+
+    it('validates the input', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'not-an-email', password: '123', firstName: 'A', lastName: 'B' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation failed');
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('starts a session with the right password', async () => {
+      const { user, password } = await registerUser(app);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password })
+        .expect(200);
+
+      expect(response.body.data.user.id).toBe(user.id);
+      expect(response.body.data.token).toEqual(expect.any(String));
+      expect(response.body.data.refreshToken).toEqual(expect.any(String));
+    });
+
+    it('answers a wrong password and an unknown email alike', async () => {
+      const { user } = await registerUser(app);
+
+      const wrongPassword = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: 'wrong-password' })
+        .expect(401);
+      const unknownEmail = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'wrong-password' })
+        .expect(401);
+
+      expect(wrongPassword.body).toEqual({ success: false, error: 'Invalid credentials' });
+      expect(unknownEmail.body).toEqual(wrongPassword.body);
+    });
+
+    it('rejects a disabled account with the generic error', async () => {
+      const { user, password } = await registerUser(app);
+      await User.updateOne({ _id: user.id }, { $set: { isActive: false } });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password })
+        .expect(401);
+
+      expect(response.body).toEqual({ success: false, error: 'Invalid credentials' });
+    });
+  });
+});
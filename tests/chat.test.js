@@ -0,0 +1,378 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const chatEvents = require('../services/chatEvents.service');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Chat API', () => {
+  let app;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    // Attachments go to a throwaway directory
+    process.env.STORAGE_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'faystar-test-uploads-'));
+
+    await startDatabase();
+    app = createApp();
+  });
+
+  beforeEach(async () => {
+    alice = await registerUser(app, { firstName: 'Alice' });
+    bob = await registerUser(app, { firstName: 'Bob' });
+  });
+
+  afterEach(clearDatabase);
+
+  afterAll(async () => {
+    await stopDatabase();
+    fs.rmSync(process.env.STORAGE_LOCAL_DIR, { recursive: true, force: true });
+  });
+
+  // Start a direct chat from `from` with `to`
+  const createChat = async (from, to, fields = {}) => {
+    const response = await request(app)
+      .post('/api/chat/create')
+      .set('Authorization', `Bearer ${from.token}`)
+      .send({ participantId: to.user.id, ...fields })
+      .expect(201);
+
+    return response.body.data.chat.id;
+  };
+
+  // Send `count` messages one second apart (after the chat was created), oldest first
+  const sendMessages = async (from, chatId, count) => {
+    const start = Date.now() + 1000;
+    const messages = [];
+
+    for (let i = 0; i < count; i++) {
+      const response = await request(app)
+        .post('/api/chat/send')
+        .set('Authorization', `Bearer ${from.token}`)
+        .send({ chatId, message: `Message ${i + 1}` })
+        .expect(201);
+
+      const timestamp = new Date(start + i * 1000);
+      await Message.updateOne({ _id: response.body.data.message.id }, { $set: { timestamp } });
+      messages.push({ id: response.body.data.message.id, timestamp });
+    }
+
+    return messages;
+  };
+
+  const getMessages = (account, params) => request(app)
+    .get('/api/chat/get')
+    .set('Authorization', `Bearer ${account.token}`)
+    .query(params)
+    .expect(200);
+
+  const readMarker = async (chatId, account) => {
+    const chat = await Chat.findOne({ chatId });
+    return chat.getMember(account.user.id).lastReadAt;
+  };
+
+  const unreadCount = async (account, chatId) => {
+    const response = await request(app)
+      .get('/api/chat/history')
+      .set('Authorization', `Bearer ${account.token}`)
+      .expect(200);
+
+    return response.body.data.chats.find(chat => chat.id === chatId).unreadCount;
+  };
+
+  describe('membership', () => {
+    let carol;
+
+    beforeEach(async () => {
+      carol = await registerUser(app, { firstName: 'Carol' });
+    });
+
+    it('keeps non-members from reading a chat', async () => {
+      const chatId = await createChat(alice, bob);
+      await sendMessages(alice, chatId, 1);
+
+      const response = await request(app)
+        .get('/api/chat/get')
+        .set('Authorization', `Bearer ${carol.token}`)
+        .query({ chatId })
+        .expect(403);
+
+      expect(response.body).toEqual({ success: false, error: 'You are not a member of this chat' });
+    });
+
+    it('keeps non-members from posting to a chat', async () => {
+      const chatId = await createChat(alice, bob);
+
+      await request(app)
+        .post('/api/chat/send')
+        .set('Authorization', `Bearer ${carol.token}`)
+        .send({ chatId, message: 'Let me in' })
+        .expect(403);
+
+      expect(await Message.countDocuments({ chatId })).toBe(0);
+    });
+
+    it('does not create chats by posting to an unknown chat id', async () => {
+      await request(app)
+        .post('/api/chat/send')
+        .set('Authorization', `Bearer ${carol.token}`)
+        .send({ chatId: `direct_${alice.user.id}_${bob.user.id}`, message: 'Hi both' })
+        .expect(404);
+
+      expect(await Chat.countDocuments()).toBe(0);
+    });
+
+    it("keeps non-members away from a chat's messages", async () => {
+      const chatId = await createChat(alice, bob);
+      const [sent] = await sendMessages(alice, chatId, 1);
+
+      await request(app)
+        .post(`/api/chat/message/${sent.id}/reactions`)
+        .set('Authorization', `Bearer ${carol.token}`)
+        .send({ emoji: '👍' })
+        .expect(403);
+      await request(app)
+        .get(`/api/chat/message/${sent.id}/history`)
+        .set('Authorization', `Bearer ${carol.token}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/chat/get read marker', () => {
+    it('reads up to the newest message of the latest page', async () => {
+      const chatId = await createChat(alice, bob);
+      const messages = await sendMessages(alice, chatId, 3);
+      expect(await unreadCount(bob, chatId)).toBe(3);
+
+      const response = await getMessages(bob, { chatId });
+
+      expect(response.body.data.messages.map(msg => msg.id)).toEqual(messages.map(msg => msg.id));
+      expect(response.body.data.messages.every(msg => msg.isRead)).toBe(true);
+      expect(await readMarker(chatId, bob)).toEqual(messages[2].timestamp);
+      expect(await unreadCount(bob, chatId)).toBe(0);
+    });
+
+    it('reads only up to the newest message returned when paging forward', async () => {
+      const chatId = await createChat(alice, bob);
+      const messages = await sendMessages(alice, chatId, 5);
+      const published = [];
+      const onEvent = event => event.type === 'message.read' && published.push(event.data);
+      chatEvents.on('event', onEvent);
+
+      try {
+        await getMessages(bob, { chatId, after: messages[0].id, limit: 2 });
+      } finally {
+        chatEvents.off('event', onEvent);
+      }
+
+      expect(await readMarker(chatId, bob)).toEqual(messages[2].timestamp);
+      expect(await unreadCount(bob, chatId)).toBe(2);
+      expect(published).toHaveLength(1);
+      expect(published[0].messageIds.sort()).toEqual(messages.slice(0, 3).map(msg => msg.id).sort());
+
+      const unread = await Message.find({ chatId, isRead: false }).sort({ timestamp: 1 });
+      expect(unread.map(msg => msg.id)).toEqual(messages.slice(3).map(msg => msg.id));
+    });
+
+    it('never moves the marker back when paging through older messages', async () => {
+      const chatId = await createChat(alice, bob);
+      const messages = await sendMessages(alice, chatId, 4);
+
+      const latest = await getMessages(bob, { chatId, limit: 2 });
+      await getMessages(bob, { chatId, before: latest.body.data.pagination.before, limit: 2 });
+
+      expect(await readMarker(chatId, bob)).toEqual(messages[3].timestamp);
+      expect(await unreadCount(bob, chatId)).toBe(0);
+    });
+
+    it("leaves the other member's marker alone", async () => {
+      const chatId = await createChat(alice, bob);
+      const before = await readMarker(chatId, alice);
+      await sendMessages(alice, chatId, 2);
+
+      await getMessages(bob, { chatId });
+
+      expect(await readMarker(chatId, alice)).toEqual(before);
+    });
+  });
+
+  describe('deleted messages', () => {
+    // Send a message with text and a photo
+    const sendPhoto = async (from, chatId) => {
+      const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#3366ff' } }).png().toBuffer();
+
+      const response = await request(app)
+        .post('/api/chat/send')
+        .set('Authorization', `Bearer ${from.token}`)
+        .field('chatId', chatId)
+        .field('message', 'Look at this')
+        .attach('attachments', photo, { filename: 'photo.png', contentType: 'image/png' })
+        .expect(201);
+
+      return response.body.data.message;
+    };
+
+    const deleteMessage = (account, messageId) => request(app)
+      .delete(`/api/chat/message/${messageId}`)
+      .set('Authorization', `Bearer ${account.token}`);
+
+    it('hide their text and attachments', async () => {
+      const chatId = await createChat(alice, bob);
+      const sent = await sendPhoto(alice, chatId);
+      expect(sent.attachments).toHaveLength(1);
+
+      await deleteMessage(alice, sent.id).expect(200);
+
+      const response = await getMessages(bob, { chatId });
+      const [deleted] = response.body.data.messages;
+      expect(deleted).toMatchObject({ id: sent.id, status: 'deleted', message: null, attachments: [], envelope: null });
+      expect(deleted.deletedAt).toEqual(expect.any(String));
+
+      await request(app)
+        .get(sent.attachments[0].url)
+        .set('Authorization', `Bearer ${bob.token}`)
+        .expect(404);
+    });
+
+    it('show as deleted in quoted replies and the chat list', async () => {
+      const chatId = await createChat(alice, bob);
+      const sent = await sendPhoto(alice, chatId);
+      const reply = await request(app)
+        .post('/api/chat/send')
+        .set('Authorization', `Bearer ${bob.token}`)
+        .send({ chatId, message: 'Nice', replyToId: sent.id })
+        .expect(201);
+
+      await deleteMessage(alice, sent.id).expect(200);
+
+      const response = await getMessages(bob, { chatId });
+      const quoted = response.body.data.messages.find(msg => msg.id === reply.body.data.message.id);
+      expect(quoted.replyTo).toMatchObject({ id: sent.id, status: 'deleted', preview: '🚫 Message deleted' });
+
+      const history = await request(app)
+        .get('/api/chat/history')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .expect(200);
+      expect(history.body.data.chats[0].lastMessage.message).toBe('Nice');
+    });
+
+    it('keep no content in the database', async () => {
+      const chatId = await createChat(alice, bob);
+      const sent = await sendPhoto(alice, chatId);
+      await request(app)
+        .patch(`/api/chat/message/${sent.id}`)
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ message: 'Look at this one' })
+        .expect(200);
+      await request(app)
+        .post(`/api/chat/message/${sent.id}/reactions`)
+        .set('Authorization', `Bearer ${bob.token}`)
+        .send({ emoji: '👍' })
+        .expect(200);
+
+      await deleteMessage(alice, sent.id).expect(200);
+
+      const stored = (await Message.findById(sent.id)).toObject();
+      expect(stored).toMatchObject({ status: 'deleted', message: '', editHistory: [], envelope: null, reactions: [], attachments: [] });
+    });
+
+    it('no longer count as unread', async () => {
+      const chatId = await createChat(alice, bob);
+      const [first] = await sendMessages(alice, chatId, 2);
+
+      await deleteMessage(alice, first.id).expect(200);
+
+      expect(await unreadCount(bob, chatId)).toBe(1);
+    });
+
+    it('can only be deleted by their sender', async () => {
+      const chatId = await createChat(alice, bob);
+      const sent = await sendPhoto(alice, chatId);
+
+      await deleteMessage(bob, sent.id).expect(404);
+
+      const response = await getMessages(bob, { chatId });
+      expect(response.body.data.messages[0]).toMatchObject({ status: 'sent', message: 'Look at this' });
+      expect(response.body.data.messages[0].attachments).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/chat/keys/:userId one-time prekeys', () => {
+    const publishKeys = (account, preKeyCount) => request(app)
+      .put('/api/chat/keys')
+      .set('Authorization', `Bearer ${account.token}`)
+      .send({
+        identityKey: Buffer.from(`identity-${account.user.id}`).toString('base64'),
+        signedPreKey: { keyId: 1, publicKey: Buffer.from('signed').toString('base64'), signature: Buffer.from('signature').toString('base64') },
+        oneTimePreKeys: Array.from({ length: preKeyCount }, (_, keyId) => ({ keyId, publicKey: Buffer.from(`prekey-${keyId}`).toString('base64') }))
+      })
+      .expect(200);
+
+    const fetchKeys = async (account, owner) => {
+      const response = await request(app)
+        .get(`/api/chat/keys/${owner.user.id}`)
+        .set('Authorization', `Bearer ${account.token}`)
+        .expect(200);
+
+      return response.body.data.keys;
+    };
+
+    const remainingPreKeys = async (account) => {
+      const response = await request(app)
+        .get('/api/chat/keys')
+        .set('Authorization', `Bearer ${account.token}`)
+        .expect(200);
+
+      return response.body.data.keys.oneTimePreKeyCount;
+    };
+
+    it('hands one out to the partner in an encrypted chat, once', async () => {
+      await publishKeys(alice, 3);
+      await publishKeys(bob, 3);
+      await createChat(alice, bob, { encrypted: true });
+
+      const first = await fetchKeys(alice, bob);
+      const second = await fetchKeys(alice, bob);
+
+      expect(first.signedPreKey.keyId).toBe(1);
+      expect(first.oneTimePreKey.keyId).toBe(0);
+      expect(second.oneTimePreKey.keyId).toBe(1);
+      expect(await remainingPreKeys(bob)).toBe(1);
+    });
+
+    it('gives other users the signed prekey only', async () => {
+      const carol = await registerUser(app, { firstName: 'Carol' });
+      await publishKeys(bob, 3);
+      await createChat(carol, bob);
+
+      const keys = await fetchKeys(carol, bob);
+
+      expect(keys.identityKey).toEqual(expect.any(String));
+      expect(keys.signedPreKey.keyId).toBe(1);
+      expect(keys.oneTimePreKey).toBeNull();
+      expect(await remainingPreKeys(bob)).toBe(3);
+    });
+
+    it('does not use up your own prekeys', async () => {
+      await publishKeys(alice, 2);
+
+      const keys = await fetchKeys(alice, alice);
+
+      expect(keys.oneTimePreKey).toBeNull();
+      expect(await remainingPreKeys(alice)).toBe(2);
+    });
+
+    it('reports users without keys', async () => {
+      const response = await request(app)
+        .get(`/api/chat/keys/${bob.user.id}`)
+        .set('Authorization', `Bearer ${alice.token}`)
+        .expect(404);
+
+      expect(response.body.errorType).toBe('KEYS_NOT_PUBLISHED');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const chatEvents = require('../services/chatEvents.service');
+const { startFakeOpenAi } = require('./fakeOpenAi');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('AI assistant in chats', () => {
+  let app;
+  let openAi;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    process.env.OPENAI_API_KEY = 'test-openai-key';
+    openAi = await startFakeOpenAi();
+
+    await startDatabase();
+    app = createApp();
+  });
+
+  beforeEach(async () => {
+    alice = await registerUser(app, { firstName: 'Alice' });
+    bob = await registerUser(app, { firstName: 'Bob' });
+    openAi.reply = 'Try the harbour restaurant.';
+  });
+
+  afterEach(async () => {
+    openAi.reset();
+    await clearDatabase();
+  });
+
+  afterAll(async () => {
+    await stopDatabase();
+    await openAi.close();
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  const as = (account, method, path) => request(app)[method](`/api/chat${path}`)
+    .set('Authorization', `Bearer ${account.token}`);
+
+  const createChat = async () => {
+    const response = await as(alice, 'post', '/create').send({ participantId: bob.user.id }).expect(201);
+    return response.body.data.chat.id;
+  };
+
+  const send = async (from, chatId, message) => {
+    const response = await as(from, 'post', '/send').send({ chatId, message }).expect(201);
+    return response.body.data;
+  };
+
+  // Resolve with the next published event of `type` that matches `predicate`
+  const nextEvent = (type, predicate = () => true) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chatEvents.off('event', onEvent);
+      reject(new Error(`No ${type} event`));
+    }, 2000);
+    const onEvent = (event) => {
+      if (event.type === type && predicate(event)) {
+        clearTimeout(timer);
+        chatEvents.off('event', onEvent);
+        resolve(event);
+      }
+    };
+    chatEvents.on('event', onEvent);
+  });
+
+  const assistantReply = () => nextEvent('message.created', event => event.data.message.senderId === Chat.ASSISTANT_ID);
+
+  it('answers messages that mention it, with the chat as context', async () => {
+    const chatId = await createChat();
+    await send(bob, chatId, 'Where should we eat tonight?');
+
+    const replied = assistantReply();
+    const { message, assistant } = await send(alice, chatId, '@faystar any ideas?');
+    const event = await replied;
+
+    expect(assistant).toEqual({ replying: true });
+    expect(event.recipients.sort()).toEqual([alice.user.id, bob.user.id].sort());
+    expect(event.data.message).toMatchObject({
+      senderId: Chat.ASSISTANT_ID,
+      message: 'Try the harbour restaurant.',
+      replyTo: { id: message.id }
+    });
+
+    const [{ messages }] = openAi.requests;
+    expect(messages[0].role).toBe('system');
+    expect(messages.slice(1)).toEqual([
+      { role: 'user', name: bob.user.id, content: 'Where should we eat tonight?' },
+      { role: 'user', name: alice.user.id, content: '@faystar any ideas?' }
+    ]);
+  });
+
+  it('stays quiet unless mentioned or invited', async () => {
+    const chatId = await createChat();
+
+    const { assistant } = await send(alice, chatId, 'Just between us');
+
+    expect(assistant).toBeNull();
+    expect(openAi.requests).toEqual([]);
+  });
+
+  it('answers every message once invited, until removed', async () => {
+    const chatId = await createChat();
+
+    await as(bob, 'post', `/chats/${chatId}/assistant`).expect(200);
+    const replied = assistantReply();
+    await send(alice, chatId, 'What is the capital of Norway?');
+    await replied;
+
+    // Its own answers are part of the context of the next request
+    const next = assistantReply();
+    await send(alice, chatId, 'And of Sweden?');
+    await next;
+    expect(openAi.requests[1].messages.slice(1)).toEqual([
+      { role: 'user', name: alice.user.id, content: 'What is the capital of Norway?' },
+      { role: 'assistant', content: 'Try the harbour restaurant.' },
+      { role: 'user', name: alice.user.id, content: 'And of Sweden?' }
+    ]);
+
+    await as(bob, 'delete', `/chats/${chatId}/assistant`).expect(200);
+    expect((await send(alice, chatId, 'Thanks')).assistant).toBeNull();
+  });
+
+  it('is invited to groups by admins only', async () => {
+    const response = await as(alice, 'post', '/groups').send({ title: 'Trip', memberIds: [bob.user.id] }).expect(201);
+    const chatId = response.body.data.chat.id;
+
+    await as(bob, 'post', `/chats/${chatId}/assistant`).expect(403);
+    const invited = await as(alice, 'post', `/chats/${chatId}/assistant`).expect(200);
+
+    expect(invited.body.data.chat.assistant).toMatchObject({ enabled: true, invitedBy: alice.user.id });
+  });
+
+  it("counts answers against the sender's AI messages", async () => {
+    const chatId = await createChat();
+
+    // The free plan includes 5 AI messages
+    for (let i = 0; i < 5; i++) {
+      const replied = assistantReply();
+      await send(alice, chatId, `@faystar question ${i + 1}`);
+      await replied;
+    }
+
+    const { assistant } = await send(alice, chatId, '@faystar one more');
+    expect(assistant).toMatchObject({ replying: false, errorType: 'USAGE_LIMIT_EXCEEDED' });
+    expect((await send(bob, chatId, '@faystar my turn')).assistant).toEqual({ replying: true });
+  });
+
+  it('tells the sender when it could not answer and gives the AI message back', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const chatId = await createChat();
+    openAi.respond = (req, res) => {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Overloaded' } }));
+    };
+
+    const failed = nextEvent('assistant.failed');
+    const { message } = await send(alice, chatId, '@faystar hello?');
+    const event = await failed;
+
+    expect(event.recipients).toEqual([alice.user.id]);
+    expect(event.data).toMatchObject({ messageId: message.id, errorType: 'AI_PROVIDER_ERROR' });
+    expect(await Message.countDocuments({ chatId, senderId: Chat.ASSISTANT_ID })).toBe(0);
+    consoleError.mockRestore();
+
+    // The failed answer did not use up one of the 5 free AI messages
+    openAi.respond = null;
+    for (let i = 0; i < 5; i++) {
+      const replied = assistantReply();
+      expect((await send(alice, chatId, `@faystar question ${i + 1}`)).assistant).toEqual({ replying: true });
+      await replied;
+    }
+  });
+});
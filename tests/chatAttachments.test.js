@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const Message = require('../models/Message');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Chat attachments', () => {
+  let app;
+  let alice;
+  let bob;
+  let chatId;
+
+  beforeAll(async () => {
+    // Attachments go to a throwaway directory; a small size limit keeps uploads cheap
+    process.env.STORAGE_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'faystar-test-uploads-'));
+    process.env.CHAT_ATTACHMENT_MAX_MB = '1';
+
+    await startDatabase();
+    app = createApp();
+  });
+
+  beforeEach(async () => {
+    alice = await registerUser(app, { firstName: 'Alice' });
+    bob = await registerUser(app, { firstName: 'Bob' });
+
+    const response = await request(app)
+      .post('/api/chat/create')
+      .set('Authorization', `Bearer ${alice.token}`)
+      .send({ participantId: bob.user.id })
+      .expect(201);
+    chatId = response.body.data.chat.id;
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await clearDatabase();
+  });
+
+  afterAll(async () => {
+    await stopDatabase();
+    fs.rmSync(process.env.STORAGE_LOCAL_DIR, { recursive: true, force: true });
+    delete process.env.CHAT_ATTACHMENT_MAX_MB;
+  });
+
+  const png = (width = 640, height = 480) => sharp({
+    create: { width, height, channels: 3, background: '#3366ff' }
+  }).png().toBuffer();
+
+  // Post a message with the given files ({ buffer, filename, contentType })
+  const send = (from, files, message = '') => {
+    const upload = request(app)
+      .post('/api/chat/send')
+      .set('Authorization', `Bearer ${from.token}`)
+      .field('chatId', chatId);
+
+    if (message) {
+      upload.field('message', message);
+    }
+    files.forEach(({ buffer, filename, contentType }) => upload.attach('attachments', buffer, { filename, contentType }));
+
+    return upload;
+  };
+
+  const download = (account, url) => request(app)
+    .get(url)
+    .set('Authorization', `Bearer ${account.token}`)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+  it('stores images with their size and a thumbnail', async () => {
+    const photo = await png();
+
+    const response = await send(alice, [{ buffer: photo, filename: 'Beach.PNG', contentType: 'image/png' }]).expect(201);
+
+    const { message } = response.body.data;
+    expect(message.type).toBe('image');
+    expect(message.attachments).toEqual([expect.objectContaining({
+      kind: 'image',
+      fileName: 'Beach.PNG',
+      mimeType: 'image/png',
+      size: photo.length,
+      width: 640,
+      height: 480
+    })]);
+
+    const original = await download(bob, message.attachments[0].url).expect(200);
+    expect(original.headers['content-type']).toBe('image/png');
+    expect(original.headers['content-disposition']).toBe("inline; filename*=UTF-8''Beach.PNG");
+    expect(original.body.equals(photo)).toBe(true);
+
+    const thumbnail = await download(bob, message.attachments[0].thumbnailUrl).expect(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    expect(await sharp(thumbnail.body).metadata()).toMatchObject({ width: 320, height: 240 });
+  });
+
+  it('serves documents as downloads without a thumbnail', async () => {
+    const pdf = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+    const response = await send(alice, [{ buffer: pdf, filename: 'Tickets.pdf', contentType: 'application/pdf' }], 'Tickets')
+      .expect(201);
+
+    const { message } = response.body.data;
+    expect(message).toMatchObject({ type: 'file', message: 'Tickets' });
+    expect(message.attachments[0].thumbnailUrl).toBeNull();
+
+    const file = await download(bob, message.attachments[0].url).expect(200);
+    expect(file.headers['content-disposition']).toBe("attachment; filename*=UTF-8''Tickets.pdf");
+  });
+
+  it('marks messages with several kinds of attachments as files', async () => {
+    const response = await send(alice, [
+      { buffer: await png(8, 8), filename: 'photo.png', contentType: 'image/png' },
+      { buffer: Buffer.from('a,b\n1,2\n'), filename: 'sheet.csv', contentType: 'text/csv' }
+    ]).expect(201);
+
+    expect(response.body.data.message.type).toBe('file');
+    expect(response.body.data.message.attachments.map(attachment => attachment.kind)).toEqual(['image', 'file']);
+  });
+
+  it('rejects unsupported and broken files', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const unsupported = await send(alice, [{ buffer: Buffer.from('MZ'), filename: 'setup.exe', contentType: 'application/x-msdownload' }])
+      .expect(400);
+    expect(unsupported.body.errorType).toBe('UNSUPPORTED_FILE_TYPE');
+
+    const broken = await send(alice, [{ buffer: Buffer.from('not an image'), filename: 'photo.png', contentType: 'image/png' }])
+      .expect(400);
+    expect(broken.body.errorType).toBe('INVALID_MEDIA');
+
+    expect(await Message.countDocuments({ chatId })).toBe(0);
+  });
+
+  it('rejects files over the size limit', async () => {
+    const large = Buffer.alloc(1024 * 1024 + 1, 'a');
+
+    const response = await send(alice, [{ buffer: large, filename: 'notes.txt', contentType: 'text/plain' }]).expect(413);
+
+    expect(response.body.error).toBe('Attachments can be at most 1 MB each');
+  });
+
+  it('serves files only to chat members', async () => {
+    const carol = await registerUser(app, { firstName: 'Carol' });
+    const response = await send(alice, [{ buffer: await png(8, 8), filename: 'photo.png', contentType: 'image/png' }]).expect(201);
+    const [attachment] = response.body.data.message.attachments;
+
+    await download(carol, attachment.url).expect(403);
+    await request(app).get(attachment.url).expect(401);
+    await download(bob, `${attachment.url.replace(/\/[^/]+$/, '')}/507f1f77bcf86cd799439011`).expect(404);
+  });
+});
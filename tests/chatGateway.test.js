@@ -0,0 +1,341 @@
+const request = require('supertest');
+const WebSocket = require('ws');
+const User = require('../models/User');
+const ChatGateway = require('../services/chatGateway.service');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Chat gateway', () => {
+  let app;
+  let server;
+  let gateway;
+  let sockets;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    // Frequent heartbeats so revoked sessions are noticed quickly
+    process.env.CHAT_WS_HEARTBEAT_MS = '100';
+
+    await startDatabase();
+    app = createApp();
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    gateway = new ChatGateway();
+    gateway.attach(server);
+  });
+
+  beforeEach(async () => {
+    sockets = [];
+    alice = await registerUser(app, { firstName: 'Alice' });
+    bob = await registerUser(app, { firstName: 'Bob' });
+  });
+
+  afterEach(async () => {
+    await Promise.all(sockets.map(ws => new Promise(resolve => {
+      if (ws.readyState === WebSocket.CLOSED) {
+        return resolve();
+      }
+      ws.once('close', resolve);
+      ws.close();
+    })));
+    await clearDatabase();
+  });
+
+  afterAll(async () => {
+    gateway.close();
+    await new Promise(resolve => server.close(resolve));
+    await stopDatabase();
+  });
+
+  /**
+   * Open a gateway connection. Frames are collected in `frames`;
+   * `next(type)` resolves with the first unclaimed frame of that type.
+   */
+  const connect = (account, query = '') => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/api/chat/ws${query}`, {
+      headers: account ? { Authorization: `Bearer ${account.token}` } : {}
+    });
+    sockets.push(ws);
+
+    const frames = [];
+    const waiting = [];
+    ws.on('message', data => {
+      const frame = JSON.parse(data.toString());
+      frames.push(frame);
+      waiting.filter(wait => wait.type === frame.type).forEach(wait => wait.check());
+    });
+
+    const next = (type, timeoutMs = 2000) => new Promise((found, fail) => {
+      const wait = {
+        type,
+        check: () => {
+          const frame = frames.find(candidate => candidate.type === type && !candidate.claimed);
+          if (frame) {
+            frame.claimed = true;
+            clearTimeout(wait.timer);
+            waiting.splice(waiting.indexOf(wait), 1);
+            found(frame);
+          }
+        }
+      };
+      wait.timer = setTimeout(() => {
+        waiting.splice(waiting.indexOf(wait), 1);
+        fail(new Error(`No ${type} frame within ${timeoutMs} ms`));
+      }, timeoutMs);
+      waiting.push(wait);
+      wait.check();
+    });
+
+    ws.once('unexpected-response', (req, res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => reject(Object.assign(new Error('Upgrade rejected'), { statusCode: res.statusCode, body: JSON.parse(body) })));
+    });
+    ws.once('error', reject);
+    ws.once('open', async () => {
+      const connection = { ws, frames, next };
+      await next('ready');
+      resolve(connection);
+    });
+  });
+
+  const createChat = async (from, to) => {
+    const response = await request(app)
+      .post('/api/chat/create')
+      .set('Authorization', `Bearer ${from.token}`)
+      .send({ participantId: to.user.id })
+      .expect(201);
+
+    return response.body.data.chat.id;
+  };
+
+  const send = async (from, chatId, message) => {
+    const response = await request(app)
+      .post('/api/chat/send')
+      .set('Authorization', `Bearer ${from.token}`)
+      .send({ chatId, message })
+      .expect(201);
+
+    return response.body.data.message;
+  };
+
+  describe('connecting', () => {
+    it('accepts a valid access token', async () => {
+      const { frames } = await connect(alice);
+
+      expect(frames[0]).toEqual({ type: 'ready', userId: alice.user.id, claimed: true });
+    });
+
+    it('accepts the token as a query parameter', async () => {
+      await connect(null, `?token=${alice.token}`);
+    });
+
+    it('rejects missing and invalid tokens', async () => {
+      await expect(connect(null)).rejects.toMatchObject({ statusCode: 401, body: { code: 'TOKEN_REQUIRED' } });
+      await expect(connect({ token: 'not-a-token' })).rejects.toMatchObject({ statusCode: 401, body: { code: 'INVALID_TOKEN' } });
+    });
+
+    it('closes connections whose session is signed out', async () => {
+      const { ws } = await connect(alice);
+      const closed = new Promise(resolve => ws.once('close', code => resolve(code)));
+
+      await request(app).post('/api/auth/logout').send({ refreshToken: alice.refreshToken }).expect(200);
+
+      expect(await closed).toBe(4001);
+    });
+
+    it('answers pings and reports bad frames', async () => {
+      const { ws, next } = await connect(alice);
+
+      ws.send(JSON.stringify({ type: 'ping' }));
+      await next('pong');
+
+      ws.send('not json');
+      expect((await next('error')).error).toBe('Frames must be JSON');
+    });
+  });
+
+  describe('pushing events', () => {
+    it('delivers new messages to the other member only', async () => {
+      const carol = await registerUser(app, { firstName: 'Carol' });
+      const chatId = await createChat(alice, bob);
+      const bobSocket = await connect(bob);
+      const carolSocket = await connect(carol);
+
+      const sent = await send(alice, chatId, 'Hello Bob');
+
+      const frame = await bobSocket.next('message.created');
+      expect(frame).toMatchObject({ chatId, data: { message: { id: sent.id, message: 'Hello Bob', senderId: alice.user.id } } });
+      expect(carolSocket.frames.filter(candidate => candidate.type === 'message.created')).toEqual([]);
+    });
+
+    it('delivers read receipts and deletions', async () => {
+      const chatId = await createChat(alice, bob);
+      const sent = await send(alice, chatId, 'Read me');
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+
+      await request(app).get('/api/chat/get').set('Authorization', `Bearer ${bob.token}`).query({ chatId }).expect(200);
+      const read = await aliceSocket.next('message.read');
+      expect(read.data).toMatchObject({ messageIds: [sent.id], readerId: bob.user.id });
+
+      await request(app).delete(`/api/chat/message/${sent.id}`).set('Authorization', `Bearer ${alice.token}`).expect(200);
+      const deleted = await bobSocket.next('message.deleted');
+      expect(deleted).toMatchObject({ chatId, data: { messageId: sent.id } });
+    });
+  });
+
+  describe('presence', () => {
+    // Presence of `account` in `viewer`'s chat list
+    const presenceInHistory = async (viewer, account) => {
+      const response = await request(app).get('/api/chat/history').set('Authorization', `Bearer ${viewer.token}`).expect(200);
+      return response.body.data.chats[0].presence.find(entry => entry.userId === account.user.id);
+    };
+
+    const presenceOf = (connection, account) => connection.next('presence.updated').then(frame => {
+      expect(frame.data.userId).toBe(account.user.id);
+      return frame.data;
+    });
+
+    it('tells contacts when a user comes online, goes away and leaves', async () => {
+      await createChat(alice, bob);
+      const aliceSocket = await connect(alice);
+
+      const bobSocket = await connect(bob);
+      expect(await presenceOf(aliceSocket, bob)).toEqual({ userId: bob.user.id, status: 'online', lastSeenAt: null });
+      expect((await presenceInHistory(alice, bob)).status).toBe('online');
+
+      bobSocket.ws.send(JSON.stringify({ type: 'presence', status: 'away' }));
+      expect((await presenceOf(aliceSocket, bob)).status).toBe('away');
+
+      bobSocket.ws.close();
+      const offline = await presenceOf(aliceSocket, bob);
+      expect(offline).toMatchObject({ status: 'offline', lastSeenAt: expect.any(String) });
+
+      // The last-seen time is stored without waiting for the frame
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(await presenceInHistory(alice, bob)).toEqual({ userId: bob.user.id, status: 'offline', lastSeenAt: offline.lastSeenAt });
+    });
+
+    it('stays online while another connection is open', async () => {
+      await createChat(alice, bob);
+      const aliceSocket = await connect(alice);
+      const phone = await connect(bob);
+      await presenceOf(aliceSocket, bob);
+
+      const laptop = await connect(bob);
+      phone.ws.send(JSON.stringify({ type: 'presence', status: 'away' }));
+      laptop.ws.close();
+      phone.ws.send(JSON.stringify({ type: 'presence', status: 'online' }));
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(aliceSocket.frames.filter(frame => frame.type === 'presence.updated' && !frame.claimed)).toEqual([]);
+    });
+
+    it('hides the last-seen time when the user opts out', async () => {
+      await createChat(alice, bob);
+      await request(app).patch('/api/chat/presence').set('Authorization', `Bearer ${bob.token}`).send({ showLastSeen: false }).expect(200);
+      const aliceSocket = await connect(alice);
+
+      const bobSocket = await connect(bob);
+      await presenceOf(aliceSocket, bob);
+      bobSocket.ws.close();
+
+      expect(await presenceOf(aliceSocket, bob)).toEqual({ userId: bob.user.id, status: 'offline', lastSeenAt: null });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(await User.exists({ _id: bob.user.id, lastSeenAt: { $ne: null } })).not.toBeNull();
+      expect((await presenceInHistory(alice, bob)).lastSeenAt).toBeNull();
+    });
+
+    it('is hidden from users the user blocked', async () => {
+      await createChat(alice, bob);
+      await request(app).post('/api/chat/blocks').set('Authorization', `Bearer ${bob.token}`).send({ userId: alice.user.id }).expect(200);
+      const aliceSocket = await connect(alice);
+
+      await connect(bob);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(aliceSocket.frames.filter(frame => frame.type === 'presence.updated')).toEqual([]);
+      expect(await presenceInHistory(alice, bob)).toEqual({ userId: bob.user.id, status: 'offline', lastSeenAt: null });
+    });
+  });
+
+  describe('typing', () => {
+    it('is relayed to the other members, throttled while typing', async () => {
+      const chatId = await createChat(alice, bob);
+      const aliceSocket = await connect(alice);
+      const bobSocket = await connect(bob);
+
+      bobSocket.ws.send(JSON.stringify({ type: 'typing', chatId }));
+      bobSocket.ws.send(JSON.stringify({ type: 'typing', chatId }));
+      expect(await aliceSocket.next('typing')).toMatchObject({
+        chatId,
+        data: { userId: bob.user.id, isTyping: true, expiresInMs: 6000 }
+      });
+
+      // Stopping is relayed at once
+      bobSocket.ws.send(JSON.stringify({ type: 'typing', chatId, isTyping: false }));
+      expect((await aliceSocket.next('typing')).data).toMatchObject({ isTyping: false, expiresInMs: 0 });
+
+      expect(aliceSocket.frames.filter(frame => frame.type === 'typing')).toHaveLength(2);
+      expect(bobSocket.frames.filter(frame => frame.type === 'typing')).toEqual([]);
+    });
+
+    it('is not relayed for chats the user is not in', async () => {
+      const carol = await registerUser(app, { firstName: 'Carol' });
+      const chatId = await createChat(alice, bob);
+      const aliceSocket = await connect(alice);
+      const carolSocket = await connect(carol);
+
+      carolSocket.ws.send(JSON.stringify({ type: 'typing', chatId }));
+      carolSocket.ws.send(JSON.stringify({ type: 'typing' }));
+
+      expect((await carolSocket.next('error')).error).toBe('chatId is required');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(aliceSocket.frames.filter(frame => frame.type === 'typing')).toEqual([]);
+    });
+  });
+
+  describe('resuming', () => {
+    it('replays the messages sent after lastMessageId', async () => {
+      const chatId = await createChat(alice, bob);
+      const seen = await send(alice, chatId, 'Seen');
+      const missed = [await send(alice, chatId, 'Missed 1'), await send(alice, chatId, 'Missed 2')];
+
+      const { next } = await connect(bob, `?lastMessageId=${seen.id}`);
+
+      const replayed = [await next('message.created'), await next('message.created')];
+      expect(replayed.map(frame => frame.data.message.id)).toEqual(missed.map(message => message.id));
+      expect(replayed.every(frame => frame.replayed)).toBe(true);
+      expect(await next('resume.complete')).toMatchObject({ count: 2, hasMore: false });
+    });
+
+    it('replays with a resume frame and skips chats the user is not in', async () => {
+      const carol = await registerUser(app, { firstName: 'Carol' });
+      const chatId = await createChat(alice, bob);
+      const otherChatId = await createChat(alice, carol);
+      const seen = await send(alice, chatId, 'Seen');
+      await send(alice, otherChatId, 'Not for Bob');
+      const missed = await send(alice, chatId, 'Missed');
+      const { ws, next } = await connect(bob);
+
+      ws.send(JSON.stringify({ type: 'resume', lastMessageId: seen.id }));
+
+      expect((await next('message.created')).data.message.id).toBe(missed.id);
+      expect(await next('resume.complete')).toMatchObject({ count: 1, hasMore: false });
+    });
+
+    it('reports an unknown lastMessageId instead of claiming the client is up to date', async () => {
+      const chatId = await createChat(alice, bob);
+      await send(alice, chatId, 'Missed');
+      const { ws, next, frames } = await connect(bob, '?lastMessageId=507f1f77bcf86cd799439011');
+
+      expect(await next('error')).toMatchObject({ code: 'RESUME_FAILED' });
+
+      ws.send(JSON.stringify({ type: 'resume', lastMessageId: 'garbage' }));
+      expect(await next('error')).toMatchObject({ code: 'RESUME_FAILED' });
+      expect(frames.filter(frame => ['resume.complete', 'message.created'].includes(frame.type))).toEqual([]);
+    });
+  });
+});
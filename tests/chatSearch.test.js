@@ -0,0 +1,139 @@
+const request = require('supertest');
+const Message = require('../models/Message');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Chat search', () => {
+  let app;
+  let alice;
+  let bob;
+  let carol;
+
+  beforeAll(async () => {
+    await startDatabase();
+    app = createApp();
+    // The text index has to exist before `$text` queries
+    await Message.syncIndexes();
+  });
+
+  beforeEach(async () => {
+    alice = await registerUser(app, { firstName: 'Alice' });
+    bob = await registerUser(app, { firstName: 'Bob' });
+    carol = await registerUser(app, { firstName: 'Carol' });
+  });
+
+  afterEach(clearDatabase);
+
+  afterAll(stopDatabase);
+
+  const createChat = async (from, to) => {
+    const response = await request(app)
+      .post('/api/chat/create')
+      .set('Authorization', `Bearer ${from.token}`)
+      .send({ participantId: to.user.id })
+      .expect(201);
+
+    return response.body.data.chat.id;
+  };
+
+  const send = async (from, chatId, message) => {
+    const response = await request(app)
+      .post('/api/chat/send')
+      .set('Authorization', `Bearer ${from.token}`)
+      .send({ chatId, message })
+      .expect(201);
+
+    return response.body.data.message;
+  };
+
+  const search = (account, params) => request(app)
+    .get('/api/chat/search')
+    .set('Authorization', `Bearer ${account.token}`)
+    .query(params);
+
+  const resultIds = response => response.body.data.results.map(result => result.message.id);
+
+  it("finds messages in the user's own chats only", async () => {
+    const withBob = await createChat(alice, bob);
+    const bobAndCarol = await createChat(bob, carol);
+    const mine = await send(bob, withBob, 'Dinner at the harbour on Friday?');
+    await send(bob, bobAndCarol, 'Dinner with Alice on Friday');
+    await send(alice, withBob, 'Sounds good');
+
+    const response = await search(alice, { q: 'dinner' }).expect(200);
+
+    expect(resultIds(response)).toEqual([mine.id]);
+    expect(response.body.data.pagination).toEqual({ currentPage: 1, itemsPerPage: 20, totalItems: 1, totalPages: 1 });
+  });
+
+  it('highlights every match in the snippet', async () => {
+    const chatId = await createChat(alice, bob);
+    await send(bob, chatId, `${'x'.repeat(100)} the Harbour and the harbour again`);
+
+    const response = await search(alice, { q: 'harbour' }).expect(200);
+
+    const [{ snippet }] = response.body.data.results;
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.highlights).toHaveLength(2);
+    snippet.highlights.forEach(({ start, end }) => expect(snippet.text.slice(start, end).toLowerCase()).toBe('harbour'));
+  });
+
+  it('supports phrases and excluded words', async () => {
+    const chatId = await createChat(alice, bob);
+    const phrase = await send(bob, chatId, 'Meet at the old harbour');
+    await send(bob, chatId, 'The harbour is old');
+    await send(bob, chatId, 'Meet at the old harbour, bring the boat');
+
+    const response = await search(alice, { q: '"old harbour" -boat' }).expect(200);
+
+    expect(resultIds(response)).toEqual([phrase.id]);
+  });
+
+  it('filters by chat, sender and date', async () => {
+    const withBob = await createChat(alice, bob);
+    const withCarol = await createChat(alice, carol);
+    const fromBob = await send(bob, withBob, 'Concert tickets');
+    const fromAlice = await send(alice, withBob, 'Concert tonight');
+    const fromCarol = await send(carol, withCarol, 'Concert next week');
+    await Message.updateOne({ _id: fromCarol.id }, { $set: { timestamp: new Date('2024-01-15T12:00:00Z') } });
+
+    expect(resultIds(await search(alice, { q: 'concert', chatId: withCarol }).expect(200))).toEqual([fromCarol.id]);
+    expect(resultIds(await search(alice, { q: 'concert', senderId: bob.user.id }).expect(200))).toEqual([fromBob.id]);
+
+    const inJanuary = await search(alice, { q: 'concert', from: '2024-01-01', to: '2024-01-31' }).expect(200);
+    expect(resultIds(inJanuary)).toEqual([fromCarol.id]);
+    const recent = await search(alice, { q: 'concert', from: '2024-02-01' }).expect(200);
+    expect(resultIds(recent).sort()).toEqual([fromBob.id, fromAlice.id].sort());
+  });
+
+  it('leaves out deleted messages', async () => {
+    const chatId = await createChat(alice, bob);
+    const deleted = await send(bob, chatId, 'Secret plan');
+
+    await request(app)
+      .delete(`/api/chat/message/${deleted.id}`)
+      .set('Authorization', `Bearer ${bob.token}`)
+      .expect(200);
+
+    expect(resultIds(await search(alice, { q: 'secret' }).expect(200))).toEqual([]);
+  });
+
+  it('pages through the results', async () => {
+    const chatId = await createChat(alice, bob);
+    for (let i = 0; i < 3; i++) {
+      await send(bob, chatId, `Reminder number ${i + 1}`);
+    }
+
+    const first = await search(alice, { q: 'reminder', limit: 2 }).expect(200);
+    const second = await search(alice, { q: 'reminder', limit: 2, page: 2 }).expect(200);
+
+    expect(first.body.data.pagination).toMatchObject({ totalItems: 3, totalPages: 2 });
+    expect(new Set([...resultIds(first), ...resultIds(second)]).size).toBe(3);
+  });
+
+  it('rejects other chats and empty queries', async () => {
+    const bobAndCarol = await createChat(bob, carol);
+
+    await search(alice, { q: 'dinner', chatId: bobAndCarol }).expect(403);
+    await search(alice, { q: '  ' }).expect(400);
+  });
+});
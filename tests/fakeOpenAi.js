@@ -0,0 +1,70 @@
+const http = require('http');
+const axios = require('axios');
+
+const OPENAI_URL = 'https://api.openai.com';
+
+/**
+ * Local stand-in for the OpenAI chat completions API. Every request body is
+ * recorded in `requests`; the answer is `reply` (a string, or a function of the
+ * request body), streamed word by word when the request asks for a stream.
+ * Set `respond(req, res, body)` to answer a request some other way.
+ * While it runs, `axios.post` calls to api.openai.com are sent here.
+ * @returns {Promise<Object>} { url, requests, reply, respond, reset, close }
+ */
+const startFakeOpenAi = () => new Promise((resolve) => {
+  const openAi = {
+    requests: [],
+    reply: 'Hello there!',
+    respond: null,
+    reset() {
+      this.requests = [];
+      this.reply = 'Hello there!';
+      this.respond = null;
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      openAi.requests.push(body);
+
+      if (openAi.respond) {
+        return openAi.respond(req, res, body);
+      }
+
+      const content = typeof openAi.reply === 'function' ? openAi.reply(body) : openAi.reply;
+      const usage = { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 };
+
+      if (!body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }], usage }));
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      content.split(/(?<= )/).forEach(piece => {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+      });
+      res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    openAi.url = `http://127.0.0.1:${server.address().port}`;
+
+    const post = axios.post.bind(axios);
+    const redirect = jest.spyOn(axios, 'post').mockImplementation((url, ...args) =>
+      post(url.startsWith(OPENAI_URL) ? `${openAi.url}${url.slice(OPENAI_URL.length)}` : url, ...args));
+
+    openAi.close = () => {
+      redirect.mockRestore();
+      server.closeAllConnections();
+      return new Promise(done => server.close(done));
+    };
+    resolve(openAi);
+  });
+});
+
+module.exports = { startFakeOpenAi };
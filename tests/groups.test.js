@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Group chats', () => {
+  let app;
+  let alice;
+  let bob;
+  let carol;
+
+  beforeAll(async () => {
+    // Attachments go to a throwaway directory
+    process.env.STORAGE_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'faystar-test-uploads-'));
+
+    await startDatabase();
+    app = createApp();
+  });
+
+  beforeEach(async () => {
+    alice = await registerUser(app, { firstName: 'Alice' });
+    bob = await registerUser(app, { firstName: 'Bob' });
+    carol = await registerUser(app, { firstName: 'Carol' });
+  });
+
+  afterEach(clearDatabase);
+
+  afterAll(async () => {
+    await stopDatabase();
+    fs.rmSync(process.env.STORAGE_LOCAL_DIR, { recursive: true, force: true });
+  });
+
+  const as = (account, method, url) => request(app)[method](`/api/chat${url}`)
+    .set('Authorization', `Bearer ${account.token}`);
+
+  // Create a group owned by `creator` with the other accounts as members
+  const createGroup = async (creator, members) => {
+    const response = await as(creator, 'post', '/groups')
+      .send({ title: 'Weekend trip', memberIds: members.map(member => member.user.id) })
+      .expect(201);
+
+    return response.body.data.chat.id;
+  };
+
+  const sendPhoto = async (from, chatId) => {
+    const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#3366ff' } }).png().toBuffer();
+
+    const response = await as(from, 'post', '/send')
+      .field('chatId', chatId)
+      .field('message', 'Look at this')
+      .attach('attachments', photo, { filename: 'photo.png', contentType: 'image/png' })
+      .expect(201);
+
+    return response.body.data.message;
+  };
+
+  const storedFiles = () => fs.readdirSync(process.env.STORAGE_LOCAL_DIR, { recursive: true })
+    .filter(name => fs.statSync(path.join(process.env.STORAGE_LOCAL_DIR, name)).isFile());
+
+  describe('creating and managing', () => {
+    it('makes the creator the admin', async () => {
+      const chatId = await createGroup(alice, [bob]);
+
+      const chat = await Chat.findOne({ chatId });
+      expect(chat.getMember(alice.user.id).role).toBe('admin');
+      expect(chat.getMember(bob.user.id).role).toBe('member');
+    });
+
+    it('rejects unknown members', async () => {
+      const response = await as(alice, 'post', '/groups')
+        .send({ title: 'Weekend trip', memberIds: ['507f1f77bcf86cd799439011'] })
+        .expect(400);
+
+      expect(response.body.data.unknownUserIds).toEqual(['507f1f77bcf86cd799439011']);
+    });
+
+    it('lets only admins add and remove members', async () => {
+      const chatId = await createGroup(alice, [bob]);
+
+      await as(bob, 'post', `/groups/${chatId}/members`).send({ userIds: [carol.user.id] }).expect(403);
+      await as(alice, 'post', `/groups/${chatId}/members`).send({ userIds: [carol.user.id] }).expect(200);
+
+      await as(bob, 'delete', `/groups/${chatId}/members/${carol.user.id}`).expect(403);
+      await as(alice, 'delete', `/groups/${chatId}/members/${carol.user.id}`).expect(200);
+
+      await as(carol, 'post', '/send').send({ chatId, message: 'Still here?' }).expect(403);
+    });
+
+    it('keeps at least one admin', async () => {
+      const chatId = await createGroup(alice, [bob]);
+
+      await as(alice, 'delete', `/groups/${chatId}/admins/${alice.user.id}`).expect(400);
+      await as(alice, 'post', `/groups/${chatId}/admins/${bob.user.id}`).expect(200);
+      await as(alice, 'delete', `/groups/${chatId}/admins/${alice.user.id}`).expect(200);
+
+      expect((await Chat.findOne({ chatId })).isAdmin(alice.user.id)).toBe(false);
+    });
+  });
+
+  describe('leaving', () => {
+    it('hands the admin role to the longest-standing member', async () => {
+      const chatId = await createGroup(alice, [bob, carol]);
+
+      await as(alice, 'post', `/groups/${chatId}/leave`).expect(200);
+
+      const chat = await Chat.findOne({ chatId });
+      expect(chat.memberIds()).not.toContain(alice.user.id);
+      expect(chat.members.filter(member => member.role === 'admin')).toHaveLength(1);
+      await as(alice, 'get', '/get').query({ chatId }).expect(403);
+    });
+
+    it('deletes the group, its messages and its files with the last member', async () => {
+      const chatId = await createGroup(alice, [bob]);
+      const photo = await sendPhoto(alice, chatId);
+      expect(storedFiles().length).toBeGreaterThan(0);
+
+      await as(alice, 'post', `/groups/${chatId}/leave`).expect(200);
+      expect(await Chat.exists({ chatId })).not.toBeNull();
+
+      await as(bob, 'post', `/groups/${chatId}/leave`).expect(200);
+
+      expect(await Chat.exists({ chatId })).toBeNull();
+      expect(await Message.countDocuments({ chatId })).toBe(0);
+      expect(await Message.exists({ _id: photo.id })).toBeNull();
+      expect(storedFiles()).toEqual([]);
+    });
+
+    it('keeps files forwarded to other chats', async () => {
+      const chatId = await createGroup(alice, [bob]);
+      const otherId = await createGroup(carol, [alice]);
+      const photo = await sendPhoto(alice, chatId);
+      await as(alice, 'post', `/message/${photo.id}/forward`).send({ chatIds: [otherId] }).expect(201);
+
+      await as(bob, 'post', `/groups/${chatId}/leave`).expect(200);
+      await as(alice, 'post', `/groups/${chatId}/leave`).expect(200);
+
+      expect(await Chat.exists({ chatId })).toBeNull();
+      const [forwarded] = (await as(carol, 'get', '/get').query({ chatId: otherId }).expect(200)).body.data.messages;
+      await request(app)
+        .get(forwarded.attachments[0].url)
+        .set('Authorization', `Bearer ${carol.token}`)
+        .expect(200);
+    });
+
+    it('deletes the group when its last member deletes their account', async () => {
+      const chatId = await createGroup(alice, [bob]);
+      await as(bob, 'post', `/groups/${chatId}/leave`).expect(200);
+      await as(alice, 'post', '/send').send({ chatId, message: 'Anyone?' }).expect(201);
+
+      await request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ password: alice.password })
+        .expect(200);
+
+      expect(await Chat.exists({ chatId })).toBeNull();
+      expect(await Message.countDocuments({ chatId })).toBe(0);
+    });
+  });
+});
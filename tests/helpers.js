@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { connectDatabase, disconnectDatabase, isDatabaseConnected } = require('../config/database');
+
+let userCount = 0;
+
+/**
+ * Express app with the API routers mounted as in server.js. server.js itself is
+ * not loaded: it listens on a port and pulls in the media providers, so the
+ * media routers (/api/video, /api/audio, /api/test) are left to suites that
+ * stub those providers.
+ * Routers are required here, not at the top, so a suite can set provider
+ * environment variables (e.g. OIDC) before their services are constructed.
+ * @returns {express.Application} App for supertest
+ */
+function createApp() {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/chat', require('../routes/chat'));
+  app.use('/api/marketplace', require('../routes/marketplace'));
+  app.use('/api/subscription', require('../routes/subscription'));
+  app.use('/api/ai', require('../routes/ai'));
+  app.use('/api/admin', require('../routes/admin'));
+  app.use('/api/api-keys', require('../routes/apiKeys'));
+  app.use('/api/notifications', require('../routes/notifications'));
+
+  return app;
+}
+
+/**
+ * Connect to the test database (MONGODB_URI, or an in-process mongodb-memory-server)
+ * @returns {Promise<void>}
+ */
+async function startDatabase() {
+  await connectDatabase();
+}
+
+/**
+ * Remove all documents, keeping collections and indexes
+ * @returns {Promise<void>}
+ */
+async function clearDatabase() {
+  if (!isDatabaseConnected()) {
+    return;
+  }
+
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({}))
+  );
+}
+
+/**
+ * Drop the test data and disconnect
+ * @returns {Promise<void>}
+ */
+async function stopDatabase() {
+  if (isDatabaseConnected()) {
+    await mongoose.connection.dropDatabase();
+  }
+  await disconnectDatabase();
+}
+
+/**
+ * Register a user through the API
+ * @param {express.Application} app - App from createApp
+ * @param {Object} [fields] - Registration fields overriding the generated ones
+ * @returns {Promise<Object>} { user, token, refreshToken, sessionId, password }
+ */
+async function registerUser(app, fields = {}) {
+  userCount++;
+  const password = fields.password || 'secret123';
+
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({
+      email: `user${userCount}@example.com`,
+      firstName: 'Test',
+      lastName: `User${userCount}`,
+      ...fields,
+      password
+    })
+    .expect(201);
+
+  return { ...response.body.data, password };
+}
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 6238 code for a time step, computed the way an authenticator app does
+ * @param {string} secret - Base32 secret from /api/auth/2fa/setup
+ * @param {number} step - 30 second time step
+ * @returns {string} Six digit code
+ */
+function totpCode(secret, step) {
+  const bits = [...secret].map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+/**
+ * Current TOTP time step
+ * @returns {number} Step number
+ */
+function currentStep() {
+  return Math.floor(Date.now() / 30000);
+}
+
+module.exports = {
+  createApp,
+  startDatabase,
+  clearDatabase,
+  stopDatabase,
+  registerUser,
+  totpCode,
+  currentStep
+};
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const AuditLog = require('../models/AuditLog');
+const LoginThrottle = require('../models/LoginThrottle');
+const MailerService = require('../services/mailer.service');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Login throttling', () => {
+  let app;
+  let sentMail;
+
+  beforeAll(async () => {
+    // Small thresholds so a test reaches them in a few requests
+    process.env.LOGIN_DELAY_AFTER_FAILURES = '3';
+    process.env.LOGIN_LOCKOUT_THRESHOLD = '5';
+    process.env.LOGIN_IP_LOCKOUT_THRESHOLD = '8';
+
+    await startDatabase();
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    sentMail = [];
+    jest.spyOn(MailerService.prototype, 'send').mockImplementation(async (message) => {
+      sentMail.push(message);
+      return { success: true, delivered: true, transport: 'test' };
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await clearDatabase();
+  });
+
+  afterAll(stopDatabase);
+
+  const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+  // Move the last failure back in time so the progressive delay has passed
+  const skipDelay = () => LoginThrottle.updateMany({}, { $set: { lastFailureAt: new Date(Date.now() - 60 * 1000) } });
+
+  // Fail `count` logins for `email`, waiting out the delay before each one
+  const failLogins = async (email, count) => {
+    const responses = [];
+    for (let i = 0; i < count; i++) {
+      await skipDelay();
+      responses.push(await login(email, 'wrong-password'));
+    }
+    return responses;
+  };
+
+  describe('progressive delay', () => {
+    it('makes the client wait after a few failures, even with the right password', async () => {
+      const { user, password } = await registerUser(app);
+      await login(user.email, 'wrong-password').expect(401);
+      await login(user.email, 'wrong-password').expect(401);
+      await login(user.email, 'wrong-password').expect(401);
+
+      const throttled = await login(user.email, password).expect(429);
+
+      expect(throttled.body).toMatchObject({ errorType: 'LOGIN_THROTTLED', retryAfter: 1 });
+      expect(throttled.headers['retry-after']).toBe('1');
+    });
+
+    it('lets a correct password through once the delay has passed and resets the counter', async () => {
+      const { user, password } = await registerUser(app);
+      await failLogins(user.email, 3);
+
+      await skipDelay();
+      await login(user.email, password).expect(200);
+
+      expect(await LoginThrottle.exists({ key: `account:${user.email}` })).toBeNull();
+    });
+  });
+
+  describe('account lockout', () => {
+    it('locks the account after too many failures', async () => {
+      const { user } = await registerUser(app);
+
+      const responses = await failLogins(user.email, 5);
+
+      expect(responses.slice(0, 4).map(response => response.status)).toEqual([401, 401, 401, 401]);
+      expect(responses[4].status).toBe(429);
+      expect(responses[4].body.errorType).toBe('ACCOUNT_LOCKED');
+    });
+
+    it('refuses the right password while locked', async () => {
+      const { user, password } = await registerUser(app);
+      await failLogins(user.email, 5);
+      await skipDelay();
+
+      const response = await login(user.email, password).expect(429);
+
+      expect(response.body.errorType).toBe('ACCOUNT_LOCKED');
+      expect(response.body.retryAfter).toBeGreaterThan(14 * 60);
+      expect(response.headers['retry-after']).toBe(String(response.body.retryAfter));
+    });
+
+    it('writes an audit entry for the lockout', async () => {
+      const { user } = await registerUser(app);
+      await failLogins(user.email, 5);
+
+      const entries = await AuditLog.find({ action: 'account_locked' });
+
+      expect(entries).toHaveLength(1);
+      expect(entries[0].user.toString()).toBe(user.id);
+      expect(entries[0].metadata).toEqual({ email: user.email, failures: 5, lockoutMinutes: 15 });
+    });
+
+    it('locks unknown emails the same way', async () => {
+      const responses = await failLogins('nobody@example.com', 5);
+
+      expect(responses[4].body.errorType).toBe('ACCOUNT_LOCKED');
+      const [entry] = await AuditLog.find({ action: 'account_locked' });
+      expect(entry.user).toBeNull();
+    });
+
+    it('is lifted by a password reset', async () => {
+      const { user } = await registerUser(app);
+      await failLogins(user.email, 5);
+
+      await request(app).post('/api/auth/forgot-password').send({ email: user.email }).expect(200);
+      const [, token] = sentMail[sentMail.length - 1].text.match(/token=(\S+)/);
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: decodeURIComponent(token), password: 'new-secret123' })
+        .expect(200);
+
+      await login(user.email, 'new-secret123').expect(200);
+      const [entry] = await AuditLog.find({ action: 'account_unlocked' });
+      expect(entry.metadata).toEqual({ email: user.email, via: 'password_reset' });
+    });
+  });
+
+  describe('IP lockout', () => {
+    it('blocks an IP that fails across many accounts', async () => {
+      const { user, password } = await registerUser(app);
+      for (let i = 0; i < 8; i++) {
+        await login(`guess${i}@example.com`, 'wrong-password');
+      }
+
+      const response = await login(user.email, password).expect(429);
+
+      expect(response.body.errorType).toBe('IP_BLOCKED');
+      expect(await AuditLog.countDocuments({ action: 'ip_blocked' })).toBe(1);
+    });
+  });
+});
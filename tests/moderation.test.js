@@ -0,0 +1,195 @@
+const request = require('supertest');
+const Message = require('../models/Message');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Blocking, muting and reporting', () => {
+  let app;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    process.env.ADMIN_EMAILS = 'root@example.com';
+
+    await startDatabase();
+    app = createApp();
+  });
+
+  beforeEach(async () => {
+    alice = await registerUser(app, { firstName: 'Alice' });
+    bob = await registerUser(app, { firstName: 'Bob' });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await clearDatabase();
+  });
+
+  afterAll(async () => {
+    await stopDatabase();
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  const as = (account, method, path) => request(app)[method](path)
+    .set('Authorization', `Bearer ${account.token}`);
+
+  const createChat = async (from, to) => {
+    const response = await as(from, 'post', '/api/chat/create').send({ participantId: to.user.id }).expect(201);
+    return response.body.data.chat.id;
+  };
+
+  const send = (from, chatId, message) => as(from, 'post', '/api/chat/send').send({ chatId, message });
+
+  const chatInHistory = async (account, chatId) => {
+    const response = await as(account, 'get', '/api/chat/history').expect(200);
+    return response.body.data.chats.find(chat => chat.id === chatId);
+  };
+
+  describe('blocking', () => {
+    it('stops the blocked user from starting a chat or messaging', async () => {
+      const chatId = await createChat(bob, alice);
+      await as(alice, 'post', '/api/chat/blocks').send({ userId: bob.user.id }).expect(200);
+
+      await as(bob, 'post', '/api/chat/create').send({ participantId: alice.user.id }).expect(403);
+      const response = await send(bob, chatId, 'Hello?').expect(403);
+
+      expect(response.body.errorType).toBe('USER_BLOCKED');
+      expect(await Message.countDocuments({ chatId })).toBe(0);
+    });
+
+    it('stops the blocker from messaging as well', async () => {
+      const chatId = await createChat(bob, alice);
+      await as(alice, 'post', '/api/chat/blocks').send({ userId: bob.user.id }).expect(200);
+
+      await send(alice, chatId, 'One last thing').expect(403);
+    });
+
+    it('can be undone', async () => {
+      const chatId = await createChat(bob, alice);
+      await as(alice, 'post', '/api/chat/blocks').send({ userId: bob.user.id }).expect(200);
+      await as(alice, 'post', '/api/chat/blocks').send({ userId: bob.user.id }).expect(200);
+
+      const list = await as(alice, 'get', '/api/chat/blocks').expect(200);
+      expect(list.body.data.blockedUsers.map(entry => entry.userId)).toEqual([bob.user.id]);
+
+      await as(alice, 'delete', `/api/chat/blocks/${bob.user.id}`).expect(200);
+      await as(alice, 'delete', `/api/chat/blocks/${bob.user.id}`).expect(404);
+      await send(bob, chatId, 'Hello again').expect(201);
+    });
+
+    it('keeps the blocked user from adding the blocker to groups', async () => {
+      await as(alice, 'post', '/api/chat/blocks').send({ userId: bob.user.id }).expect(200);
+
+      const response = await as(bob, 'post', '/api/chat/groups')
+        .send({ title: 'Reunion', memberIds: [alice.user.id] })
+        .expect(403);
+
+      expect(response.body.data.userIds).toEqual([alice.user.id]);
+    });
+
+    it('refuses blocking yourself or unknown users', async () => {
+      await as(alice, 'post', '/api/chat/blocks').send({ userId: alice.user.id }).expect(400);
+      await as(alice, 'post', '/api/chat/blocks').send({ userId: '507f1f77bcf86cd799439011' }).expect(404);
+    });
+  });
+
+  describe('muting', () => {
+    it('reports no unread messages for a muted chat', async () => {
+      const chatId = await createChat(bob, alice);
+      await send(bob, chatId, 'Are you there?').expect(201);
+      expect((await chatInHistory(alice, chatId)).unreadCount).toBe(1);
+
+      await as(alice, 'post', `/api/chat/chats/${chatId}/mute`).send({}).expect(200);
+
+      expect(await chatInHistory(alice, chatId)).toMatchObject({ muted: true, mutedUntil: null, unreadCount: 0 });
+      expect((await chatInHistory(bob, chatId)).muted).toBe(false);
+
+      await as(alice, 'delete', `/api/chat/chats/${chatId}/mute`).expect(200);
+      expect(await chatInHistory(alice, chatId)).toMatchObject({ muted: false, unreadCount: 1 });
+    });
+
+    it('ends at mutedUntil', async () => {
+      const chatId = await createChat(bob, alice);
+      await send(bob, chatId, 'Are you there?').expect(201);
+      const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      await as(alice, 'post', `/api/chat/chats/${chatId}/mute`).send({ until }).expect(200);
+      expect(await chatInHistory(alice, chatId)).toMatchObject({ muted: true, mutedUntil: until, unreadCount: 0 });
+
+      await as(alice, 'post', `/api/chat/chats/${chatId}/mute`).send({ until: '2020-01-01T00:00:00Z' }).expect(400);
+    });
+  });
+
+  describe('reporting', () => {
+    let admin;
+
+    beforeEach(async () => {
+      admin = await registerUser(app, { email: 'root@example.com' });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('keeps a copy of the reported messages for the moderation queue', async () => {
+      const chatId = await createChat(bob, alice);
+      const sent = (await send(bob, chatId, 'Send me your password').expect(201)).body.data.message;
+
+      const filed = await as(alice, 'post', '/api/chat/reports')
+        .send({ userId: bob.user.id, reason: 'scam', details: 'Phishing', chatId, messageIds: [sent.id] })
+        .expect(201);
+
+      // Later edits and deletions do not change the report
+      await as(bob, 'patch', `/api/chat/message/${sent.id}`).send({ message: 'Hi' }).expect(200);
+      await as(bob, 'delete', `/api/chat/message/${sent.id}`).expect(200);
+
+      const queue = await as(admin, 'get', '/api/admin/reports').expect(200);
+      expect(queue.body.data.reports).toHaveLength(1);
+      expect(queue.body.data.reports[0]).toMatchObject({
+        id: filed.body.data.report.id,
+        reporterId: alice.user.id,
+        reportedUserId: bob.user.id,
+        chatId,
+        reason: 'scam',
+        details: 'Phishing',
+        status: 'open',
+        messages: [{ messageId: sent.id, senderId: bob.user.id, message: 'Send me your password', type: 'text' }]
+      });
+    });
+
+    it("attaches the user's latest messages when none are picked", async () => {
+      const chatId = await createChat(bob, alice);
+      await send(bob, chatId, 'First').expect(201);
+      await send(alice, chatId, 'Stop').expect(201);
+      await send(bob, chatId, 'Second').expect(201);
+
+      await as(alice, 'post', '/api/chat/reports').send({ userId: bob.user.id, reason: 'harassment', chatId }).expect(201);
+
+      const queue = await as(admin, 'get', '/api/admin/reports').expect(200);
+      expect(queue.body.data.reports[0].messages.map(message => message.message).sort()).toEqual(['First', 'Second']);
+    });
+
+    it('only takes messages the reporter could read', async () => {
+      const carol = await registerUser(app, { firstName: 'Carol' });
+      const bobAndCarol = await createChat(bob, carol);
+      const hidden = (await send(bob, bobAndCarol, 'Private').expect(201)).body.data.message;
+
+      const response = await as(alice, 'post', '/api/chat/reports')
+        .send({ userId: bob.user.id, reason: 'spam', messageIds: [hidden.id] })
+        .expect(400);
+
+      expect(response.body.data.messageIds).toEqual([hidden.id]);
+      await as(alice, 'post', '/api/chat/reports').send({ userId: bob.user.id, reason: 'spam', chatId: bobAndCarol }).expect(403);
+    });
+
+    it('leaves the queue to administrators, who resolve reports', async () => {
+      await as(alice, 'post', '/api/chat/reports').send({ userId: bob.user.id, reason: 'spam' }).expect(201);
+
+      await as(alice, 'get', '/api/admin/reports').expect(403);
+
+      const [report] = (await as(admin, 'get', '/api/admin/reports').expect(200)).body.data.reports;
+      const resolved = await as(admin, 'patch', `/api/admin/reports/${report.id}`)
+        .send({ status: 'resolved', resolutionNote: 'Warned' })
+        .expect(200);
+
+      expect(resolved.body.data.report).toMatchObject({ status: 'resolved', reviewedBy: admin.user.id, resolutionNote: 'Warned' });
+      expect((await as(admin, 'get', '/api/admin/reports').expect(200)).body.data.reports).toEqual([]);
+    });
+  });
+});
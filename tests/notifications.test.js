@@ -0,0 +1,293 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const DeviceToken = require('../models/DeviceToken');
+const Notification = require('../models/Notification');
+const NotificationService = require('../services/notification.service');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+// Poll until `check` returns a truthy value (chat notifications are sent in the background)
+const waitFor = async (check, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+};
+
+describe('Notifications API', () => {
+  let app;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    // Pushes are written as JSON files to a throwaway directory
+    process.env.PUSH_PROVIDER = 'file';
+    process.env.PUSH_OUTPUT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'faystar-test-push-'));
+
+    await startDatabase();
+    app = createApp();
+  });
+
+  beforeEach(async () => {
+    alice = await registerUser(app, { firstName: 'Alice' });
+    bob = await registerUser(app, { firstName: 'Bob' });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await clearDatabase();
+    fs.readdirSync(process.env.PUSH_OUTPUT_DIR).forEach(file => fs.rmSync(path.join(process.env.PUSH_OUTPUT_DIR, file)));
+  });
+
+  afterAll(async () => {
+    await stopDatabase();
+    fs.rmSync(process.env.PUSH_OUTPUT_DIR, { recursive: true, force: true });
+  });
+
+  const registerDevice = (account, token, platform = 'ios') => request(app)
+    .post('/api/notifications/devices')
+    .set('Authorization', `Bearer ${account.token}`)
+    .send({ token, platform });
+
+  const listDevices = async (account) => {
+    const response = await request(app)
+      .get('/api/notifications/devices')
+      .set('Authorization', `Bearer ${account.token}`)
+      .expect(200);
+
+    return response.body.data.devices;
+  };
+
+  const sentPushes = () => fs.readdirSync(process.env.PUSH_OUTPUT_DIR)
+    .map(file => JSON.parse(fs.readFileSync(path.join(process.env.PUSH_OUTPUT_DIR, file), 'utf8')));
+
+  describe('devices', () => {
+    it('registers and lists devices without exposing the token', async () => {
+      const response = await registerDevice(alice, 'apns-token-0000-alice').expect(200);
+      expect(response.body.data.device).toMatchObject({ platform: 'ios', tokenSuffix: '00-alice' });
+
+      const devices = await listDevices(alice);
+      expect(devices).toHaveLength(1);
+      expect(devices[0].token).toBeUndefined();
+    });
+
+    it('moves a token to the account that registers it last', async () => {
+      await registerDevice(alice, 'shared-device-token').expect(200);
+      await registerDevice(bob, 'shared-device-token', 'android').expect(200);
+
+      expect(await listDevices(alice)).toEqual([]);
+      expect(await listDevices(bob)).toEqual([expect.objectContaining({ platform: 'android' })]);
+    });
+
+    it('survives a concurrent registration of the same token', async () => {
+      // Another request inserts the token between our lookup and insert
+      const findOneAndUpdate = DeviceToken.findOneAndUpdate.bind(DeviceToken);
+      jest.spyOn(DeviceToken, 'findOneAndUpdate').mockImplementationOnce(async () => {
+        await DeviceToken.create({ token: 'racing-device-token', userId: bob.user.id, platform: 'android' });
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }).mockImplementation(findOneAndUpdate);
+
+      await registerDevice(alice, 'racing-device-token').expect(200);
+
+      expect(await DeviceToken.countDocuments({ token: 'racing-device-token' })).toBe(1);
+      expect(await listDevices(alice)).toEqual([expect.objectContaining({ platform: 'ios' })]);
+      expect(await listDevices(bob)).toEqual([]);
+    });
+
+    it('unregisters only your own devices', async () => {
+      const response = await registerDevice(alice, 'alice-device-token').expect(200);
+      const deviceId = response.body.data.device.id;
+
+      await request(app)
+        .delete(`/api/notifications/devices/${deviceId}`)
+        .set('Authorization', `Bearer ${bob.token}`)
+        .expect(404);
+      await request(app)
+        .delete(`/api/notifications/devices/${deviceId}`)
+        .set('Authorization', `Bearer ${alice.token}`)
+        .expect(200);
+
+      expect(await listDevices(alice)).toEqual([]);
+    });
+
+    it('validates the platform', async () => {
+      await registerDevice(alice, 'some-token', 'blackberry').expect(400);
+    });
+  });
+
+  describe('preferences', () => {
+    it('starts with chat messages pushed only', async () => {
+      const response = await request(app)
+        .get('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .expect(200);
+
+      expect(response.body.data.preferences).toEqual({
+        chat_message: { push: true, inbox: false },
+        marketplace_order: { push: true, inbox: true },
+        video_ready: { push: true, inbox: true }
+      });
+    });
+
+    it('changes only the given types and channels', async () => {
+      const response = await request(app)
+        .patch('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ chat_message: { inbox: true }, video_ready: { push: false } })
+        .expect(200);
+
+      expect(response.body.data.preferences).toEqual({
+        chat_message: { push: true, inbox: true },
+        marketplace_order: { push: true, inbox: true },
+        video_ready: { push: false, inbox: true }
+      });
+    });
+
+    it('rejects unknown notification types', async () => {
+      await request(app)
+        .patch('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ newsletter: { push: true } })
+        .expect(400);
+    });
+  });
+
+  describe('inbox', () => {
+    const notificationService = new NotificationService({ provider: { send: async () => ({ delivered: true }) } });
+
+    const listInbox = async (account, query = {}) => {
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${account.token}`)
+        .query(query)
+        .expect(200);
+
+      return response.body.data;
+    };
+
+    it('lists notifications newest first with the unread count', async () => {
+      const first = await notificationService.notify(alice.user.id, { type: 'marketplace_order', title: 'First order' });
+      await Notification.collection.updateOne(
+        { _id: first.notification._id },
+        { $set: { createdAt: new Date(Date.now() - 60 * 1000) } }
+      );
+      await notificationService.notify(alice.user.id, { type: 'video_ready', title: 'Video ready' });
+
+      const inbox = await listInbox(alice);
+
+      expect(inbox.notifications.map(notification => notification.title)).toEqual(['Video ready', 'First order']);
+      expect(inbox.unreadCount).toBe(2);
+      expect((await listInbox(bob)).notifications).toEqual([]);
+    });
+
+    it('marks one or all notifications as read', async () => {
+      const { notification } = await notificationService.notify(alice.user.id, { type: 'marketplace_order', title: 'Order' });
+      await notificationService.notify(alice.user.id, { type: 'video_ready', title: 'Video ready' });
+
+      await request(app)
+        .post(`/api/notifications/${notification.id}/read`)
+        .set('Authorization', `Bearer ${bob.token}`)
+        .expect(404);
+      const read = await request(app)
+        .post(`/api/notifications/${notification.id}/read`)
+        .set('Authorization', `Bearer ${alice.token}`)
+        .expect(200);
+      expect(read.body.data.notification.isRead).toBe(true);
+
+      const unread = await listInbox(alice, { unreadOnly: true });
+      expect(unread.notifications.map(entry => entry.title)).toEqual(['Video ready']);
+
+      const readAll = await request(app)
+        .post('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .expect(200);
+      expect(readAll.body.data.updated).toBe(1);
+      expect((await listInbox(alice)).unreadCount).toBe(0);
+    });
+
+    it('follows the inbox preference', async () => {
+      await request(app)
+        .patch('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ video_ready: { inbox: false } })
+        .expect(200);
+
+      const result = await notificationService.notify(alice.user.id, { type: 'video_ready', title: 'Video ready' });
+
+      expect(result).toMatchObject({ success: true, notification: null });
+      expect((await listInbox(alice)).notifications).toEqual([]);
+    });
+  });
+
+  describe('push delivery', () => {
+    it('removes devices the provider reports as unregistered', async () => {
+      await registerDevice(alice, 'live-device-token').expect(200);
+      await registerDevice(alice, 'stale-device-token', 'android').expect(200);
+      const provider = {
+        send: jest.fn(async push => (push.token === 'stale-device-token' ? { invalidToken: true } : { delivered: true }))
+      };
+
+      const result = await new NotificationService({ provider })
+        .notify(alice.user.id, { type: 'marketplace_order', title: 'New order', body: 'Someone bought your item' });
+
+      expect(result.pushed).toBe(1);
+      expect(provider.send).toHaveBeenCalledTimes(2);
+      expect(await DeviceToken.find({ userId: alice.user.id }).distinct('token')).toEqual(['live-device-token']);
+    });
+
+    it('pushes new chat messages to the other member', async () => {
+      await registerDevice(bob, 'bob-device-token').expect(200);
+      const chat = await request(app)
+        .post('/api/chat/create')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ participantId: bob.user.id })
+        .expect(201);
+      const chatId = chat.body.data.chat.id;
+
+      const sent = await request(app)
+        .post('/api/chat/send')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ chatId, message: 'Hello Bob' })
+        .expect(201);
+
+      const [push] = await waitFor(() => sentPushes().length > 0 && sentPushes());
+      expect(push).toMatchObject({
+        token: 'bob-device-token',
+        platform: 'ios',
+        title: 'Alice',
+        body: 'Hello Bob',
+        data: { type: 'chat_message', chatId, messageId: sent.body.data.message.id, notificationId: null }
+      });
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it('skips a deleted chat partner without failing', async () => {
+      const chat = await request(app)
+        .post('/api/chat/create')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ participantId: bob.user.id })
+        .expect(201);
+      await request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${bob.token}`)
+        .send({ password: bob.password })
+        .expect(200);
+      const errors = jest.spyOn(console, 'error');
+
+      await request(app)
+        .post('/api/chat/send')
+        .set('Authorization', `Bearer ${alice.token}`)
+        .send({ chatId: chat.body.data.chat.id, message: 'Are you still there?' })
+        .expect(201);
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      expect(errors).not.toHaveBeenCalled();
+      expect(sentPushes()).toEqual([]);
+    });
+  });
+});
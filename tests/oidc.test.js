@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/User');
+const MailerService = require('../services/mailer.service');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser, totpCode, currentStep } = require('./helpers');
+
+const CLIENT_ID = 'faystar-test-client';
+const REDIRECT_URI = 'faystar://oauth/callback';
+
+/**
+ * Local OpenID provider: discovery document, JWKS and a token endpoint that
+ * answers every code with an ID token for `provider.claims`
+ */
+const startProvider = () => new Promise((resolve) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const provider = { claims: {}, tokenRequests: [] };
+
+  const server = http.createServer((req, res) => {
+    const sendJson = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.url === '/.well-known/openid-configuration') {
+      return sendJson(200, {
+        issuer: provider.issuer,
+        authorization_endpoint: `${provider.issuer}/authorize`,
+        token_endpoint: `${provider.issuer}/token`,
+        jwks_uri: `${provider.issuer}/jwks`
+      });
+    }
+
+    if (req.url === '/jwks') {
+      return sendJson(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (req.url === '/token' && req.method === 'POST') {
+      let form = '';
+      req.on('data', chunk => { form += chunk; });
+      req.on('end', () => {
+        const params = Object.fromEntries(new URLSearchParams(form));
+        provider.tokenRequests.push(params);
+
+        if (params.code !== 'valid-code') {
+          return sendJson(400, { error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign(provider.claims, privateKey, {
+          algorithm: 'RS256',
+          keyid: 'test-key',
+          issuer: provider.issuer,
+          audience: CLIENT_ID,
+          expiresIn: '5m'
+        });
+        sendJson(200, { access_token: 'provider-access-token', token_type: 'Bearer', id_token: idToken });
+      });
+      return;
+    }
+
+    sendJson(404, { error: 'not_found' });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    provider.issuer = `http://127.0.0.1:${server.address().port}`;
+    provider.close = () => new Promise(done => server.close(done));
+    resolve(provider);
+  });
+});
+
+describe('OIDC login API', () => {
+  let app;
+  let provider;
+  let sentMail;
+
+  beforeAll(async () => {
+    provider = await startProvider();
+
+    process.env.OIDC_PROVIDERS = 'test';
+    process.env.OIDC_TEST_ISSUER = provider.issuer;
+    process.env.OIDC_TEST_CLIENT_ID = CLIENT_ID;
+    process.env.OIDC_TEST_REDIRECT_URIS = REDIRECT_URI;
+
+    await startDatabase();
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    sentMail = [];
+    jest.spyOn(MailerService.prototype, 'send').mockImplementation(async (message) => {
+      sentMail.push(message);
+      return { success: true, delivered: true, transport: 'test' };
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    provider.tokenRequests = [];
+    await clearDatabase();
+  });
+
+  afterAll(async () => {
+    await stopDatabase();
+    await provider.close();
+  });
+
+  // Start a login and have the provider vouch for `claims` (the nonce is copied from the request)
+  const authorize = async (claims) => {
+    const response = await request(app)
+      .get('/api/auth/oidc/test/authorize')
+      .expect(200);
+
+    const authorizationUrl = new URL(response.body.data.authorizationUrl);
+    provider.claims = { nonce: authorizationUrl.searchParams.get('nonce'), ...claims };
+
+    return { state: response.body.data.state, authorizationUrl };
+  };
+
+  const callback = (state, code = 'valid-code') => request(app)
+    .post('/api/auth/oidc/test/callback')
+    .send({ code, state });
+
+  it('lists the configured provider', async () => {
+    const response = await request(app).get('/api/auth/oidc/providers').expect(200);
+    expect(response.body.data.providers).toEqual(['test']);
+  });
+
+  it('builds a PKCE authorization URL for the provider', async () => {
+    const { state, authorizationUrl } = await authorize({});
+
+    expect(`${authorizationUrl.origin}${authorizationUrl.pathname}`).toBe(`${provider.issuer}/authorize`);
+    expect(Object.fromEntries(authorizationUrl.searchParams)).toMatchObject({
+      response_type: 'code',
+      client_id: CLIENT_ID,
+      redirect_uri: REDIRECT_URI,
+      state,
+      code_challenge_method: 'S256'
+    });
+  });
+
+  it('creates an account for a new identity and signs it in', async () => {
+    const { state } = await authorize({ sub: 'subject-1', email: 'Grace@Example.com', email_verified: true, name: 'Grace Hopper' });
+
+    const response = await callback(state).expect(201);
+
+    const { user, isNewUser, token, refreshToken } = response.body.data;
+    expect(isNewUser).toBe(true);
+    expect(user).toMatchObject({ email: 'grace@example.com', firstName: 'Grace', lastName: 'Hopper', emailVerified: true });
+    expect(refreshToken).toEqual(expect.any(String));
+
+    // The code was exchanged with the PKCE verifier for the challenge sent earlier
+    const [tokenRequest] = provider.tokenRequests;
+    expect(tokenRequest).toMatchObject({ grant_type: 'authorization_code', code: 'valid-code', client_id: CLIENT_ID, redirect_uri: REDIRECT_URI });
+    expect(tokenRequest.code_verifier).toEqual(expect.any(String));
+
+    await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`).expect(200);
+  });
+
+  it('signs a returning identity into the same account', async () => {
+    const claims = { sub: 'subject-2', email: 'alan@example.com', email_verified: true };
+    const first = await callback((await authorize(claims)).state).expect(201);
+
+    const second = await callback((await authorize(claims)).state).expect(200);
+
+    expect(second.body.data.isNewUser).toBe(false);
+    expect(second.body.data.user.id).toBe(first.body.data.user.id);
+  });
+
+  it('links a verified email to the existing password account', async () => {
+    const { user } = await registerUser(app, { email: 'linked@example.com' });
+
+    const response = await callback((await authorize({ sub: 'subject-3', email: 'linked@example.com', email_verified: true })).state)
+      .expect(200);
+
+    expect(response.body.data.user.id).toBe(user.id);
+    const stored = await User.findById(user.id);
+    expect(stored.identities.map(identity => identity.subject)).toEqual(['subject-3']);
+  });
+
+  it('does not link an unverified email to an existing account', async () => {
+    await registerUser(app, { email: 'victim@example.com' });
+
+    const response = await callback((await authorize({ sub: 'subject-4', email: 'victim@example.com', email_verified: false })).state)
+      .expect(409);
+
+    expect(response.body.errorType).toBe('ACCOUNT_EXISTS');
+  });
+
+  it('accepts each login state only once', async () => {
+    const { state } = await authorize({ sub: 'subject-5', email: 'once@example.com', email_verified: true });
+    await callback(state).expect(201);
+
+    const replay = await callback(state).expect(401);
+    expect(replay.body.errorType).toBe('INVALID_STATE');
+  });
+
+  it('rejects an ID token issued for another login request', async () => {
+    const { state } = await authorize({ sub: 'subject-6', email: 'nonce@example.com', email_verified: true });
+    provider.claims.nonce = 'nonce-of-another-request';
+
+    const response = await callback(state).expect(401);
+    expect(response.body.errorType).toBe('INVALID_ID_TOKEN');
+  });
+
+  it('reports a rejected authorization code', async () => {
+    const { state } = await authorize({ sub: 'subject-7', email: 'code@example.com', email_verified: true });
+
+    const response = await callback(state, 'expired-code').expect(401);
+    expect(response.body.errorType).toBe('TOKEN_EXCHANGE_FAILED');
+  });
+
+  describe('sensitive actions without a password', () => {
+    // Sign in a new account that only has the provider identity
+    const signInWithProvider = async (sub) => {
+      const response = await callback((await authorize({ sub, email: `${sub}@example.com`, email_verified: true })).state)
+        .expect(201);
+
+      return response.body.data;
+    };
+
+    const emailedCode = () => sentMail[sentMail.length - 1].text.split('\n\n')[2];
+
+    it('asks for an emailed confirmation code', async () => {
+      const { token } = await signInWithProvider('no-password-1');
+
+      const response = await request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(401);
+
+      expect(response.body.errorType).toBe('REAUTHENTICATION_REQUIRED');
+    });
+
+    it('deletes the account with the emailed code', async () => {
+      const { token, user } = await signInWithProvider('no-password-2');
+
+      await request(app).post('/api/auth/reauthenticate').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(sentMail[sentMail.length - 1].to).toBe(user.email);
+
+      await request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ reauthToken: emailedCode() })
+        .expect(200);
+
+      expect(await User.exists({ _id: user.id })).toBeNull();
+    });
+
+    it('accepts each code once', async () => {
+      const { token } = await signInWithProvider('no-password-3');
+      await request(app).post('/api/auth/reauthenticate').set('Authorization', `Bearer ${token}`).expect(200);
+      const reauthToken = emailedCode();
+
+      await request(app)
+        .post('/api/auth/change-email')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ newEmail: 'new-address@example.com', reauthToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/change-email')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ newEmail: 'other-address@example.com', reauthToken })
+        .expect(401);
+      expect(reuse.body.errorType).toBe('REAUTHENTICATION_REQUIRED');
+    });
+
+    it("does not accept another user's code", async () => {
+      const owner = await signInWithProvider('no-password-4');
+      const other = await signInWithProvider('no-password-5');
+      await request(app).post('/api/auth/reauthenticate').set('Authorization', `Bearer ${owner.token}`).expect(200);
+
+      await request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${other.token}`)
+        .send({ reauthToken: emailedCode() })
+        .expect(401);
+
+      expect(await User.exists({ _id: other.user.id })).not.toBeNull();
+    });
+
+    describe('with two-factor authentication', () => {
+      // Sign in with the provider and enable 2FA; returns the session and the recovery codes
+      const signInWithTwoFactor = async (sub) => {
+        const session = await signInWithProvider(sub);
+        const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', `Bearer ${session.token}`).expect(200);
+        const confirm = await request(app)
+          .post('/api/auth/2fa/confirm')
+          .set('Authorization', `Bearer ${session.token}`)
+          .send({ code: totpCode(setup.body.data.secret, currentStep()) })
+          .expect(200);
+
+        await request(app).post('/api/auth/reauthenticate').set('Authorization', `Bearer ${session.token}`).expect(200);
+        return { ...session, recoveryCodes: confirm.body.data.recoveryCodes };
+      };
+
+      it('keeps the emailed code when the 2FA code is wrong', async () => {
+        const { token, user, recoveryCodes } = await signInWithTwoFactor('no-password-6');
+        const reauthToken = emailedCode();
+
+        const wrongCode = await request(app)
+          .delete('/api/auth/account')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ reauthToken, code: '000000' })
+          .expect(401);
+        expect(wrongCode.body.errorType).toBe('INVALID_2FA_CODE');
+
+        await request(app)
+          .delete('/api/auth/account')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ reauthToken, recoveryCode: recoveryCodes[0] })
+          .expect(200);
+        expect(await User.exists({ _id: user.id })).toBeNull();
+      });
+
+      it('keeps the emailed code when disabling 2FA with a wrong code', async () => {
+        const { token, recoveryCodes } = await signInWithTwoFactor('no-password-7');
+        const reauthToken = emailedCode();
+
+        await request(app)
+          .post('/api/auth/2fa/disable')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ reauthToken, code: '000000' })
+          .expect(400);
+
+        await request(app)
+          .post('/api/auth/2fa/disable')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ reauthToken, recoveryCode: recoveryCodes[0] })
+          .expect(200);
+
+        // The code is spent once the action went through
+        await request(app)
+          .delete('/api/auth/account')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ reauthToken })
+          .expect(401);
+      });
+    });
+
+    it('sends no code to accounts with a password', async () => {
+      const { token } = await registerUser(app);
+
+      const response = await request(app)
+        .post('/api/auth/reauthenticate')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.errorType).toBe('PASSWORD_SET');
+    });
+  });
+});
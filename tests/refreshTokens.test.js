@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Refresh tokens', () => {
+  let app;
+
+  beforeAll(async () => {
+    await startDatabase();
+    app = createApp();
+  });
+
+  afterEach(clearDatabase);
+
+  afterAll(stopDatabase);
+
+  describe('POST /api/auth/refresh', () => {
+    it('rotates the refresh token within the same session', async () => {
+      const { refreshToken, sessionId } = await registerUser(app);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const { token, refreshToken: rotated } = response.body.data;
+      expect(rotated).toEqual(expect.any(String));
+      expect(rotated).not.toBe(refreshToken);
+
+      const sessions = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(sessions.body.data.sessions).toEqual([expect.objectContaining({ id: sessionId, current: true })]);
+
+      // The successor can be rotated in turn
+      await request(app).post('/api/auth/refresh').send({ refreshToken: rotated }).expect(200);
+    });
+
+    it('revokes the whole session when a rotated token is reused', async () => {
+      const { refreshToken } = await registerUser(app);
+
+      const rotation = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+      const { token, refreshToken: rotated } = rotation.body.data;
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+      expect(reuse.body.errorType).toBe('REFRESH_TOKEN_REUSED');
+
+      // The legitimate successor and the session's access tokens stop working too
+      const successor = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated })
+        .expect(401);
+      expect(successor.body.errorType).toBe('REFRESH_TOKEN_REUSED');
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+      expect(profile.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('leaves other sessions of the user signed in after a reuse', async () => {
+      const { user, password, refreshToken } = await registerUser(app);
+      const login = await request(app).post('/api/auth/login').send({ email: user.email, password }).expect(200);
+
+      await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+      await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.data.refreshToken })
+        .expect(200);
+    });
+
+    it('rejects an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' })
+        .expect(401);
+
+      expect(response.body.errorType).toBe('INVALID_REFRESH_TOKEN');
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('revokes the session of the refresh token', async () => {
+      const { token, refreshToken } = await registerUser(app);
+
+      await request(app).post('/api/auth/logout').send({ refreshToken }).expect(200);
+
+      await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`).expect(401);
+      await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(401);
+    });
+  });
+});
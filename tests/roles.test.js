@@ -0,0 +1,154 @@
+const request = require('supertest');
+const User = require('../models/User');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+// The media providers live outside services/ in this checkout; the guards are what is tested here
+jest.mock('../services/elevenLabs.service', () => jest.fn(() => ({ generateSpeech: jest.fn() })), { virtual: true });
+jest.mock('../services/falClient.service', () => jest.fn(() => ({ getConfig: () => ({ hasApiKey: false, apiKeyLength: 0 }) })), { virtual: true });
+
+describe('Roles', () => {
+  let app;
+  let admin;
+  let member;
+
+  beforeAll(async () => {
+    process.env.ADMIN_EMAILS = 'root@example.com';
+
+    await startDatabase();
+    app = createApp();
+    app.use('/api/video', require('../routes/video'));
+    app.use('/api/test', require('../routes/test'));
+  });
+
+  beforeEach(async () => {
+    admin = await registerUser(app, { email: 'root@example.com' });
+    member = await registerUser(app);
+  });
+
+  afterEach(clearDatabase);
+
+  afterAll(async () => {
+    delete process.env.ADMIN_EMAILS;
+    await stopDatabase();
+  });
+
+  const as = (account, method, path) => request(app)[method](path)
+    .set('Authorization', `Bearer ${account.token}`);
+
+  const login = async ({ user, password }) => {
+    const response = await request(app).post('/api/auth/login').send({ email: user.email, password }).expect(200);
+    return { user: response.body.data.user, token: response.body.data.token };
+  };
+
+  // List an item as a fresh seller with a verified email
+  const createListing = async () => {
+    const seller = await registerUser(app);
+    await User.updateOne({ _id: seller.user.id }, { $set: { emailVerified: true } });
+
+    const response = await as(seller, 'post', '/api/marketplace/create')
+      .send({ title: 'Bike', description: 'Red bike', price: 50, category: 'Sports', condition: 'good' })
+      .expect(201);
+
+    return response.body.data.item;
+  };
+
+  const grant = (userId, role) => as(admin, 'post', `/api/admin/users/${userId}/roles`).send({ role });
+  const revoke = (userId, role) => as(admin, 'delete', `/api/admin/users/${userId}/roles/${role}`);
+
+  describe('guards', () => {
+    it('give bootstrap administrators the admin role', () => {
+      expect(admin.user.roles).toEqual(['user', 'admin']);
+      expect(member.user.roles).toEqual(['user']);
+    });
+
+    it('keep plain users out of the admin, debug and config endpoints', async () => {
+      const forbidden = await as(member, 'get', '/api/admin/users').expect(403);
+      expect(forbidden.body).toMatchObject({ code: 'FORBIDDEN', requiredRoles: ['admin'] });
+
+      await as(member, 'get', '/api/admin/reports').expect(403);
+      await as(member, 'post', `/api/admin/users/${member.user.id}/roles`).send({ role: 'admin' }).expect(403);
+      await as(member, 'post', '/api/test/tts').send({ text: 'Hi' }).expect(403);
+      await as(member, 'get', '/api/video/config').expect(403);
+
+      expect((await login(member)).user.roles).toEqual(['user']);
+    });
+
+    it('let administrators in', async () => {
+      const users = await as(admin, 'get', '/api/admin/users').expect(200);
+      expect(users.body.data.pagination.totalItems).toBe(2);
+
+      await as(admin, 'post', '/api/test/tts').send({}).expect(400);
+      await as(admin, 'get', '/api/video/config').expect(200);
+    });
+
+    it('require a token before checking roles', async () => {
+      await request(app).get('/api/admin/users').expect(401);
+      await request(app).post('/api/test/tts').send({ text: 'Hi' }).expect(401);
+    });
+  });
+
+  describe('moderators', () => {
+    it('moderate listings but stay out of the admin API', async () => {
+      const item = await createListing();
+      await as(member, 'post', `/api/marketplace/moderate/${item.id}`).send({ action: 'remove' }).expect(403);
+
+      await grant(member.user.id, 'moderator').expect(200);
+      const moderator = await login(member);
+
+      const removed = await as(moderator, 'post', `/api/marketplace/moderate/${item.id}`)
+        .send({ action: 'remove', reason: 'Spam' })
+        .expect(200);
+      expect(removed.body.data.item).toMatchObject({ status: 'removed', moderation: { action: 'remove', reason: 'Spam' } });
+
+      await as(moderator, 'get', '/api/admin/users').expect(403);
+      await as(moderator, 'get', '/api/video/config').expect(403);
+    });
+
+    it('leave moderation to administrators as well', async () => {
+      const item = await createListing();
+
+      await as(admin, 'post', `/api/marketplace/moderate/${item.id}`).send({ action: 'remove' }).expect(200);
+      await as(admin, 'post', `/api/marketplace/moderate/${item.id}`).send({ action: 'restore' }).expect(200);
+    });
+  });
+
+  describe('granting and revoking', () => {
+    it('changes access from the next token on', async () => {
+      const granted = await grant(member.user.id, 'admin').expect(200);
+      expect(granted.body.data.user.roles).toEqual(['user', 'admin']);
+
+      const promoted = await login(member);
+      expect(promoted.user.roles).toEqual(['user', 'admin']);
+      await as(promoted, 'get', '/api/admin/users').expect(200);
+
+      await revoke(member.user.id, 'admin').expect(200);
+
+      const demoted = await login(member);
+      expect(demoted.user.roles).toEqual(['user']);
+      await as(demoted, 'get', '/api/admin/users').expect(403);
+      // Roles are read from the user record, so tokens issued before the revocation lose access too
+      await as(promoted, 'get', '/api/admin/users').expect(403);
+    });
+
+    it('grants a role only once', async () => {
+      await grant(member.user.id, 'moderator').expect(200);
+      const again = await grant(member.user.id, 'moderator').expect(200);
+
+      expect(again.body.data.user.roles).toEqual(['user', 'moderator']);
+    });
+
+    it('validates roles and users', async () => {
+      await grant(member.user.id, 'superuser').expect(400);
+      await grant('not-an-id', 'moderator').expect(400);
+      await grant('507f1f77bcf86cd799439011', 'moderator').expect(404);
+      await revoke(member.user.id, 'user').expect(400);
+    });
+
+    it('does not let administrators revoke their own admin role', async () => {
+      const response = await revoke(admin.user.id, 'admin').expect(400);
+
+      expect(response.body.error).toBe('Cannot revoke your own admin role');
+      await as(admin, 'get', '/api/admin/users').expect(200);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const Session = require('../models/Session');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser } = require('./helpers');
+
+describe('Sessions API', () => {
+  let app;
+
+  beforeAll(async () => {
+    await startDatabase();
+    app = createApp();
+  });
+
+  afterEach(clearDatabase);
+
+  afterAll(stopDatabase);
+
+  // Sign the registered user in on a second device
+  const login = async ({ user, password }) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password, deviceName: 'Second phone' })
+      .expect(200);
+
+    return response.body.data;
+  };
+
+  it('lists the live sessions and marks the current one', async () => {
+    const account = await registerUser(app);
+    const second = await login(account);
+
+    const response = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${account.token}`)
+      .expect(200);
+
+    const sessions = response.body.data.sessions;
+    expect(sessions).toHaveLength(2);
+    expect(sessions.find(session => session.id === account.sessionId).current).toBe(true);
+    expect(sessions.find(session => session.id === second.sessionId)).toMatchObject({ deviceName: 'Second phone', current: false });
+  });
+
+  it('stores the refresh token expiry and extends it on refresh', async () => {
+    const { sessionId, refreshToken } = await registerUser(app);
+    const created = await Session.findOne({ sessionId });
+    expect(created.expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+    await Session.updateOne({ sessionId }, { $set: { expiresAt: new Date(Date.now() + 60 * 1000) } });
+    await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+
+    const refreshed = await Session.findOne({ sessionId });
+    expect(refreshed.expiresAt.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+  });
+
+  it('ignores expired sessions', async () => {
+    const account = await registerUser(app);
+    const second = await login(account);
+    await Session.updateOne({ sessionId: second.sessionId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const response = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${account.token}`)
+      .expect(200);
+    expect(response.body.data.sessions.map(session => session.id)).toEqual([account.sessionId]);
+
+    const expired = await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${second.token}`)
+      .expect(401);
+    expect(expired.body.code).toBe('SESSION_REVOKED');
+
+    await request(app)
+      .delete(`/api/auth/sessions/${second.sessionId}`)
+      .set('Authorization', `Bearer ${account.token}`)
+      .expect(404);
+  });
+
+  it('signs out a single session', async () => {
+    const account = await registerUser(app);
+    const second = await login(account);
+
+    await request(app)
+      .delete(`/api/auth/sessions/${second.sessionId}`)
+      .set('Authorization', `Bearer ${account.token}`)
+      .expect(200);
+
+    await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${second.token}`).expect(401);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: second.refreshToken }).expect(401);
+    await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${account.token}`).expect(200);
+  });
+
+  it('signs out every other session', async () => {
+    const account = await registerUser(app);
+    const second = await login(account);
+
+    const response = await request(app)
+      .post('/api/auth/sessions/revoke-others')
+      .set('Authorization', `Bearer ${account.token}`)
+      .expect(200);
+    expect(response.body.data.revokedCount).toBe(1);
+
+    await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${second.token}`).expect(401);
+    await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${account.token}`).expect(200);
+  });
+});
@@ -0,0 +1,9 @@
+// Environment for every test suite, set before routes and services read it
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'faystar-test-secret';
+
+// Cheap password hashes keep the auth suites fast
+process.env.BCRYPT_ROUNDS = '4';
+
+// No outgoing AI calls unless a suite stubs them
+delete process.env.OPENAI_API_KEY;
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const LoginThrottle = require('../models/LoginThrottle');
+const { createApp, startDatabase, clearDatabase, stopDatabase, registerUser, totpCode, currentStep } = require('./helpers');
+
+describe('Two-factor authentication', () => {
+  let app;
+
+  beforeAll(async () => {
+    await startDatabase();
+    app = createApp();
+  });
+
+  afterEach(clearDatabase);
+
+  afterAll(stopDatabase);
+
+  const as = (account, method, path) => request(app)[method](`/api/auth${path}`)
+    .set('Authorization', `Bearer ${account.token}`);
+
+  // Register a user and enroll them, confirming with the code of the current step (`step`)
+  const enroll = async () => {
+    const account = await registerUser(app);
+    const setup = await as(account, 'post', '/2fa/setup').expect(200);
+    const { secret } = setup.body.data;
+    const step = currentStep();
+
+    const confirm = await as(account, 'post', '/2fa/confirm')
+      .send({ code: totpCode(secret, step) })
+      .expect(200);
+
+    return { ...account, secret, step, recoveryCodes: confirm.body.data.recoveryCodes };
+  };
+
+  const startLogin = async ({ user, password }) => {
+    const response = await request(app).post('/api/auth/login').send({ email: user.email, password }).expect(200);
+    return response.body.data;
+  };
+
+  const completeLogin = (challengeToken, fields) => request(app)
+    .post('/api/auth/login/2fa')
+    .send({ challengeToken, ...fields });
+
+  describe('enrollment', () => {
+    it('hands out a secret and an authenticator URI', async () => {
+      const account = await registerUser(app);
+
+      const response = await as(account, 'post', '/2fa/setup').expect(200);
+
+      const { secret, otpauthUri } = response.body.data;
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(otpauthUri).toBe(
+        `otpauth://totp/FayStar%3A${encodeURIComponent(account.user.email)}?secret=${secret}&issuer=FayStar&algorithm=SHA1&digits=6&period=30`
+      );
+    });
+
+    it('is enabled only after a code confirms it', async () => {
+      const account = await registerUser(app);
+      await as(account, 'post', '/2fa/confirm').send({ code: '123456' }).expect(400);
+      const { secret } = (await as(account, 'post', '/2fa/setup').expect(200)).body.data;
+
+      const wrong = await as(account, 'post', '/2fa/confirm').send({ code: totpCode(secret, currentStep() - 5) }).expect(400);
+      expect(wrong.body.errorType).toBe('INVALID_2FA_CODE');
+      expect((await startLogin(account)).twoFactorRequired).toBeUndefined();
+
+      const confirm = await as(account, 'post', '/2fa/confirm').send({ code: totpCode(secret, currentStep()) }).expect(200);
+      expect(confirm.body.data.recoveryCodes).toHaveLength(10);
+      confirm.body.data.recoveryCodes.forEach(code => expect(code).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/));
+
+      await as(account, 'post', '/2fa/setup').expect(409);
+      await as(account, 'post', '/2fa/confirm').send({ code: totpCode(secret, currentStep()) }).expect(409);
+    });
+  });
+
+  describe('login challenge', () => {
+    it('asks for a second step instead of issuing a session', async () => {
+      const account = await enroll();
+
+      const challenge = await startLogin(account);
+
+      expect(challenge).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String), expiresIn: '5m' });
+
+      // The challenge is not an access token
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${challenge.challengeToken}`)
+        .expect(401);
+    });
+
+    it('issues the session for a fresh code', async () => {
+      const account = await enroll();
+      const { challengeToken } = await startLogin(account);
+
+      const response = await completeLogin(challengeToken, { code: totpCode(account.secret, account.step + 1) }).expect(200);
+
+      expect(response.body.data.user.id).toBe(account.user.id);
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    it('does not accept a code twice', async () => {
+      const account = await enroll();
+      const { challengeToken } = await startLogin(account);
+      const code = totpCode(account.secret, account.step + 1);
+
+      // The code used to confirm enrollment is spent already
+      await completeLogin(challengeToken, { code: totpCode(account.secret, account.step) }).expect(401);
+
+      await completeLogin(challengeToken, { code }).expect(200);
+      const replay = await completeLogin(challengeToken, { code }).expect(401);
+      expect(replay.body.errorType).toBe('INVALID_2FA_CODE');
+    });
+
+    it('counts wrong codes as failed logins', async () => {
+      const account = await enroll();
+      const { challengeToken } = await startLogin(account);
+
+      await completeLogin(challengeToken, { code: '000000' }).expect(401);
+
+      const counter = await LoginThrottle.findOne({ key: `account:${account.user.email}` });
+      expect(counter.failures).toBe(1);
+    });
+
+    it('rejects tokens that are not challenges', async () => {
+      const account = await enroll();
+
+      const response = await completeLogin(account.token, { code: totpCode(account.secret, account.step + 1) }).expect(401);
+
+      expect(response.body.errorType).toBe('INVALID_CHALLENGE');
+      await completeLogin('not-a-token', { code: '123456' }).expect(401);
+    });
+
+    it('needs a code or a recovery code', async () => {
+      const account = await enroll();
+      const { challengeToken } = await startLogin(account);
+
+      await completeLogin(challengeToken, {}).expect(400);
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('sign in once each, ignoring case and dashes', async () => {
+      const account = await enroll();
+      const [first, second] = account.recoveryCodes;
+
+      await completeLogin((await startLogin(account)).challengeToken, { recoveryCode: first }).expect(200);
+      await completeLogin((await startLogin(account)).challengeToken, { recoveryCode: first }).expect(401);
+
+      await completeLogin((await startLogin(account)).challengeToken, { recoveryCode: second.replace('-', '').toUpperCase() })
+        .expect(200);
+    });
+
+    it('are replaced when regenerated', async () => {
+      const account = await enroll();
+
+      await as(account, 'post', '/2fa/recovery-codes').send({ code: '000000' }).expect(400);
+      const response = await as(account, 'post', '/2fa/recovery-codes')
+        .send({ code: totpCode(account.secret, account.step + 1) })
+        .expect(200);
+
+      const { recoveryCodes } = response.body.data;
+      expect(recoveryCodes).toHaveLength(10);
+      await completeLogin((await startLogin(account)).challengeToken, { recoveryCode: account.recoveryCodes[0] }).expect(401);
+      await completeLogin((await startLogin(account)).challengeToken, { recoveryCode: recoveryCodes[0] }).expect(200);
+    });
+  });
+
+  describe('disabling', () => {
+    it('needs the password and a code', async () => {
+      const account = await enroll();
+      const code = totpCode(account.secret, account.step + 1);
+
+      const wrongPassword = await as(account, 'post', '/2fa/disable').send({ password: 'wrong-password', code }).expect(401);
+      expect(wrongPassword.body.error).toBe('Invalid password');
+      await as(account, 'post', '/2fa/disable').send({ password: account.password, code: '000000' }).expect(400);
+
+      await as(account, 'post', '/2fa/disable').send({ password: account.password, code }).expect(200);
+
+      const login = await startLogin(account);
+      expect(login.twoFactorRequired).toBeUndefined();
+      expect(login.token).toEqual(expect.any(String));
+    });
+
+    it('accepts a recovery code instead of a code', async () => {
+      const account = await enroll();
+
+      await as(account, 'post', '/2fa/disable')
+        .send({ password: account.password, recoveryCode: account.recoveryCodes[0] })
+        .expect(200);
+    });
+  });
+});